@@ -1,50 +1,12 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
 const { generateEmbedding } = require('./embeddings');
+const { formatScheduleForContext } = require('./services/schedules');
+const { resolveModel, getModelConfig, getDefaultModel, getAvailableModels, getUsageProvider } = require('./services/providers');
+const { recordUsage, forStage, assertWithinBudget, estimateTokens } = require('./services/usage');
 
-let openai = null;
-let anthropic = null;
-
-// Available models configuration
-const MODELS = {
-  'gpt-4o-mini': {
-    provider: 'openai',
-    name: 'GPT-4o Mini',
-    description: 'Fast and efficient for simple questions',
-    maxTokens: 2000,
-    temperature: 0.7
-  },
-  'gpt-4o': {
-    provider: 'openai',
-    name: 'GPT-4o',
-    description: 'Balanced performance for most questions',
-    maxTokens: 2000,
-    temperature: 0.7
-  },
-  'claude-opus-4.5': {
-    provider: 'anthropic',
-    name: 'Claude Opus 4.5',
-    description: 'Superior reasoning for complex analysis',
-    maxTokens: 4096,
-    temperature: 0.3
-  },
-  'claude-sonnet-4': {
-    provider: 'anthropic',
-    name: 'Claude Sonnet 4',
-    description: 'Excellent balance of speed and intelligence',
-    maxTokens: 4096,
-    temperature: 0.3
-  }
-};
-
-function initAI(openaiKey, anthropicKey) {
-  if (openaiKey) {
-    openai = new OpenAI({ apiKey: openaiKey });
-  }
-  if (anthropicKey) {
-    anthropic = new Anthropic({ apiKey: anthropicKey });
-  }
-}
+// Characters per token, for estimating whether context fits a model's context window
+const CHARS_PER_TOKEN = 4;
+// Tokens kept free for the system prompt, chat history and question around the context
+const PROMPT_RESERVE_TOKENS = 3000;
 
 /**
  * Enhanced system prompt with domain expertise
@@ -84,11 +46,14 @@ You are analyzing documents for project: "${projectName}"
 ## Citation Requirements
 When answering:
 1. Be specific and cite your sources. For drawings with sheet numbers, use: [Source Name, Sheet X-###]
-2. For specifications or documents without sheet numbers, use: [Source Name, Page X]
-3. When referencing specific details, use: [Source Name, Detail #/Sheet]
-4. If information is found in multiple locations, cite all relevant sources
-5. If you cannot find information in the provided documents, say so clearly
-6. For scope questions, be thorough and reference all relevant sections
+2. For specification sources labeled with a section, cite the section and article/paragraph: [Source Name, Section ## ## ##, 2.3.B]
+3. For other documents without sheet numbers, use: [Source Name, Page X]
+4. When referencing specific details, use: [Source Name, Detail #/Sheet]
+5. If information is found in multiple locations, cite all relevant sources
+6. If you cannot find information in the provided documents, say so clearly
+7. For scope questions, be thorough and reference all relevant sections
+8. Content followed by [Changed by addenda] has been modified by an addendum. Answer with the requirement as changed (when several addenda change it, the last one listed governs) and cite the addendum too: [Addendum Name, Page X]
+9. Schedules are given as table rows with their row count (and, when the question filters them, the count of matching rows). Count and filter from those rows rather than estimating, and cite the schedule's sheet: [Source Name, Sheet X-###]
 
 ## Formatting Guidelines
 - Use **bold** for important terms, requirements, or key points
@@ -101,10 +66,40 @@ When answering:
 ${context}`;
 }
 
+/**
+ * Location label for a chunk in the context: spec article, drawing sheet, or page
+ */
+function describeChunkLocation(chunk) {
+  if (chunk.type === 'addendum') {
+    // Addenda are cited by page; the section they change is context
+    return `Page ${chunk.page_number}${chunk.section_number ? ` (changes Section ${chunk.section_number})` : ''}`;
+  }
+  if (chunk.section_number) {
+    const article = chunk.article_number ? `, ${chunk.article_number}${chunk.article_title ? ` ${chunk.article_title}` : ''}` : '';
+    return `Section ${chunk.section_number}${article}`;
+  }
+  return chunk.sheet_number ? `Sheet ${chunk.sheet_number}` : `Page ${chunk.page_number}`;
+}
+
+/**
+ * Addendum items that change a chunk (attached by search as chunk.addenda),
+ * oldest first, to follow the chunk's text in the context
+ */
+function describeAddenda(chunk) {
+  if (!chunk.addenda || chunk.addenda.length === 0) {
+    return '';
+  }
+
+  const items = chunk.addenda.map(item =>
+    `- ${item.filename}${item.revision ? ` (${item.revision})` : ''}, Page ${item.pageNumber}, Item ${item.itemNumber}: ${item.instruction.replace(/\s+/g, ' ')}`
+  );
+  return `\n\n[Changed by addenda]\n${items.join('\n')}`;
+}
+
 /**
  * Multi-query expansion: Generate alternative phrasings to improve retrieval
  */
-async function expandQuery(userQuery, model = 'gpt-4o-mini') {
+async function expandQuery(userQuery, model = getDefaultModel('utility'), usage = null) {
   const prompt = `Given this construction question: "${userQuery}"
 
 Generate 3 alternative phrasings that would help find relevant information in construction documents:
@@ -119,7 +114,7 @@ Example format: ["question 1", "question 2", "question 3"]`;
     const response = await callLLM(
       [{ role: 'user', content: prompt }],
       model,
-      { temperature: 0.5, maxTokens: 200 }
+      { temperature: 0.5, maxTokens: 200, usage }
     );
 
     // Parse the JSON array from response
@@ -133,6 +128,9 @@ Example format: ["question 1", "question 2", "question 3"]`;
     // Fallback to original query if parsing fails
     return [userQuery];
   } catch (error) {
+    if (error.name === 'BudgetExceededError') {
+      throw error;
+    }
     console.error('Error expanding query:', error);
     return [userQuery]; // Fallback to original query
   }
@@ -141,7 +139,7 @@ Example format: ["question 1", "question 2", "question 3"]`;
 /**
  * Query decomposition: Break complex questions into sub-questions
  */
-async function decomposeQuery(userQuery, model = 'gpt-4o-mini') {
+async function decomposeQuery(userQuery, model = getDefaultModel('utility'), usage = null) {
   const prompt = `Analyze this construction question and determine if it needs to be broken down into simpler sub-questions:
 
 "${userQuery}"
@@ -160,7 +158,7 @@ Return ONLY a JSON object in this format:
     const response = await callLLM(
       [{ role: 'user', content: prompt }],
       model,
-      { temperature: 0.3, maxTokens: 300 }
+      { temperature: 0.3, maxTokens: 300, usage }
     );
 
     const parsed = JSON.parse(response.trim());
@@ -171,6 +169,9 @@ Return ONLY a JSON object in this format:
 
     return parsed.subquestions;
   } catch (error) {
+    if (error.name === 'BudgetExceededError') {
+      throw error;
+    }
     console.error('Error decomposing query:', error);
     return null; // Fallback to direct answering
   }
@@ -195,43 +196,92 @@ function isComplexQuery(query, relevantChunksCount) {
   return isLongQuery || hasComplexityIndicator || hasManySources;
 }
 
+/**
+ * Record a call in the usage ledger, estimating its tokens when the API didn't report them
+ * @param {{ input, output }|null} tokens - From the API response
+ */
+function recordCall(modelConfig, usage, messages, content, tokens) {
+  if (!usage) {
+    return;
+  }
+  const promptText = messages.map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content))).join('\n');
+  recordUsage(usage, {
+    provider: getUsageProvider(modelConfig.provider),
+    model: modelConfig.model,
+    inputTokens: tokens ? tokens.input : estimateTokens(promptText),
+    outputTokens: tokens ? tokens.output : estimateTokens(content),
+    pricing: modelConfig.pricing,
+    estimated: !tokens
+  });
+}
+
 /**
  * Call LLM with the appropriate provider
+ * @param {object} options - temperature, maxTokens, onToken(text) to stream the
+ *   answer as it is generated (the full text is still returned), and usage, the
+ *   scope to record the call against (see services/usage.js); the project's
+ *   budget is checked before calling
  */
 async function callLLM(messages, model, options = {}) {
-  const modelConfig = MODELS[model];
-
-  if (!modelConfig) {
-    throw new Error(`Unknown model: ${model}`);
-  }
+  const modelConfig = resolveModel(model);
+  const { client } = modelConfig;
 
   const temperature = options.temperature ?? modelConfig.temperature;
   const maxTokens = options.maxTokens ?? modelConfig.maxTokens;
+  // Models that can't stream send their answer as a single token
+  const onToken = modelConfig.streaming ? options.onToken : null;
 
-  if (modelConfig.provider === 'openai') {
-    if (!openai) {
-      throw new Error('OpenAI not initialized');
-    }
+  if (options.onToken && !onToken) {
+    const content = await callLLM(messages, model, { ...options, onToken: null });
+    options.onToken(content);
+    return content;
+  }
+
+  if (options.usage) {
+    assertWithinBudget(options.usage.projectId);
+  }
 
-    const completion = await openai.chat.completions.create({
-      model: model,
+  // The fake provider speaks the OpenAI API
+  if (['openai', 'openai-compatible', 'fake'].includes(modelConfig.providerType)) {
+    const request = {
+      model: modelConfig.model,
       messages: messages,
       temperature: temperature,
       max_tokens: maxTokens
-    });
-
-    return completion.choices[0].message.content;
-  } else if (modelConfig.provider === 'anthropic') {
-    if (!anthropic) {
-      throw new Error('Anthropic not initialized');
+    };
+
+    if (onToken) {
+      // Token counts come in a last chunk with no choices
+      const stream = await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } });
+      let content = '';
+      let tokens = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+        if (chunk.usage) {
+          tokens = { input: chunk.usage.prompt_tokens, output: chunk.usage.completion_tokens };
+        }
+      }
+      recordCall(modelConfig, options.usage, messages, content, tokens);
+      return content;
     }
 
+    const completion = await client.chat.completions.create(request);
+    const content = completion.choices[0].message.content;
+    recordCall(modelConfig, options.usage, messages, content,
+      completion.usage ? { input: completion.usage.prompt_tokens, output: completion.usage.completion_tokens } : null);
+
+    return content;
+  } else if (modelConfig.providerType === 'anthropic') {
     // Convert messages to Anthropic format
     const systemMessage = messages.find(m => m.role === 'system');
     const conversationMessages = messages.filter(m => m.role !== 'system');
 
-    const response = await anthropic.messages.create({
-      model: model === 'claude-opus-4.5' ? 'claude-opus-4-20250514' : 'claude-sonnet-4-20250514',
+    const request = {
+      model: modelConfig.model,
       max_tokens: maxTokens,
       temperature: temperature,
       system: systemMessage ? systemMessage.content : undefined,
@@ -239,19 +289,65 @@ async function callLLM(messages, model, options = {}) {
         role: m.role === 'assistant' ? 'assistant' : 'user',
         content: m.content
       }))
-    });
+    };
+
+    if (onToken) {
+      const stream = await client.messages.create({ ...request, stream: true });
+      let content = '';
+      // Input tokens are reported when the message starts, output tokens as it ends
+      const tokens = { input: 0, output: 0 };
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          content += event.delta.text;
+          onToken(event.delta.text);
+        } else if (event.type === 'message_start' && event.message.usage) {
+          tokens.input = event.message.usage.input_tokens;
+        } else if (event.type === 'message_delta' && event.usage) {
+          tokens.output = event.usage.output_tokens;
+        }
+      }
+      recordCall(modelConfig, options.usage, messages, content, tokens.input || tokens.output ? tokens : null);
+      return content;
+    }
+
+    const response = await client.messages.create(request);
+    const content = response.content[0].text;
+    recordCall(modelConfig, options.usage, messages, content,
+      response.usage ? { input: response.usage.input_tokens, output: response.usage.output_tokens } : null);
 
-    return response.content[0].text;
+    return content;
   } else {
-    throw new Error(`Unknown provider: ${modelConfig.provider}`);
+    throw new Error(`Unknown provider type: ${modelConfig.providerType}`);
+  }
+}
+
+/**
+ * Drop the last sources from the context when it is too long for the model's
+ * context window (local models often have 8k tokens or less)
+ */
+function fitContext(context, modelConfig) {
+  if (!modelConfig || !modelConfig.contextWindow) {
+    return context;
+  }
+
+  const budget = (modelConfig.contextWindow - modelConfig.maxTokens - PROMPT_RESERVE_TOKENS) * CHARS_PER_TOKEN;
+  if (context.length <= budget) {
+    return context;
   }
+
+  // Cut between sources where possible
+  const cut = context.lastIndexOf('\n\n---\n\n', Math.max(0, budget));
+  const trimmed = context.slice(0, cut > 0 ? cut : Math.max(0, budget));
+  console.log(`Context trimmed from ${context.length} to ${trimmed.length} characters for ${modelConfig.id}`);
+  return trimmed;
 }
 
 /**
  * Generate answer with chain-of-thought reasoning
  */
-async function answerWithChainOfThought(question, context, chatHistory, projectName, model, useDecomposition = false) {
-  const systemPrompt = getEnhancedSystemPrompt(projectName, context);
+async function answerWithChainOfThought(question, context, chatHistory, projectName, model, useDecomposition = false, onToken = null, usage = null) {
+  const modelConfig = getModelConfig(model);
+  const systemPrompt = getEnhancedSystemPrompt(projectName, fitContext(context, modelConfig));
 
   // Build messages array
   const messages = [
@@ -268,8 +364,7 @@ async function answerWithChainOfThought(question, context, chatHistory, projectN
   }
 
   // For complex questions with Claude, use chain-of-thought
-  const modelConfig = MODELS[model];
-  const useCoT = modelConfig.provider === 'anthropic' && useDecomposition;
+  const useCoT = modelConfig.providerType === 'anthropic' && useDecomposition;
 
   if (useCoT) {
     // Add reasoning instruction
@@ -298,16 +393,24 @@ Then provide your final answer with proper citations.`;
   }
 
   // Call the LLM
-  const response = await callLLM(messages, model);
+  const response = await callLLM(messages, model, { onToken, usage });
 
   return response;
 }
 
+/**
+ * Stream answer text to onEvent as token events; without a listener, nothing is streamed
+ */
+function tokenListener(onEvent, subQuestion) {
+  return onEvent ? (text) => onEvent({ type: 'token', subQuestion, text }) : null;
+}
+
 /**
  * Answer with query decomposition for complex questions
  */
-async function answerWithDecomposition(subQuestions, searchFunction, projectId, chatHistory, projectName, model) {
+async function answerWithDecomposition(subQuestions, searchFunction, projectId, chatHistory, projectName, model, onEvent = null, usage = null, onSources = null) {
   const subAnswers = [];
+  const notify = onEvent || (() => {});
 
   console.log(`Decomposed into ${subQuestions.length} sub-questions`);
 
@@ -315,15 +418,26 @@ async function answerWithDecomposition(subQuestions, searchFunction, projectId,
   for (let i = 0; i < subQuestions.length; i++) {
     const subQ = subQuestions[i];
     console.log(`Answering sub-question ${i + 1}: ${subQ}`);
+    notify({
+      type: 'stage',
+      stage: 'answering',
+      subQuestion: i + 1,
+      subQuestions: subQuestions.length,
+      question: subQ,
+      message: `Answering sub-question ${i + 1} of ${subQuestions.length}: ${subQ}`
+    });
 
     // Search for relevant content for this sub-question
     const relevantContent = await searchFunction(projectId, subQ, 10);
+    if (onSources) {
+      onSources({ chunks: relevantContent.chunks || [], visualFindings: relevantContent.visualFindings || [], schedules: relevantContent.schedules || [] });
+    }
 
     // Create context
     let context = '';
     if (relevantContent.chunks && relevantContent.chunks.length > 0) {
       const contextParts = relevantContent.chunks.map((chunk, idx) =>
-        `[Source ${idx + 1}: ${chunk.filename}, ${chunk.sheet_number ? `Sheet ${chunk.sheet_number}` : `Page ${chunk.page_number}`}]\n${chunk.content}`
+        `[Source ${idx + 1}: ${chunk.filename}, ${describeChunkLocation(chunk)}]\n${chunk.content}${describeAddenda(chunk)}`
       );
       context = contextParts.join('\n\n---\n\n');
     }
@@ -334,6 +448,10 @@ async function answerWithDecomposition(subQuestions, searchFunction, projectId,
       ).join('\n\n---\n\n');
     }
 
+    if (relevantContent.schedules && relevantContent.schedules.length > 0) {
+      context += '\n\n## Schedules\n' + relevantContent.schedules.map(formatScheduleForContext).join('\n\n');
+    }
+
     // Answer this sub-question with context from previous answers
     const previousContext = subAnswers.map((sa, idx) =>
       `Sub-question ${idx + 1}: ${subQuestions[idx]}\nAnswer: ${sa}`
@@ -349,12 +467,16 @@ async function answerWithDecomposition(subQuestions, searchFunction, projectId,
       chatHistory,
       projectName,
       model,
-      false // Don't use CoT for sub-questions
+      false, // Don't use CoT for sub-questions
+      tokenListener(onEvent, i + 1),
+      forStage(usage, 'sub-answer')
     );
 
     subAnswers.push(answer);
   }
 
+  notify({ type: 'stage', stage: 'synthesizing', message: 'Combining the sub-answers...' });
+
   // Synthesize final answer from sub-answers
   const synthesisPrompt = `Based on the following sub-questions and their answers, provide a comprehensive final answer that synthesizes all the information:
 
@@ -371,7 +493,7 @@ Provide a well-organized, comprehensive answer that combines insights from all s
       { role: 'user', content: synthesisPrompt }
     ],
     model,
-    { temperature: 0.3 }
+    { temperature: 0.3, onToken: tokenListener(onEvent, null), usage: forStage(usage, 'synthesis') }
   );
 
   return finalAnswer;
@@ -379,26 +501,39 @@ Provide a well-organized, comprehensive answer that combines insights from all s
 
 /**
  * Main function to generate an AI response with all enhancements
+ * @param {object} options - useMultiQuery, useQueryDecomposition, relevantContentLimit,
+ *   onEvent(event) to follow progress: { type: 'stage', stage, message, ... } as each step
+ *   starts and { type: 'token', text, subQuestion } as answer text is generated
+ *   (subQuestion is the sub-question being answered, null for the answer itself),
+ *   usage, the scope LLM calls are recorded against (see services/usage.js), and
+ *   onSources({ chunks, visualFindings, schedules }), called with the sources of each
+ *   context the answer (or a sub-answer) is written from
  */
-async function generateResponse(question, searchFunction, projectId, chatHistory, projectName, model = 'gpt-4o', options = {}) {
+async function generateResponse(question, searchFunction, projectId, chatHistory, projectName, model = getDefaultModel('chat'), options = {}) {
   const {
     useMultiQuery = true,
     useQueryDecomposition = true,
-    relevantContentLimit = 15
+    relevantContentLimit = 15,
+    onEvent = null,
+    usage = null,
+    onSources = null
   } = options;
+  const notify = onEvent || (() => {});
 
-  console.log(`Using model: ${model} (${MODELS[model]?.name})`);
+  console.log(`Using model: ${model} (${getModelConfig(model)?.name})`);
 
   // Step 1: Multi-query expansion for better retrieval
   let searchQueries = [question];
   if (useMultiQuery) {
     console.log('Expanding query with alternative phrasings...');
-    const expandedQueries = await expandQuery(question, 'gpt-4o-mini');
+    notify({ type: 'stage', stage: 'expanding', message: 'Rephrasing the question...' });
+    const expandedQueries = await expandQuery(question, getDefaultModel('utility'), forStage(usage, 'expansion'));
     searchQueries = [question, ...expandedQueries];
     console.log(`Generated ${searchQueries.length} search variations`);
   }
 
   // Step 2: Search with all query variations and merge results
+  notify({ type: 'stage', stage: 'searching', message: `Searching with ${searchQueries.length} phrasings...` });
   const allResults = await Promise.all(
     searchQueries.map(q => searchFunction(projectId, q, Math.ceil(relevantContentLimit / searchQueries.length)))
   );
@@ -406,6 +541,7 @@ async function generateResponse(question, searchFunction, projectId, chatHistory
   // Merge and deduplicate results
   const mergedChunks = new Map();
   const mergedVisualFindings = new Map();
+  const mergedSchedules = new Map();
 
   for (const result of allResults) {
     if (result.chunks) {
@@ -422,19 +558,28 @@ async function generateResponse(question, searchFunction, projectId, chatHistory
         }
       }
     }
+    // The original question's search comes first, so its row filters are the ones kept
+    if (result.schedules) {
+      for (const schedule of result.schedules) {
+        if (!mergedSchedules.has(schedule.id)) {
+          mergedSchedules.set(schedule.id, schedule);
+        }
+      }
+    }
   }
 
   const relevantChunks = Array.from(mergedChunks.values()).slice(0, relevantContentLimit);
   const relevantVisualFindings = Array.from(mergedVisualFindings.values()).slice(0, 5);
 
   console.log(`Found ${relevantChunks.length} relevant chunks and ${relevantVisualFindings.length} visual findings`);
+  const sourceCount = relevantChunks.length + relevantVisualFindings.length + mergedSchedules.size;
+  notify({ type: 'stage', stage: 'retrieving', sources: sourceCount, message: `Retrieved ${sourceCount} sources` });
 
   // Step 3: Format context
   let context = '';
   if (relevantChunks.length > 0) {
     const contextParts = relevantChunks.map((chunk, idx) => {
-      const location = chunk.sheet_number ? `Sheet ${chunk.sheet_number}` : `Page ${chunk.page_number}`;
-      const header = `[Source ${idx + 1}: ${chunk.filename}, ${location}]`;
+      const header = `[Source ${idx + 1}: ${chunk.filename}, ${describeChunkLocation(chunk)}]`;
 
       let content = chunk.content;
 
@@ -443,6 +588,8 @@ async function generateResponse(question, searchFunction, projectId, chatHistory
         content += `\n\n[OCR Text]: ${chunk.ocr_text}`;
       }
 
+      content += describeAddenda(chunk);
+
       return `${header}\n${content}`;
     });
     context = contextParts.join('\n\n---\n\n');
@@ -472,6 +619,10 @@ async function generateResponse(question, searchFunction, projectId, chatHistory
     context += '\n\n## Visual Analysis Findings\n' + visualContext;
   }
 
+  if (mergedSchedules.size > 0) {
+    context += '\n\n## Schedules\n' + Array.from(mergedSchedules.values()).map(formatScheduleForContext).join('\n\n');
+  }
+
   // Step 4: Determine if query decomposition is needed
   const isComplex = useQueryDecomposition && isComplexQuery(question, relevantChunks.length);
   let shouldDecompose = false;
@@ -479,7 +630,8 @@ async function generateResponse(question, searchFunction, projectId, chatHistory
 
   if (isComplex) {
     console.log('Detected complex query, attempting decomposition...');
-    subQuestions = await decomposeQuery(question, 'gpt-4o-mini');
+    notify({ type: 'stage', stage: 'decomposing', message: 'Breaking the question into sub-questions...' });
+    subQuestions = await decomposeQuery(question, getDefaultModel('utility'), forStage(usage, 'decomposition'));
     shouldDecompose = subQuestions !== null && subQuestions.length > 1;
   }
 
@@ -493,36 +645,34 @@ async function generateResponse(question, searchFunction, projectId, chatHistory
       projectId,
       chatHistory,
       projectName,
-      model
+      model,
+      onEvent,
+      usage,
+      onSources
     );
   } else {
     console.log('Using direct answering with chain-of-thought');
+    notify({ type: 'stage', stage: 'answering', message: 'Writing the answer...' });
+    if (onSources) {
+      onSources({ chunks: relevantChunks, visualFindings: relevantVisualFindings, schedules: Array.from(mergedSchedules.values()) });
+    }
     response = await answerWithChainOfThought(
       question,
       context,
       chatHistory,
       projectName,
       model,
-      isComplex // Use CoT reasoning for complex queries
+      isComplex, // Use CoT reasoning for complex queries
+      tokenListener(onEvent, null),
+      forStage(usage, 'answer')
     );
   }
 
   return response;
 }
 
-/**
- * Get list of available models
- */
-function getAvailableModels() {
-  return Object.keys(MODELS).map(key => ({
-    id: key,
-    ...MODELS[key]
-  }));
-}
-
 module.exports = {
-  initAI,
+  callLLM,
   generateResponse,
-  getAvailableModels,
-  MODELS
+  getAvailableModels
 };
@@ -1,15 +1,20 @@
-const OpenAI = require('openai');
-const { runQuery, getQuery, getOneQuery } = require('./database');
-const { searchRelevantChunks, searchRelevantContent, formatChunksForContext } = require('./embeddings');
-const { initAI, generateResponse, getAvailableModels } = require('./aiHandler');
-
-let openai = null;
-
-function initOpenAI(apiKey, anthropicKey) {
-  openai = new OpenAI({ apiKey });
-  // Initialize the AI handler with both API keys
-  initAI(apiKey, anthropicKey);
-}
+const { runQuery, getQuery } = require('./database');
+const { searchHybrid } = require('./embeddings');
+const { callLLM, generateResponse, getAvailableModels } = require('./aiHandler');
+const { resolveModel, getDefaultModel } = require('./services/providers');
+const { parseQuery, hasExactReferences } = require('./services/queryParser');
+const { formatSectionNumber } = require('./services/specParser');
+const { getRevisionScope, compareRevisions } = require('./services/revisions');
+const { findSchedulesForQuestion } = require('./services/schedules');
+const { attachCitationSpans } = require('./services/citationHighlights');
+const { verifyCitations } = require('./services/citationVerification');
+const { forStage, assertWithinBudget, linkUsageToMessage } = require('./services/usage');
+
+// Limits on content pinned by exact sheet/detail/section references
+const MAX_PINNED_CHUNKS = 8;
+const MAX_PINNED_VISUAL_FINDINGS = 5;
+// Spec articles/sheets pulled in next to the addendum items that change them
+const MAX_ADDENDUM_TARGETS = 4;
 
 /**
  * Create a new chat
@@ -37,6 +42,7 @@ function getChatHistory(chatId) {
 
 /**
  * Add message to chat
+ * @returns {number} The message ID
  */
 function addMessage(chatId, role, content, citations = null) {
   runQuery(
@@ -44,14 +50,21 @@ function addMessage(chatId, role, content, citations = null) {
     [chatId, role, content, citations ? JSON.stringify(citations) : null]
   );
   
+  const messages = getQuery('SELECT id FROM messages ORDER BY id DESC LIMIT 1');
+
   // Update chat's updated_at timestamp
   runQuery('UPDATE chats SET updated_at = datetime("now") WHERE id = ?', [chatId]);
+
+  return messages[0].id;
 }
 
 /**
  * Resolve sheet numbers to page numbers for PDF navigation
  */
-function resolveSheetNumbers(citations, projectId) {
+function resolveSheetNumbers(citations, projectId, isCurrent = () => true) {
+  // Several revisions may share a filename; prefer the one the answer was drawn from
+  const pickRevision = (rows) => rows.find(row => isCurrent(row.document_id, row.sheet_number)) || rows[0];
+
   return citations.map(citation => {
     // If already has page number or no sheet number, return as is
     if (citation.page || !citation.sheet) {
@@ -59,39 +72,41 @@ function resolveSheetNumbers(citations, projectId) {
     }
 
     // Look up the page number for this sheet number
-    const result = getOneQuery(`
-      SELECT c.page_number, d.filename
+    const result = pickRevision(getQuery(`
+      SELECT c.page_number, c.document_id, c.sheet_number, d.filename
       FROM chunks c
       JOIN documents d ON c.document_id = d.id
       WHERE d.project_id = ?
         AND c.sheet_number = ?
         AND d.filename = ?
-      LIMIT 1
-    `, [projectId, citation.sheet, citation.source]);
+      ORDER BY d.id DESC, c.page_number ASC
+    `, [projectId, citation.sheet, citation.source]));
 
     if (result) {
       return {
         ...citation,
         page: result.page_number,
-        filename: result.filename
+        filename: result.filename,
+        documentId: result.document_id
       };
     }
 
     // If no exact match found, try to find by filename only
-    const fallback = getOneQuery(`
-      SELECT c.page_number, c.sheet_number, d.filename
+    const fallback = pickRevision(getQuery(`
+      SELECT c.page_number, c.document_id, NULL as sheet_number, d.filename
       FROM chunks c
       JOIN documents d ON c.document_id = d.id
       WHERE d.project_id = ?
         AND d.filename = ?
-      LIMIT 1
-    `, [projectId, citation.source]);
+      ORDER BY d.id DESC, c.page_number ASC
+    `, [projectId, citation.source]));
 
     if (fallback) {
       return {
         ...citation,
         page: fallback.page_number,
-        filename: fallback.filename
+        filename: fallback.filename,
+        documentId: fallback.document_id
       };
     }
 
@@ -100,7 +115,7 @@ function resolveSheetNumbers(citations, projectId) {
   });
 }
 
-function expandChunksWithCallouts(chunks, projectId, maxAdditional = 6) {
+function expandChunksWithCallouts(chunks, projectId, maxAdditional = 6, isCurrent = () => true) {
   const detailSheets = new Set();
   const chunkIds = new Set(chunks.map(chunk => chunk.id));
 
@@ -134,14 +149,199 @@ function expandChunksWithCallouts(chunks, projectId, maxAdditional = 6) {
     WHERE d.project_id = ?
       AND c.sheet_number IN (${Array.from(detailSheets).map(() => '?').join(', ')})
     ORDER BY c.page_number ASC
-    LIMIT ?
     `,
-    [projectId, ...Array.from(detailSheets), maxAdditional]
-  ).filter(chunk => !chunkIds.has(chunk.id));
+    [projectId, ...Array.from(detailSheets)]
+  )
+    .filter(chunk => !chunkIds.has(chunk.id) && isCurrent(chunk.document_id, chunk.sheet_number))
+    .slice(0, maxAdditional);
 
   return [...chunks, ...additionalChunks];
 }
 
+function addendumItemMatches(item, chunk) {
+  if (item.section_number) {
+    return item.section_number === chunk.section_number &&
+      (!item.article_number || !chunk.article_number || item.article_number === chunk.article_number);
+  }
+  return Boolean(chunk.sheet_number) && JSON.parse(item.sheet_numbers || '[]').includes(chunk.sheet_number.toUpperCase());
+}
+
+/**
+ * Put addendum changes next to the content they modify. Spec and drawing chunks
+ * get the in-scope addendum items targeting their section/article or sheet as
+ * chunk.addenda (oldest addendum first), and an addendum item found by search
+ * brings the spec article or sheet it changes in just ahead of it.
+ */
+function attachAddendumItems(chunks, projectId, isCurrent = () => true) {
+  const items = getQuery(`
+    SELECT ai.*, d.filename, d.revision, d.issue_date, d.created_at
+    FROM addendum_items ai
+    JOIN documents d ON ai.document_id = d.id
+    WHERE d.project_id = ?
+  `, [projectId])
+    .filter(item => isCurrent(item.document_id, null))
+    .sort((a, b) => compareRevisions({ ...a, id: a.document_id }, { ...b, id: b.document_id }) || a.id - b.id);
+
+  if (items.length === 0) {
+    return chunks;
+  }
+
+  const chunkIds = new Set(chunks.map(chunk => chunk.id));
+  const result = [];
+  let targetsAdded = 0;
+
+  for (const chunk of chunks) {
+    if (chunk.type === 'addendum' && targetsAdded < MAX_ADDENDUM_TARGETS) {
+      for (const item of items.filter(item => item.chunk_id === chunk.id && item.target_type !== 'general')) {
+        const sheetNumbers = JSON.parse(item.sheet_numbers || '[]');
+        const candidates = item.section_number
+          ? getQuery(`
+              SELECT c.*, d.filename, d.type, 'chunk' as source_type
+              FROM chunks c
+              JOIN documents d ON c.document_id = d.id
+              WHERE d.project_id = ? AND d.type != 'addendum' AND c.section_number = ?
+              ORDER BY (c.article_number = ?) DESC, d.id DESC, c.chunk_index ASC
+            `, [projectId, item.section_number, item.article_number])
+          : getQuery(`
+              SELECT c.*, d.filename, d.type, 'chunk' as source_type
+              FROM chunks c
+              JOIN documents d ON c.document_id = d.id
+              WHERE d.project_id = ? AND d.type != 'addendum' AND UPPER(c.sheet_number) IN (${sheetNumbers.map(() => '?').join(', ')})
+              ORDER BY d.id DESC, c.chunk_index ASC
+            `, [projectId, ...sheetNumbers]);
+
+        const target = candidates.find(candidate => isCurrent(candidate.document_id, candidate.sheet_number));
+        if (target && !chunkIds.has(target.id)) {
+          const { embedding, ...targetChunk } = target;
+          result.push(targetChunk);
+          chunkIds.add(target.id);
+          targetsAdded++;
+        }
+      }
+    }
+    result.push(chunk);
+  }
+
+  return result.map(chunk => {
+    if (chunk.type === 'addendum') {
+      return chunk;
+    }
+
+    const addenda = items
+      .filter(item => addendumItemMatches(item, chunk))
+      .map(item => ({
+        documentId: item.document_id,
+        filename: item.filename,
+        revision: item.revision,
+        itemNumber: item.item_number,
+        pageNumber: item.page_number,
+        action: item.action,
+        instruction: item.instruction,
+        newText: item.new_text
+      }));
+    return addenda.length > 0 ? { ...chunk, addenda } : chunk;
+  });
+}
+
+/**
+ * Look up the exact sheets, details and spec sections named in a question.
+ * Returns the chunks and visual findings for them, marked as pinned.
+ */
+function findPinnedContent(projectId, parsedQuery, isCurrent = () => true) {
+  const chunks = [];
+  const visualFindings = [];
+  const placeholders = (values) => values.map(() => '?').join(', ');
+
+  // Sheets asked about directly, plus the sheets the requested details are drawn on
+  const sheets = [...new Set([...parsedQuery.sheets, ...parsedQuery.details.map(detail => detail.targetSheet)])];
+  if (sheets.length > 0) {
+    chunks.push(...getQuery(
+      `
+      SELECT c.*, d.filename, d.type, 'chunk' as source_type
+      FROM chunks c
+      JOIN documents d ON c.document_id = d.id
+      WHERE d.project_id = ? AND UPPER(c.sheet_number) IN (${placeholders(sheets)})
+      ORDER BY c.document_id ASC, c.page_number ASC
+      `,
+      [projectId, ...sheets]
+    ));
+
+    visualFindings.push(...getQuery(
+      `
+      SELECT vf.*, d.filename, d.type, 'visual_finding' as source_type
+      FROM visual_findings vf
+      JOIN documents d ON vf.document_id = d.id
+      WHERE d.project_id = ? AND UPPER(vf.sheet_number) IN (${placeholders(sheets)})
+      ORDER BY vf.document_id ASC, vf.page_number ASC
+      `,
+      [projectId, ...sheets]
+    ));
+  }
+
+  // Pages that call out the requested details
+  const details = parsedQuery.details.map(detail => detail.reference);
+  if (details.length > 0) {
+    chunks.push(...getQuery(
+      `
+      SELECT DISTINCT c.*, d.filename, d.type, 'chunk' as source_type
+      FROM callouts co
+      JOIN chunks c ON c.document_id = co.document_id AND c.page_number = co.page_number
+      JOIN documents d ON c.document_id = d.id
+      WHERE d.project_id = ? AND UPPER(co.detail_reference) IN (${placeholders(details)})
+      ORDER BY c.document_id ASC, c.page_number ASC
+      `,
+      [projectId, ...details]
+    ));
+  }
+
+  // Spec sections: article chunks tagged with the section, otherwise exact phrases
+  // ("08 71 00" or "087100") in the text index
+  const sections = parsedQuery.specSections;
+  const sectionChunks = sections.length === 0 ? [] : getQuery(
+    `
+    SELECT c.*, d.filename, d.type, 'chunk' as source_type
+    FROM chunks c
+    JOIN documents d ON c.document_id = d.id
+    WHERE d.project_id = ? AND c.section_number IN (${placeholders(sections)})
+    ORDER BY c.document_id ASC, c.page_number ASC
+    LIMIT ?
+    `,
+    [projectId, ...sections, MAX_PINNED_CHUNKS]
+  );
+  chunks.push(...sectionChunks);
+
+  if (sections.length > 0 && sectionChunks.length === 0) {
+    const phrases = parsedQuery.specSections.flatMap(section => [
+      `"${section.replace('.', ' ')}"`,
+      `"${section.replace(/\D/g, '').slice(0, 6)}"`
+    ]);
+    chunks.push(...getQuery(
+      `
+      SELECT c.*, d.filename, d.type, 'chunk' as source_type
+      FROM chunks_fts
+      JOIN chunks c ON c.id = chunks_fts.docid
+      JOIN documents d ON c.document_id = d.id
+      WHERE chunks_fts MATCH ? AND d.project_id = ?
+      ORDER BY (d.type = 'spec') DESC, c.document_id ASC, c.page_number ASC
+      LIMIT ?
+      `,
+      [phrases.join(' OR '), projectId, MAX_PINNED_CHUNKS]
+    ));
+  }
+
+  const unique = (items) => Array.from(new Map(
+    items
+      .filter(item => isCurrent(item.document_id, item.sheet_number))
+      .map(item => [item.id, item])
+  ).values());
+  const pin = ({ embedding, ...item }) => ({ ...item, pinned: true });
+
+  return {
+    chunks: unique(chunks).slice(0, MAX_PINNED_CHUNKS).map(pin),
+    visualFindings: unique(visualFindings).slice(0, MAX_PINNED_VISUAL_FINDINGS).map(pin)
+  };
+}
+
 function formatVisualFindings(projectId, chunks) {
   const pageKeys = chunks.map(chunk => `${chunk.document_id}:${chunk.page_number}`);
   if (pageKeys.length === 0) {
@@ -224,6 +424,7 @@ function formatVisualFindingsFromSearch(visualFindings) {
  * - Sheet-based: [Drawing A-101, Sheet A-101] or [Drawing A-101, Sheet S-3.1]
  * - Page-based (fallback): [Section 09 90 00, Page 5]
  * - Detail-based: [Drawing A-101, Detail 3/A-101]
+ * - Spec section: [Specs.pdf, Section 09 91 23, 2.3.B] (article/paragraph optional)
  */
 function extractCitations(content) {
   const citations = [];
@@ -271,40 +472,126 @@ function extractCitations(content) {
     }
   }
 
+  // Pattern 4: Spec sections [filename, Section ## ## ##, 2.3.B]
+  const sectionRegex = /\[([^\]]+?),\s*Section\s+(\d{2}\s?\d{2}\s?\d{2}(?:\.\d{2})?)(?:,\s*(\d\.\d{1,2})(?:\.([A-Z])(?:\.\d+)*)?)?\]/gi;
+  while ((match = sectionRegex.exec(content)) !== null) {
+    const digits = match[2].replace(/\D/g, '');
+    citations.push({
+      source: match[1].trim(),
+      section: formatSectionNumber(digits.slice(0, 2), digits.slice(2, 4), digits.slice(4, 6), digits.slice(6) || null),
+      article: match[3] || null,
+      paragraph: match[4] ? match[4].toUpperCase() : null,
+      page: null,
+      sheet: null,
+      fullText: match[0]
+    });
+  }
+
   return citations;
 }
 
 /**
- * Enhanced search function that returns structured data for AI handler
+ * Resolve spec section citations to the page where the cited article
+ * (or paragraph, when given) starts
  */
-async function searchForAI(projectId, query, limit = 15) {
-  const relevantContent = await searchRelevantContent(projectId, query, limit);
+function resolveSpecSections(citations, projectId, isCurrent = () => true) {
+  return citations.map(citation => {
+    if (citation.page || !citation.section) {
+      return citation;
+    }
+
+    const candidates = getQuery(`
+      SELECT c.page_number, c.article_number, c.paragraph_pages, c.document_id, d.filename
+      FROM chunks c
+      JOIN documents d ON c.document_id = d.id
+      WHERE d.project_id = ? AND c.section_number = ?
+      ORDER BY (d.filename = ?) DESC, (d.type = 'addendum') ASC, d.id DESC, c.page_number ASC
+    `, [projectId, citation.section, citation.source]);
+
+    if (candidates.length === 0) {
+      return citation;
+    }
+
+    // Fall back to the start of the section if the article isn't found
+    const cited = candidates.find(chunk => isCurrent(chunk.document_id, null)) || candidates[0];
+    const chunks = candidates.filter(chunk => chunk.document_id === cited.document_id);
+    const articleChunks = citation.article ? chunks.filter(chunk => chunk.article_number === citation.article) : [];
+    let page = (articleChunks[0] || chunks[0]).page_number;
+
+    if (citation.paragraph) {
+      for (const chunk of articleChunks) {
+        const paragraphPages = chunk.paragraph_pages ? JSON.parse(chunk.paragraph_pages) : {};
+        if (paragraphPages[citation.paragraph]) {
+          page = paragraphPages[citation.paragraph];
+          break;
+        }
+      }
+    }
+
+    return {
+      ...citation,
+      page,
+      filename: chunks[0].filename,
+      documentId: chunks[0].document_id
+    };
+  });
+}
+
+/**
+ * Enhanced search function that returns structured data for AI handler.
+ * Only current revisions are searched, unless the question (or options.asOf)
+ * asks about the set "as of" an earlier revision. The query embedding is
+ * recorded against options.usage.
+ */
+async function searchForAI(projectId, query, limit = 15, options = {}) {
+  // Exact sheet/detail/section references go ahead of search results
+  const parsedQuery = parseQuery(query);
+  const asOf = options.asOf || parsedQuery.asOf;
+  const { isCurrent } = getRevisionScope(projectId, { asOf });
+
+  const pinned = hasExactReferences(parsedQuery)
+    ? findPinnedContent(projectId, parsedQuery, isCurrent)
+    : { chunks: [], visualFindings: [] };
+
+  const relevantContent = await searchHybrid(projectId, query, limit, { asOf, usage: options.usage });
+
+  const pinnedChunkIds = new Set(pinned.chunks.map(chunk => chunk.id));
+  const pinnedFindingIds = new Set(pinned.visualFindings.map(finding => finding.id));
 
   // Separate chunks from visual findings
-  const chunks = relevantContent
-    .filter(item => item.source_type === 'chunk')
-    .map(item => item);
+  const chunks = [
+    ...pinned.chunks,
+    ...relevantContent.filter(item => item.source_type === 'chunk' && !pinnedChunkIds.has(item.id))
+  ];
 
-  const visualFindings = relevantContent
-    .filter(item => item.source_type === 'visual_finding')
-    .map(item => item);
+  const visualFindings = [
+    ...pinned.visualFindings,
+    ...relevantContent.filter(item => item.source_type === 'visual_finding' && !pinnedFindingIds.has(item.id))
+  ];
 
-  // Expand chunks with callouts
-  const expandedChunks = expandChunksWithCallouts(chunks, projectId);
+  // Expand chunks with callouts, then bring in the addendum changes that apply to them
+  const expandedChunks = expandChunksWithCallouts(chunks, projectId, 6, isCurrent);
+  const amendedChunks = attachAddendumItems(expandedChunks, projectId, isCurrent);
 
   return {
-    chunks: expandedChunks,
-    visualFindings: visualFindings
+    chunks: amendedChunks,
+    visualFindings: visualFindings,
+    // Structured schedule rows, so counts come from the table instead of text chunks
+    schedules: findSchedulesForQuestion(projectId, query, isCurrent)
   };
 }
 
 /**
  * Send message and get response
+ * @param {object} options - onEvent(event) to follow the answer's progress (stage and
+ *   token events, see aiHandler.generateResponse)
+ * @throws {BudgetExceededError} when the project's monthly budget is used up
  */
-async function sendMessage(chatId, userMessage, selectedModel = 'gpt-4o') {
-  if (!openai) {
-    throw new Error('OpenAI not initialized');
-  }
+async function sendMessage(chatId, userMessage, selectedModel = getDefaultModel('chat'), options = {}) {
+  const notify = options.onEvent || (() => {});
+
+  // Throws if the model is unknown or its provider isn't configured
+  resolveModel(selectedModel);
 
   // Get chat and project info
   const chats = getQuery('SELECT * FROM chats WHERE id = ?', [chatId]);
@@ -319,16 +606,32 @@ async function sendMessage(chatId, userMessage, selectedModel = 'gpt-4o') {
     throw new Error('Project not found');
   }
 
+  // A question the budget can't pay for isn't saved
+  assertWithinBudget(chat.project_id);
+  // Calls made for the answer are recorded against the chat, then linked to the saved answer
+  const usage = { projectId: chat.project_id, chatId: chat.id, ids: [] };
+
   // Add user message to database
   addMessage(chatId, 'user', userMessage);
 
+  // Rephrased and sub-question searches keep the revision the question asked about
+  const revisionScope = getRevisionScope(chat.project_id, { asOf: parseQuery(userMessage).asOf });
+  if (revisionScope.asOf) {
+    console.log(`Answering as of ${revisionScope.asOf.label} (${revisionScope.asOf.date})`);
+  } else if (revisionScope.unresolvedAsOf) {
+    console.log(`No documents match revision "${revisionScope.unresolvedAsOf}"; using current revisions`);
+  }
+  const asOf = revisionScope.asOf ? revisionScope.asOf.label : null;
+  const search = (projectId, query, limit) => searchForAI(projectId, query, limit, { asOf, usage: forStage(usage, 'search') });
+
   // Search for relevant content (both chunks and visual findings)
   console.log('Searching for relevant document content (text + vision)...');
-  const searchResults = await searchForAI(chat.project_id, userMessage, 15);
+  notify({ type: 'stage', stage: 'searching', message: 'Searching project documents...' });
+  const searchResults = await search(chat.project_id, userMessage, 15);
 
   if (searchResults.chunks.length === 0 && searchResults.visualFindings.length === 0) {
     const noDocsMessage = "I don't have any processed documents for this project yet. Please upload and process documents first.";
-    addMessage(chatId, 'assistant', noDocsMessage);
+    linkUsageToMessage(usage.ids, addMessage(chatId, 'assistant', noDocsMessage));
     return {
       role: 'assistant',
       content: noDocsMessage,
@@ -341,10 +644,13 @@ async function sendMessage(chatId, userMessage, selectedModel = 'gpt-4o') {
 
   console.log(`Generating response using ${selectedModel}...`);
 
+  // What the model was shown, to check its citations against
+  const contexts = [];
+
   // Use the new AI handler with all enhancements
   const assistantMessage = await generateResponse(
     userMessage,
-    searchForAI,
+    search,
     chat.project_id,
     history,
     project.name,
@@ -352,37 +658,54 @@ async function sendMessage(chatId, userMessage, selectedModel = 'gpt-4o') {
     {
       useMultiQuery: true,
       useQueryDecomposition: true,
-      relevantContentLimit: 15
+      relevantContentLimit: 15,
+      onEvent: options.onEvent,
+      usage,
+      onSources: (sources) => contexts.push(sources)
     }
   );
 
+  notify({ type: 'stage', stage: 'saving', message: 'Checking citations...' });
+
   // Extract citations
   let citations = extractCitations(assistantMessage);
 
   // Resolve sheet numbers to page numbers for PDF navigation
-  citations = resolveSheetNumbers(citations, chat.project_id);
+  citations = resolveSheetNumbers(citations, chat.project_id, revisionScope.isCurrent);
+  citations = resolveSpecSections(citations, chat.project_id, revisionScope.isCurrent);
+  // The passage each citation points at, so the viewer can highlight it
+  citations = attachCitationSpans(citations, assistantMessage);
+  // Citations to sources that weren't in context, or that don't back their statement, are flagged
+  citations = verifyCitations(citations, assistantMessage, contexts);
+  const unverified = citations.filter(citation => citation.verification.status !== 'verified');
+  if (unverified.length > 0) {
+    console.log(`${unverified.length} of ${citations.length} citation(s) could not be verified: ${unverified.map(citation => citation.fullText).join(', ')}`);
+  }
 
   // Add assistant message to database
-  addMessage(chatId, 'assistant', assistantMessage, citations);
+  const messageId = addMessage(chatId, 'assistant', assistantMessage, citations);
 
-  // Auto-generate chat title if this is the first exchange
-  if (history.length === 1) {
+  // Auto-generate chat title if this is the first exchange (history holds the earlier messages)
+  if (history.length === 0) {
     const titlePrompt = `Generate a brief, descriptive title (5-7 words max) for a conversation that starts with this question: "${userMessage}". Just return the title, nothing else.`;
     
     try {
-      const titleCompletion = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [{ role: 'user', content: titlePrompt }],
-        max_tokens: 20
-      });
-      
-      const title = titleCompletion.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
+      const titleCompletion = await callLLM(
+        [{ role: 'user', content: titlePrompt }],
+        getDefaultModel('utility'),
+        { maxTokens: 20, usage: forStage(usage, 'title') }
+      );
+
+      const title = titleCompletion.trim().replace(/^["']|["']$/g, '');
       runQuery('UPDATE chats SET title = ? WHERE id = ?', [title, chatId]);
     } catch (error) {
       console.error('Error generating chat title:', error);
     }
   }
 
+  // After the title, so its call is attributed to the answer too
+  linkUsageToMessage(usage.ids, messageId);
+
   return {
     role: 'assistant',
     content: assistantMessage,
@@ -403,7 +726,6 @@ function deleteOldChats(retentionDays) {
 }
 
 module.exports = {
-  initOpenAI,
   createChat,
   getChatHistory,
   sendMessage,
@@ -3,212 +3,329 @@ const fs = require('fs');
 const path = require('path');
 
 const DB_PATH = path.join(__dirname, 'db', 'database.sqlite');
+const DB_TEMP_PATH = `${DB_PATH}.tmp`;
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// sql.js keeps the whole database in memory; writes are persisted to disk in
+// batches rather than after every statement. A save happens once writes have
+// been quiet for SAVE_DEBOUNCE_MS, and at least every SAVE_MAX_WAIT_MS while
+// writes keep coming.
+const SAVE_DEBOUNCE_MS = Number.parseInt(process.env.DB_SAVE_DEBOUNCE_MS || '1000', 10);
+const SAVE_MAX_WAIT_MS = Number.parseInt(process.env.DB_SAVE_MAX_WAIT_MS || '10000', 10);
 
 let db = null;
+let dirty = false;
+let saveTimer = null;
+let firstUnsavedWriteAt = null;
+let transactionDepth = 0;
+let exitHandlersRegistered = false;
 
-async function initDatabase() {
+/**
+ * Open (or create) the database and bring its schema up to date.
+ * Pass { migrate: false } to open it without applying pending migrations.
+ */
+async function initDatabase({ migrate = true } = {}) {
   const SQL = await initSqlJs();
 
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+
+  // A leftover temp file means a save was interrupted; the main file is still intact
+  if (fs.existsSync(DB_TEMP_PATH)) {
+    fs.unlinkSync(DB_TEMP_PATH);
+  }
+
+  registerExitHandlers();
+
   // Load existing database or create new one
   if (fs.existsSync(DB_PATH)) {
     const buffer = fs.readFileSync(DB_PATH);
     db = new SQL.Database(buffer);
-    runMigrations();
   } else {
     db = new SQL.Database();
-    createTables();
-    saveDatabase();
+  }
+
+  configureConnection();
+  ensureMigrationsTable();
+
+  if (migrate) {
+    runMigrations();
   }
 
   return db;
 }
 
-function runMigrations() {
-  try {
-    // Check if sheet_number column exists in chunks table
-    const columns = db.exec("PRAGMA table_info(chunks)");
-    if (columns.length > 0) {
-      const columnNames = columns[0].values.map(row => row[1]);
-
-      // Add sheet_number column if it doesn't exist
-      if (!columnNames.includes('sheet_number')) {
-        console.log('Running migration: Adding sheet_number column to chunks table');
-        db.run('ALTER TABLE chunks ADD COLUMN sheet_number TEXT');
-        saveDatabase();
-      }
-
-      // Add detail_reference column if it doesn't exist
-      if (!columnNames.includes('detail_reference')) {
-        console.log('Running migration: Adding detail_reference column to chunks table');
-        db.run('ALTER TABLE chunks ADD COLUMN detail_reference TEXT');
-        saveDatabase();
-      }
+/**
+ * Per-connection settings. sql.js reopens the connection on every export(),
+ * which resets them, so this also runs after each save.
+ */
+function configureConnection() {
+  db.run('PRAGMA foreign_keys = ON');
+}
 
-      if (!columnNames.includes('ocr_text')) {
-        console.log('Running migration: Adding ocr_text column to chunks table');
-        db.run('ALTER TABLE chunks ADD COLUMN ocr_text TEXT');
-        saveDatabase();
-      }
+/**
+ * Delete rows whose parent row no longer exists (left over from before
+ * foreign keys were enforced). Deleting an orphaned parent cascades to its
+ * children, so this repeats until the check comes back clean.
+ * @returns {object} number of rows removed per table
+ */
+function removeOrphanedRows() {
+  const removed = {};
 
-      if (!columnNames.includes('image_path')) {
-        console.log('Running migration: Adding image_path column to chunks table');
-        db.run('ALTER TABLE chunks ADD COLUMN image_path TEXT');
-        saveDatabase();
-      }
+  for (let pass = 0; pass < 10; pass++) {
+    const violations = getQuery('PRAGMA foreign_key_check');
+    if (violations.length === 0) {
+      break;
     }
 
-    // Check if embedding column exists in visual_findings table
-    const vfColumns = db.exec("PRAGMA table_info(visual_findings)");
-    if (vfColumns.length > 0) {
-      const vfColumnNames = vfColumns[0].values.map(row => row[1]);
+    // A row with several broken references is reported once per reference
+    const orphans = new Map();
+    for (const violation of violations) {
+      orphans.set(`${violation.table}:${violation.rowid}`, violation);
+    }
 
-      if (!vfColumnNames.includes('embedding')) {
-        console.log('Running migration: Adding embedding column to visual_findings table');
-        db.run('ALTER TABLE visual_findings ADD COLUMN embedding TEXT');
-        saveDatabase();
+    transaction(() => {
+      for (const { table, rowid } of orphans.values()) {
+        runQuery(`DELETE FROM "${table}" WHERE rowid = ?`, [rowid]);
+        removed[table] = (removed[table] || 0) + 1;
       }
+    });
+  }
 
-      if (!vfColumnNames.includes('sheet_type')) {
-        console.log('Running migration: Adding sheet_type column to visual_findings table');
-        db.run('ALTER TABLE visual_findings ADD COLUMN sheet_type TEXT');
-        saveDatabase();
-      }
-    }
+  return removed;
+}
 
-    db.run(`
-      CREATE TABLE IF NOT EXISTS callouts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        document_id INTEGER NOT NULL,
-        page_number INTEGER NOT NULL,
-        sheet_number TEXT,
-        detail_reference TEXT NOT NULL,
-        detail_number TEXT,
-        target_sheet TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
-      )
-    `);
-
-    db.run(`
-      CREATE TABLE IF NOT EXISTS visual_findings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        document_id INTEGER NOT NULL,
-        page_number INTEGER NOT NULL,
-        sheet_number TEXT,
-        findings TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
-      )
-    `);
-    saveDatabase();
-  } catch (error) {
-    console.error('Migration error:', error);
-  }
+/**
+ * Numbered migration files in migrations/ (e.g. 004_add_revisions.js), each
+ * exporting { description, up(ctx) }. Sorted by version.
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(/^(\d+)_(.+)\.js$/) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: Number.parseInt(match[1], 10),
+        name: match[2],
+        description: migration.description || match[2],
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
 }
 
-function createTables() {
-  // Projects table
+function ensureMigrationsTable() {
   db.run(`
-    CREATE TABLE IF NOT EXISTS projects (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
       name TEXT NOT NULL,
-      description TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
+}
 
-  // Documents table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS documents (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      project_id INTEGER NOT NULL,
-      filename TEXT NOT NULL,
-      filepath TEXT NOT NULL,
-      type TEXT NOT NULL, -- 'spec' or 'drawing'
-      page_count INTEGER,
-      processed BOOLEAN DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
-    )
-  `);
+function hasColumn(table, column) {
+  return getQuery(`PRAGMA table_info("${table}")`).some(row => row.name === column);
+}
 
-  // Document chunks table (stores text chunks with embeddings)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS chunks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      document_id INTEGER NOT NULL,
-      page_number INTEGER NOT NULL,
-      sheet_number TEXT, -- Drawing sheet number (e.g., A-101, S-3.1)
-      detail_reference TEXT, -- Detail reference (e.g., "3/A-101")
-      ocr_text TEXT, -- OCR extracted text from rasterized page
-      image_path TEXT, -- Stored rasterized page image path
-      content TEXT NOT NULL,
-      embedding TEXT, -- JSON string of embedding vector
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
-    )
-  `);
+/**
+ * Applied and pending migrations. Versions recorded in the database but not
+ * known to this code (written by a newer version) are listed as unknown.
+ */
+function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const applied = new Map(
+    getQuery('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').map(row => [row.version, row])
+  );
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const currentVersion = applied.size > 0 ? Math.max(...applied.keys()) : 0;
 
-  // Chats table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS chats (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      project_id INTEGER NOT NULL,
-      title TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
-    )
-  `);
+  return {
+    currentVersion,
+    latestVersion,
+    migrations: migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: applied.has(migration.version),
+      appliedAt: applied.get(migration.version)?.applied_at || null
+    })),
+    pending: migrations.filter(migration => !applied.has(migration.version)).map(migration => migration.version),
+    unknown: [...applied.values()].filter(row => !migrations.some(migration => migration.version === row.version))
+  };
+}
 
-  // Messages table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      chat_id INTEGER NOT NULL,
-      role TEXT NOT NULL, -- 'user' or 'assistant'
-      content TEXT NOT NULL,
-      citations TEXT, -- JSON string of citation objects
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
-    )
-  `);
+/**
+ * Refuse to open a database whose schema was migrated by a newer version of
+ * the code, rather than writing to tables we don't understand.
+ */
+function assertSchemaSupported() {
+  const { currentVersion, latestVersion } = getMigrationStatus();
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Database schema is at version ${currentVersion} but this code only knows migrations up to ` +
+      `${latestVersion}. Update the application before using this database.`
+    );
+  }
+}
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS callouts (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      document_id INTEGER NOT NULL,
-      page_number INTEGER NOT NULL,
-      sheet_number TEXT,
-      detail_reference TEXT NOT NULL,
-      detail_number TEXT,
-      target_sheet TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
-    )
-  `);
+/**
+ * Apply pending migrations in order. Each migration and its schema_migrations
+ * row are committed together, so a failing migration leaves nothing behind.
+ * @returns {Array} migrations applied
+ */
+function runMigrations() {
+  assertSchemaSupported();
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS visual_findings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      document_id INTEGER NOT NULL,
-      page_number INTEGER NOT NULL,
-      sheet_number TEXT,
-      sheet_type TEXT,
-      findings TEXT NOT NULL,
-      embedding TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
-    )
-  `);
+  const { pending } = getMigrationStatus();
+  const migrations = loadMigrations().filter(migration => pending.includes(migration.version));
+  const ctx = {
+    run: (sql, params = []) => db.run(sql, params),
+    query: getQuery,
+    hasColumn,
+    removeOrphanedRows
+  };
+
+  for (const migration of migrations) {
+    console.log(`Running migration ${migration.version}: ${migration.description}`);
+    try {
+      transaction(() => {
+        migration.up(ctx);
+        db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        dirty = true;
+      });
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+  }
+
+  if (migrations.length > 0) {
+    saveDatabase();
+  }
 
-  console.log('Database tables created successfully');
+  return migrations.map(({ version, name }) => ({ version, name }));
 }
 
+/**
+ * Write the database to disk immediately.
+ * The file is written to a temp path, fsynced and renamed over the old file,
+ * so a crash mid-save never leaves a truncated database behind.
+ */
 function saveDatabase() {
+  if (!db) {
+    return;
+  }
+  if (transactionDepth > 0) {
+    // Exporting would end the open transaction; save once it commits instead
+    dirty = true;
+    return;
+  }
+
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
   const data = db.export();
+  configureConnection();
   const buffer = Buffer.from(data);
-  fs.writeFileSync(DB_PATH, buffer);
+
+  const fd = fs.openSync(DB_TEMP_PATH, 'w');
+  try {
+    fs.writeSync(fd, buffer, 0, buffer.length);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(DB_TEMP_PATH, DB_PATH);
+
+  dirty = false;
+  firstUnsavedWriteAt = null;
+}
+
+/**
+ * Mark the database as changed and schedule a batched save
+ */
+function scheduleSave() {
+  dirty = true;
+  if (transactionDepth > 0) {
+    return;
+  }
+
+  const now = Date.now();
+  if (firstUnsavedWriteAt === null) {
+    firstUnsavedWriteAt = now;
+  }
+
+  const maxWaitRemaining = Math.max(0, firstUnsavedWriteAt + SAVE_MAX_WAIT_MS - now);
+  const delay = Math.min(SAVE_DEBOUNCE_MS, maxWaitRemaining);
+
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(flushDatabase, delay);
+  saveTimer.unref();
+}
+
+/**
+ * Save now if there are unsaved writes
+ */
+function flushDatabase() {
+  if (dirty) {
+    try {
+      saveDatabase();
+    } catch (error) {
+      console.error('Error saving database:', error);
+    }
+  }
+}
+
+function registerExitHandlers() {
+  if (exitHandlersRegistered) {
+    return;
+  }
+  exitHandlersRegistered = true;
+
+  process.on('exit', flushDatabase);
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      flushDatabase();
+      process.exit(0);
+    });
+  }
+}
+
+/**
+ * Run a synchronous function inside a transaction.
+ * Commits when fn returns, rolls back if it throws. Nested calls join the
+ * outer transaction. fn must not await - other requests would run inside the
+ * open transaction.
+ */
+function transaction(fn) {
+  if (transactionDepth > 0) {
+    transactionDepth++;
+    try {
+      return fn();
+    } finally {
+      transactionDepth--;
+    }
+  }
+
+  db.run('BEGIN TRANSACTION');
+  transactionDepth = 1;
+  try {
+    const result = fn();
+    db.run('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      db.run('ROLLBACK');
+    } catch (rollbackError) {
+      // SQLite already rolled back (e.g. after a constraint failure)
+    }
+    throw error;
+  } finally {
+    transactionDepth = 0;
+    if (dirty) {
+      scheduleSave();
+    }
+  }
 }
 
 function getDatabase() {
@@ -218,10 +335,10 @@ function getDatabase() {
   return db;
 }
 
-// Helper function to run queries and save
+// Helper function to run queries and schedule a save
 function runQuery(sql, params = []) {
   const result = db.run(sql, params);
-  saveDatabase();
+  scheduleSave();
   return result;
 }
 
@@ -255,7 +372,12 @@ module.exports = {
   initDatabase,
   getDatabase,
   saveDatabase,
+  flushDatabase,
+  transaction,
   runQuery,
   getQuery,
-  getOneQuery
+  getOneQuery,
+  removeOrphanedRows,
+  getMigrationStatus,
+  runMigrations
 };
@@ -1,6 +1,13 @@
 const pdfParse = require('pdf-parse');
 const fs = require('fs');
-const { runQuery, getQuery } = require('./database');
+const { runQuery, getQuery, transaction } = require('./database');
+const { isPageRenderingEnabled, renderDocumentPages } = require('./services/rasterizer');
+const { invalidateProjectIndex } = require('./services/vectorIndex');
+const { parseSpecification } = require('./services/specParser');
+const { splitText } = require('./services/chunker');
+const { extractTitleBlock, applyOverrides } = require('./services/titleBlock');
+const { toLayoutItems, reconstructText, savePageLayout } = require('./services/layout');
+const { detectSchedules, saveSchedules, extractOcrSchedules } = require('./services/schedules');
 
 /**
  * Extract sheet number from page text
@@ -73,6 +80,29 @@ function extractDetailReferences(pageText) {
   return Array.from(details);
 }
 
+/**
+ * Extract every sheet number mentioned in free text (e.g. a user's question),
+ * using the same patterns as extractSheetNumber
+ */
+function extractSheetNumbers(text) {
+  const patterns = [
+    /(?:SHEET|DRAWING|DWG)\b\.?\s*(?:NO\.?|NUMBER|#)?\s*:?\s*([A-Z]{1,3}[-\s]?\d+(?:\.\d+)?)/gi,
+    /\b([A-Z]{1,3}[-]\d+(?:\.\d+)?)\b/gi
+  ];
+
+  const sheets = new Set();
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      const sheetNum = match[1].toUpperCase().replace(/\s+/g, '').replace(/([A-Z]+)(\d)/, '$1-$2');
+      if (/^[A-Z]{1,3}-\d+(\.\d+)?$/.test(sheetNum)) {
+        sheets.add(sheetNum);
+      }
+    }
+  }
+
+  return Array.from(sheets);
+}
+
 function parseDetailReference(detailReference) {
   const match = detailReference.match(/^(\d+)\s*\/\s*([A-Z]{1,3}-\d+(?:\.\d+)?)$/i);
   if (!match) {
@@ -85,6 +115,76 @@ function parseDetailReference(detailReference) {
   };
 }
 
+/**
+ * Group layout items into lines by their baseline, in content order (the text content has no line breaks)
+ */
+function textContentToLines(items) {
+  const lines = [];
+  let current = [];
+  let lastY = null;
+
+  for (const item of items) {
+    const text = item.text.trim();
+    if (!text) {
+      continue;
+    }
+
+    const y = item.y + item.height;
+    if (lastY !== null && Math.abs(y - lastY) > Math.max(2, item.height / 2)) {
+      lines.push(current.join(' '));
+      current = [];
+    }
+    current.push(text);
+    lastY = y;
+  }
+
+  if (current.length > 0) {
+    lines.push(current.join(' '));
+  }
+
+  return lines;
+}
+
+/**
+ * Split a document's text into chunks. Specifications with recognizable CSI
+ * sections are chunked by article, addenda by change item; everything else
+ * gets one chunk per page.
+ */
+function buildChunks(doc, pageTexts, pageLines) {
+  if (doc.type === 'addendum') {
+    // Required here: the addendum parser uses this module's sheet number patterns
+    const { parseAddendum } = require('./services/addendumParser');
+    const { items, looseLines } = parseAddendum(pageLines);
+    if (items.length > 0) {
+      console.log(`Found ${items.length} addendum items`);
+      const chunks = items.map(item => ({
+        pageNumber: item.pageNumber,
+        pageEnd: item.pageNumber,
+        sectionNumber: item.sectionNumber,
+        articleNumber: item.articleNumber,
+        content: item.instruction,
+        addendumItem: item
+      }));
+      for (const [pageNumber, lines] of looseLines) {
+        chunks.push({ pageNumber, pageEnd: pageNumber, content: lines.join('\n') });
+      }
+      return chunks.sort((a, b) => a.pageNumber - b.pageNumber);
+    }
+  }
+
+  if (doc.type === 'spec') {
+    const { sections, chunks } = parseSpecification(pageLines);
+    if (chunks.some(chunk => chunk.articleNumber)) {
+      console.log(`Found ${sections.length} spec sections, ${chunks.filter(chunk => chunk.articleNumber).length} article chunks`);
+      return chunks;
+    }
+  }
+
+  return pageTexts
+    .map((text, index) => ({ pageNumber: index + 1, pageEnd: index + 1, content: text.trim() }))
+    .filter(chunk => chunk.content.length > 0);
+}
+
 /**
  * Process a single PDF document: extract text by page and store as chunks
  */
@@ -103,8 +203,10 @@ async function processDocument(documentId) {
     // Read PDF file
     const dataBuffer = fs.readFileSync(doc.filepath);
 
-    // Array to collect text from each page
+    // Arrays to collect text (its lines, and its positioned items) from each page
     const pageTexts = [];
+    const pageLines = [];
+    const pageLayouts = [];
 
     // Parse PDF with page-level text extraction
     const pdfData = await pdfParse(dataBuffer, {
@@ -112,8 +214,16 @@ async function processDocument(documentId) {
       pagerender: async function(pageData) {
         // Extract text content for this page
         const textContent = await pageData.getTextContent();
-        const pageText = textContent.items.map(item => item.str).join(' ');
+        // Positions on the page as displayed, so rotated sheets read left to right
+        // (pdf-parse's pdf.js takes the scale as a plain argument)
+        const viewport = pageData.getViewport(1);
+        const layoutItems = toLayoutItems(textContent.items, viewport);
+
+        // Rebuild the text from item positions so columns and table rows stay readable
+        const pageText = reconstructText(layoutItems);
         pageTexts.push(pageText);
+        pageLines.push(textContentToLines(layoutItems));
+        pageLayouts.push({ width: viewport.width, height: viewport.height, items: layoutItems });
         return pageText;
       }
     });
@@ -125,47 +235,189 @@ async function processDocument(documentId) {
 
     console.log(`Extracted text from ${pageCount} pages`);
 
-    // Store each page as a chunk
-    for (let pageNum = 0; pageNum < pageTexts.length; pageNum++) {
-      const pageText = pageTexts[pageNum].trim();
+    // When re-processing, keep what is still valid from the previous run:
+    // embeddings of chunks whose text is unchanged, and OCR text and page images per page
+    const previousEmbeddings = new Map();
+    const previousOcr = new Map();
+    const imagePaths = new Map();
+    for (const old of getQuery('SELECT page_number, content, embedding, ocr_text, image_path FROM chunks WHERE document_id = ?', [documentId])) {
+      if (old.embedding) {
+        previousEmbeddings.set(`${old.page_number}:${old.content}`, old.embedding);
+      }
+      if (old.ocr_text && !previousOcr.has(old.page_number)) {
+        previousOcr.set(old.page_number, old.ocr_text);
+      }
+      if (old.image_path && !imagePaths.has(old.page_number) && fs.existsSync(old.image_path)) {
+        imagePaths.set(old.page_number, old.image_path);
+      }
+    }
 
-      // Only store non-empty pages
-      if (pageText.length > 0) {
-        // Extract sheet number and detail references
-        const sheetNumber = extractSheetNumber(pageText);
-        const detailRefs = extractDetailReferences(pageText);
-        const detailReference = detailRefs.length > 0 ? JSON.stringify(detailRefs) : null;
+    // Render page images so OCR and vision analysis have something to work on
+    // (only pages that don't have one from the previous run)
+    if (isPageRenderingEnabled()) {
+      const pageNumbers = pageTexts
+        .map((text, index) => (text.trim().length > 0 ? index + 1 : null))
+        .filter(pageNumber => pageNumber && !imagePaths.has(pageNumber));
+
+      if (pageNumbers.length > 0) {
+        try {
+          const rendered = await renderDocumentPages(doc, { pageNumbers });
+          rendered.forEach((imagePath, pageNumber) => imagePaths.set(pageNumber, imagePath));
+          console.log(`Rendered ${rendered.size} page images`);
+        } catch (error) {
+          // Text chunks are still useful without images; pages can be rendered later
+          console.error(`Error rendering pages for ${doc.filename}:`, error.message);
+        }
+      }
+    }
 
+    const chunks = buildChunks(doc, pageTexts, pageLines);
+
+    // Sheet metadata from each page's title block, with manual overrides applied.
+    // Without a readable title block the first sheet number in the page text is used.
+    const overrides = new Map(
+      getQuery('SELECT * FROM sheet_overrides WHERE document_id = ?', [documentId]).map(row => [row.page_number, row])
+    );
+    const titleBlocks = new Map();
+    const getTitleBlock = (pageNumber) => {
+      if (!titleBlocks.has(pageNumber)) {
+        const extracted = extractTitleBlock(pageLayouts[pageNumber - 1], {
+          fallbackSheetNumber: extractSheetNumber(pageTexts[pageNumber - 1])
+        });
+        titleBlocks.set(pageNumber, { extracted, ...applyOverrides(extracted, overrides.get(pageNumber)) });
+      }
+      return titleBlocks.get(pageNumber);
+    };
+
+    let chunksCreated = 0;
+    let embeddingsReused = 0;
+    let schedulesFound = 0;
+
+    // Write all chunks in one transaction so a crash can't leave a half-stored document
+    transaction(() => {
+      // Clear anything left behind by an earlier run of this document
+      runQuery('DELETE FROM chunks WHERE document_id = ?', [documentId]);
+      runQuery('DELETE FROM callouts WHERE document_id = ?', [documentId]);
+      runQuery('DELETE FROM addendum_items WHERE document_id = ?', [documentId]);
+      runQuery('DELETE FROM page_layouts WHERE document_id = ?', [documentId]);
+
+      pageLayouts.forEach((layout, index) => savePageLayout(documentId, index + 1, layout));
+
+      const storedCallouts = new Set();
+      const pagesWithOcr = new Set();
+
+      for (const chunk of chunks) {
+        const { pageNumber, content } = chunk;
+
+        // Sheet metadata comes from the page's title block (spec sections have none, and
+        // the sheets an addendum names are ones it changes, not its own)
+        const titleBlock = chunk.sectionNumber || doc.type === 'addendum' ? null : getTitleBlock(pageNumber);
+        const sheet = titleBlock ? titleBlock.fields : {};
+        const sheetNumber = sheet.sheetNumber || null;
         if (sheetNumber) {
-          console.log(`  Page ${pageNum + 1}: Found sheet number ${sheetNumber}`);
+          console.log(`  Page ${pageNumber}: Found sheet number ${sheetNumber} (confidence ${titleBlock.confidence.sheetNumber})`);
+        }
+
+        // Long pages become several overlapping chunks that all point at the same page/sheet
+        const pieces = splitText(content);
+        if (pieces.length > 1) {
+          console.log(`  Page ${pageNumber}: Split ${content.length} chars into ${pieces.length} chunks`);
         }
-        if (detailRefs.length > 0) {
-          console.log(`  Page ${pageNum + 1}: Found ${detailRefs.length} detail references`);
+
+        const pageRefCount = extractDetailReferences(content).length;
+        if (pageRefCount > 0) {
+          console.log(`  Page ${pageNumber}: Found ${pageRefCount} detail references`);
         }
 
-        // Truncate very large chunks to prevent token limit issues
-        // OpenAI embedding model has 8192 token limit total per batch
-        // We'll limit each chunk to ~6000 chars (roughly 1500 tokens) to be safe
-        const MAX_CHUNK_LENGTH = 6000;
-        const truncatedText = pageText.length > MAX_CHUNK_LENGTH
-          ? pageText.substring(0, MAX_CHUNK_LENGTH) + '... [truncated]'
-          : pageText;
-
-        // Store chunk without embedding initially
-        runQuery(
-          'INSERT INTO chunks (document_id, page_number, sheet_number, detail_reference, ocr_text, image_path, content) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [documentId, pageNum + 1, sheetNumber, detailReference, null, null, truncatedText]
-        );
-
-        if (detailRefs.length > 0) {
+        pieces.forEach((piece, chunkIndex) => {
+          const detailRefs = extractDetailReferences(piece.text);
+          const detailReference = detailRefs.length > 0 ? JSON.stringify(detailRefs) : null;
+
+          const embedding = previousEmbeddings.get(`${pageNumber}:${piece.text}`) || null;
+          if (embedding) {
+            embeddingsReused++;
+          }
+
+          // OCR text belongs to the page image; keep it on the page's first chunk only
+          let ocrText = null;
+          if (previousOcr.has(pageNumber) && !pagesWithOcr.has(pageNumber)) {
+            ocrText = previousOcr.get(pageNumber);
+            pagesWithOcr.add(pageNumber);
+          }
+
+          runQuery(
+            `INSERT INTO chunks (document_id, page_number, page_end, sheet_number, detail_reference, ocr_text, image_path, content,
+                                 embedding, chunk_index, char_start, char_end,
+                                 section_number, section_title, article_number, article_title, paragraph_pages,
+                                 sheet_title, sheet_revision, sheet_revision_date, discipline, drawing_scale, project_number, title_block)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              documentId,
+              pageNumber,
+              chunk.pageEnd || pageNumber,
+              sheetNumber,
+              detailReference,
+              ocrText,
+              imagePaths.get(pageNumber) || null,
+              piece.text,
+              embedding,
+              chunkIndex,
+              piece.start,
+              piece.end,
+              chunk.sectionNumber || null,
+              chunk.sectionTitle || null,
+              chunk.articleNumber || null,
+              chunk.articleTitle || null,
+              chunk.paragraphPages ? JSON.stringify(chunk.paragraphPages) : null,
+              sheet.sheetTitle || null,
+              sheet.revision || null,
+              sheet.revisionDate || null,
+              sheet.discipline || null,
+              sheet.scale || null,
+              sheet.projectNumber || null,
+              titleBlock ? JSON.stringify(titleBlock.extracted) : null
+            ]
+          );
+          chunksCreated++;
+
+          if (chunk.addendumItem && chunkIndex === 0) {
+            const item = chunk.addendumItem;
+            runQuery(
+              `INSERT INTO addendum_items (document_id, chunk_id, item_number, page_number, action, target_type,
+                                           section_number, article_number, paragraph, sheet_numbers, instruction, new_text)
+               VALUES (?, (SELECT MAX(id) FROM chunks WHERE document_id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              [
+                documentId,
+                documentId,
+                item.itemNumber,
+                item.pageNumber,
+                item.action,
+                item.targetType,
+                item.sectionNumber,
+                item.articleNumber,
+                item.paragraph,
+                JSON.stringify(item.sheetNumbers),
+                item.instruction,
+                item.newText
+              ]
+            );
+          }
+
+          // Overlapping chunks repeat references; store each callout once per page
           for (const detailRef of detailRefs) {
+            const key = `${pageNumber}:${detailRef}`;
+            if (storedCallouts.has(key)) {
+              continue;
+            }
+            storedCallouts.add(key);
+
             const parsed = parseDetailReference(detailRef);
             runQuery(
               `INSERT INTO callouts (document_id, page_number, sheet_number, detail_reference, detail_number, target_sheet)
                VALUES (?, ?, ?, ?, ?, ?)`,
               [
                 documentId,
-                pageNum + 1,
+                pageNumber,
                 sheetNumber,
                 detailRef,
                 parsed ? parsed.detailNumber : null,
@@ -173,15 +425,38 @@ async function processDocument(documentId) {
               ]
             );
           }
-        }
+        });
       }
-    }
 
-    // Mark document as processed
-    runQuery('UPDATE documents SET processed = 1 WHERE id = ?', [documentId]);
+      // Schedules come from the positioned text; a page without any gets another
+      // look at its OCR text (kept from an earlier run, or once OCR runs)
+      runQuery('DELETE FROM schedules WHERE document_id = ?', [documentId]);
+      if (doc.type === 'drawing') {
+        pageLayouts.forEach((layout, index) => {
+          const pageNumber = index + 1;
+          const sheetNumber = getTitleBlock(pageNumber).fields.sheetNumber;
+          const schedules = detectSchedules(layout);
+          saveSchedules(documentId, pageNumber, sheetNumber, schedules, 'layout');
+          schedulesFound += schedules.length;
+          if (schedules.length === 0 && previousOcr.has(pageNumber)) {
+            schedulesFound += extractOcrSchedules(documentId, pageNumber, sheetNumber, previousOcr.get(pageNumber));
+          }
+        });
+      }
+      if (schedulesFound > 0) {
+        console.log(`  Found ${schedulesFound} schedules`);
+      }
+
+      // Mark document as processed
+      runQuery('UPDATE documents SET processed = 1 WHERE id = ?', [documentId]);
+    });
+    invalidateProjectIndex(doc.project_id);
 
+    if (embeddingsReused > 0) {
+      console.log(`  Reused embeddings for ${embeddingsReused} unchanged chunks`);
+    }
     console.log(`Document ${doc.filename} processed successfully`);
-    return { success: true, pageCount, chunksCreated: pageCount };
+    return { success: true, pageCount, chunksCreated, embeddingsReused, schedulesFound };
 
   } catch (error) {
     console.error(`Error processing document ${documentId}:`, error);
@@ -191,8 +466,10 @@ async function processDocument(documentId) {
 
 /**
  * Process all documents for a project
+ * @param {number} projectId - The project ID
+ * @param {function} onProgress - Optional callback called before each document (current, total, doc)
  */
-async function processProject(projectId) {
+async function processProject(projectId, onProgress = null) {
   const documents = require('./database').getQuery(
     'SELECT * FROM documents WHERE project_id = ? AND processed = 0',
     [projectId]
@@ -201,7 +478,13 @@ async function processProject(projectId) {
   console.log(`Processing ${documents.length} documents for project ${projectId}`);
 
   const results = [];
-  for (const doc of documents) {
+  for (let i = 0; i < documents.length; i++) {
+    const doc = documents[i];
+
+    if (onProgress) {
+      onProgress(i, documents.length, doc);
+    }
+
     try {
       const result = await processDocument(doc.id);
       results.push({ documentId: doc.id, filename: doc.filename, ...result });
@@ -215,5 +498,9 @@ async function processProject(projectId) {
 
 module.exports = {
   processDocument,
-  processProject
+  processProject,
+  extractSheetNumber,
+  extractSheetNumbers,
+  extractDetailReferences,
+  parseDetailReference
 };
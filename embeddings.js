@@ -1,11 +1,12 @@
-const OpenAI = require('openai');
-const { runQuery, getQuery, getOneQuery, saveDatabase } = require('./database');
+const { runQuery, getQuery, getOneQuery, transaction } = require('./database');
+const { encodeEmbedding, invalidateProjectIndex, searchProjectIndex } = require('./services/vectorIndex');
+const { searchKeywords } = require('./services/keywordSearch');
+const { getRevisionScope } = require('./services/revisions');
+const { createEmbeddings, isEmbeddingConfigured } = require('./services/providers');
+const { BudgetExceededError } = require('./services/usage');
 
-let openai = null;
-
-function initOpenAI(apiKey) {
-  openai = new OpenAI({ apiKey });
-}
+// Reciprocal rank fusion constant; higher values flatten the weight of top ranks
+const RRF_K = 60;
 
 function isQuotaError(error) {
   const message = (error && error.message) || '';
@@ -67,8 +68,8 @@ function extractOpenAIErrorDetails(error) {
  * @param {function} onProgress - Optional callback for progress updates (current, total)
  */
 async function generateEmbeddings(projectId, onProgress = null) {
-  if (!openai) {
-    throw new Error('OpenAI not initialized');
+  if (!isEmbeddingConfigured()) {
+    throw new Error('Embedding provider not configured');
   }
 
   // Get all chunks for this project that don't have embeddings yet
@@ -85,6 +86,7 @@ async function generateEmbeddings(projectId, onProgress = null) {
 
   console.log(`Generating embeddings for ${chunks.length} chunks...`);
 
+  const usage = { projectId, stage: 'embeddings' };
   let processed = 0;
   // Conservative batch size for Tier 1 rate limits (200k TPM)
   // Each chunk ~1500 tokens, batch of 2 = 3000 tokens
@@ -108,10 +110,7 @@ async function generateEmbeddings(projectId, onProgress = null) {
       let quotaAttempts = 0;
       for (let attempt = 0; attempt <= maxRetries; attempt++) {
         try {
-          response = await openai.embeddings.create({
-            model: 'text-embedding-3-small',
-            input: texts
-          });
+          response = await createEmbeddings(texts, usage);
           break;
         } catch (requestError) {
           if (isQuotaError(requestError)) {
@@ -147,15 +146,18 @@ async function generateEmbeddings(projectId, onProgress = null) {
       }
 
       // Store embeddings
-      for (let j = 0; j < batch.length; j++) {
-        const chunk = batch[j];
-        const embedding = response.data[j].embedding;
-
-        runQuery(
-          'UPDATE chunks SET embedding = ? WHERE id = ?',
-          [JSON.stringify(embedding), chunk.id]
-        );
-      }
+      transaction(() => {
+        for (let j = 0; j < batch.length; j++) {
+          const chunk = batch[j];
+          const embedding = response.data[j].embedding;
+
+          runQuery(
+            'UPDATE chunks SET embedding = ? WHERE id = ?',
+            [encodeEmbedding(embedding), chunk.id]
+          );
+        }
+      });
+      invalidateProjectIndex(projectId);
 
       processed += batch.length;
       console.log(`✓ Processed ${processed}/${chunks.length} chunks`);
@@ -193,6 +195,17 @@ async function generateEmbeddings(projectId, onProgress = null) {
         };
       }
 
+      if (error instanceof BudgetExceededError) {
+        console.warn(`⚠️  ${error.message}. Pausing embedding generation.`);
+        return {
+          chunksProcessed: processed,
+          pausedForQuota: false,
+          pausedForBudget: true,
+          remainingChunks: chunks.length - processed,
+          message: `${error.message}. Raise the budget or wait for next month, then process again.`
+        };
+      }
+
       // If token limit error, try processing chunks one at a time
       if (error.status === 400 && error.message.includes('maximum context length')) {
         console.log('Token limit exceeded. Retrying with individual chunks...');
@@ -208,10 +221,7 @@ async function generateEmbeddings(projectId, onProgress = null) {
             let quotaAttempts = 0;
             for (let attempt = 0; attempt <= maxRetries; attempt++) {
               try {
-                response = await openai.embeddings.create({
-                  model: 'text-embedding-3-small',
-                  input: [text]
-                });
+                response = await createEmbeddings([text], usage);
                 break;
               } catch (requestError) {
                 if (isQuotaError(requestError)) {
@@ -249,8 +259,9 @@ async function generateEmbeddings(projectId, onProgress = null) {
             const embedding = response.data[0].embedding;
             runQuery(
               'UPDATE chunks SET embedding = ? WHERE id = ?',
-              [JSON.stringify(embedding), chunk.id]
+              [encodeEmbedding(embedding), chunk.id]
             );
+            invalidateProjectIndex(projectId);
 
             processed++;
             console.log(`  ✓ Chunk ${chunk.id} processed`);
@@ -262,6 +273,21 @@ async function generateEmbeddings(projectId, onProgress = null) {
 
             await new Promise(resolve => setTimeout(resolve, 100));
           } catch (innerError) {
+            // A cancelled job or a spent budget stops the run, not just this chunk
+            if (innerError.name === 'JobCancelledError') {
+              throw innerError;
+            }
+            if (innerError instanceof BudgetExceededError) {
+              console.warn(`⚠️  ${innerError.message}. Pausing embedding generation.`);
+              return {
+                chunksProcessed: processed,
+                pausedForQuota: false,
+                pausedForBudget: true,
+                remainingChunks: chunks.length - processed,
+                message: `${innerError.message}. Raise the budget or wait for next month, then process again.`
+              };
+            }
+
             console.error(`  ✗ Failed to process chunk ${batch[j].id}:`, innerError.message);
             // Continue with other chunks instead of failing completely
           }
@@ -276,65 +302,73 @@ async function generateEmbeddings(projectId, onProgress = null) {
 }
 
 /**
- * Calculate cosine similarity between two vectors
+ * Embed a search query, recording the call against a usage scope when given
  */
-function cosineSimilarity(a, b) {
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < a.length; i++) {
-    dotProduct += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
-  }
-  
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+async function embedQuery(query, usage = null) {
+  const response = await createEmbeddings(query, usage);
+
+  return response.data[0].embedding;
 }
 
 /**
- * Search for relevant chunks based on query
+ * Load the rows for search matches, keeping match order and adding their scores
  */
-async function searchRelevantChunks(projectId, query, topK = 10) {
-  if (!openai) {
-    throw new Error('OpenAI not initialized');
+function loadMatches(projectId, matches) {
+  const idsByType = { chunk: [], visual_finding: [] };
+  for (const match of matches) {
+    idsByType[match.sourceType].push(match.id);
   }
 
-  // Generate embedding for query
-  const response = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: query
-  });
+  const placeholders = (ids) => ids.map(() => '?').join(', ');
+  const rows = new Map();
 
-  const queryEmbedding = response.data[0].embedding;
+  if (idsByType.chunk.length > 0) {
+    getQuery(`
+      SELECT c.*, d.filename, d.type, 'chunk' as source_type
+      FROM chunks c
+      JOIN documents d ON c.document_id = d.id
+      WHERE d.project_id = ? AND c.id IN (${placeholders(idsByType.chunk)})
+    `, [projectId, ...idsByType.chunk]).forEach(row => rows.set(`chunk:${row.id}`, row));
+  }
 
-  // Get all chunks for this project with embeddings
-  const chunks = getQuery(`
-    SELECT c.*, d.filename, d.type
-    FROM chunks c
-    JOIN documents d ON c.document_id = d.id
-    WHERE d.project_id = ? AND c.embedding IS NOT NULL
-  `, [projectId]);
+  if (idsByType.visual_finding.length > 0) {
+    getQuery(`
+      SELECT vf.*, d.filename, d.type, 'visual_finding' as source_type
+      FROM visual_findings vf
+      JOIN documents d ON vf.document_id = d.id
+      WHERE d.project_id = ? AND vf.id IN (${placeholders(idsByType.visual_finding)})
+    `, [projectId, ...idsByType.visual_finding]).forEach(row => rows.set(`visual_finding:${row.id}`, row));
+  }
 
-  if (chunks.length === 0) {
-    return [];
+  return matches
+    .map(match => {
+      const row = rows.get(`${match.sourceType}:${match.id}`);
+      if (!row) {
+        return null;
+      }
+      const { embedding, ...rest } = row;
+      const { id, sourceType, ...scores } = match;
+      return { ...rest, ...scores };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Search for relevant chunks based on query
+ * @param {object} options - { asOf, includeSuperseded, usage }: by default only current revisions
+ *   are searched; asOf ("Addendum 2", "2024-03-15") searches the set as it stood then;
+ *   the query embedding is recorded against usage (see services/usage.js)
+ */
+async function searchRelevantChunks(projectId, query, topK = 10, options = {}) {
+  if (!isEmbeddingConfigured()) {
+    throw new Error('Embedding provider not configured');
   }
 
-  // Calculate similarity scores
-  const scoredChunks = chunks.map(chunk => {
-    const chunkEmbedding = JSON.parse(chunk.embedding);
-    const similarity = cosineSimilarity(queryEmbedding, chunkEmbedding);
-    
-    return {
-      ...chunk,
-      similarity
-    };
-  });
-
-  // Sort by similarity and return top K
-  scoredChunks.sort((a, b) => b.similarity - a.similarity);
-  
-  return scoredChunks.slice(0, topK);
+  const { isCurrent } = getRevisionScope(projectId, options);
+  const queryEmbedding = await embedQuery(query, options.usage);
+  const matches = searchProjectIndex(projectId, queryEmbedding, { topK, sourceTypes: ['chunk'], filter: isCurrent });
+
+  return loadMatches(projectId, matches);
 }
 
 /**
@@ -342,11 +376,13 @@ async function searchRelevantChunks(projectId, query, topK = 10) {
  */
 function formatChunksForContext(chunks) {
   return chunks.map((chunk, index) => {
-    const docType = chunk.type === 'drawing' ? 'Drawing' : 'Specification';
+    const docType = { drawing: 'Drawing', addendum: 'Addendum' }[chunk.type] || 'Specification';
 
-    // Prefer sheet number for drawings, fallback to page number
+    // Spec article for sectioned specs, sheet number for drawings, fallback to page number
     let location;
-    if (chunk.sheet_number) {
+    if (chunk.section_number) {
+      location = `Section ${chunk.section_number}${chunk.article_number ? `, ${chunk.article_number}` : ''}`;
+    } else if (chunk.sheet_number) {
       location = `Sheet ${chunk.sheet_number}`;
     } else {
       location = `Page ${chunk.page_number}`;
@@ -421,8 +457,8 @@ function visualFindingsToText(findings) {
  * Generate embeddings for all visual findings without embeddings
  */
 async function generateVisualFindingsEmbeddings(projectId, onProgress = null) {
-  if (!openai) {
-    throw new Error('OpenAI not initialized');
+  if (!isEmbeddingConfigured()) {
+    throw new Error('Embedding provider not configured');
   }
 
   // Get all visual findings for this project without embeddings
@@ -439,6 +475,7 @@ async function generateVisualFindingsEmbeddings(projectId, onProgress = null) {
 
   console.log(`Generating embeddings for ${findings.length} visual findings...`);
 
+  const usage = { projectId, stage: 'embeddings' };
   let processed = 0;
   const batchSize = 10; // Visual findings are typically smaller than full chunks
   const maxRetries = 5;
@@ -455,10 +492,7 @@ async function generateVisualFindingsEmbeddings(projectId, onProgress = null) {
       let quotaAttempts = 0;
       for (let attempt = 0; attempt <= maxRetries; attempt++) {
         try {
-          response = await openai.embeddings.create({
-            model: 'text-embedding-3-small',
-            input: texts
-          });
+          response = await createEmbeddings(texts, usage);
           break;
         } catch (requestError) {
           if (isQuotaError(requestError)) {
@@ -494,15 +528,18 @@ async function generateVisualFindingsEmbeddings(projectId, onProgress = null) {
       }
 
       // Store embeddings
-      for (let j = 0; j < batch.length; j++) {
-        const finding = batch[j];
-        const embedding = response.data[j].embedding;
-
-        runQuery(
-          'UPDATE visual_findings SET embedding = ? WHERE id = ?',
-          [JSON.stringify(embedding), finding.id]
-        );
-      }
+      transaction(() => {
+        for (let j = 0; j < batch.length; j++) {
+          const finding = batch[j];
+          const embedding = response.data[j].embedding;
+
+          runQuery(
+            'UPDATE visual_findings SET embedding = ? WHERE id = ?',
+            [encodeEmbedding(embedding), finding.id]
+          );
+        }
+      });
+      invalidateProjectIndex(projectId);
 
       processed += batch.length;
       console.log(`✓ Processed ${processed}/${findings.length} visual findings`);
@@ -517,6 +554,9 @@ async function generateVisualFindingsEmbeddings(projectId, onProgress = null) {
       }
 
     } catch (error) {
+      if (error.name === 'JobCancelledError') {
+        throw error;
+      }
       console.error('Error generating embeddings for visual findings batch:', error.message);
       if (isQuotaError(error)) {
         const errorDetails = extractOpenAIErrorDetails(error);
@@ -530,6 +570,16 @@ async function generateVisualFindingsEmbeddings(projectId, onProgress = null) {
           message: 'OpenAI quota exceeded. Resume after quota resets or upgrade your plan.'
         };
       }
+      if (error instanceof BudgetExceededError) {
+        console.warn(`⚠️  ${error.message}. Pausing visual findings embedding generation.`);
+        return {
+          findingsProcessed: processed,
+          pausedForQuota: false,
+          pausedForBudget: true,
+          remainingFindings: findings.length - processed,
+          message: `${error.message}. Raise the budget or wait for next month, then run again.`
+        };
+      }
       // Continue with next batch
     }
   }
@@ -539,65 +589,65 @@ async function generateVisualFindingsEmbeddings(projectId, onProgress = null) {
 
 /**
  * Search both chunks and visual findings, returning combined results
+ * (current revisions only unless options say otherwise, see searchRelevantChunks)
  */
-async function searchRelevantContent(projectId, query, topK = 10) {
-  if (!openai) {
-    throw new Error('OpenAI not initialized');
+async function searchRelevantContent(projectId, query, topK = 10, options = {}) {
+  if (!isEmbeddingConfigured()) {
+    throw new Error('Embedding provider not configured');
   }
 
-  // Generate embedding for query
-  const response = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: query
-  });
-
-  const queryEmbedding = response.data[0].embedding;
+  const { isCurrent } = getRevisionScope(projectId, options);
+  const queryEmbedding = await embedQuery(query, options.usage);
+  const matches = searchProjectIndex(projectId, queryEmbedding, { topK, filter: isCurrent });
 
-  // Get all chunks with embeddings
-  const chunks = getQuery(`
-    SELECT c.*, d.filename, d.type, 'chunk' as source_type
-    FROM chunks c
-    JOIN documents d ON c.document_id = d.id
-    WHERE d.project_id = ? AND c.embedding IS NOT NULL
-  `, [projectId]);
-
-  // Get all visual findings with embeddings
-  const visualFindings = getQuery(`
-    SELECT vf.*, d.filename, d.type, 'visual_finding' as source_type
-    FROM visual_findings vf
-    JOIN documents d ON vf.document_id = d.id
-    WHERE d.project_id = ? AND vf.embedding IS NOT NULL
-  `, [projectId]);
+  return loadMatches(projectId, matches);
+}
 
-  // Combine and score all content
-  const allContent = [...chunks, ...visualFindings];
+/**
+ * Hybrid search: BM25 keyword matches and vector matches merged with
+ * reciprocal rank fusion, so exact tokens (sheet numbers, spec sections,
+ * product names) rank alongside semantically similar content.
+ * Searches current revisions only unless options say otherwise, see searchRelevantChunks.
+ */
+async function searchHybrid(projectId, query, topK = 10, options = {}) {
+  const candidateCount = Math.max(topK * 3, 30);
+  const { isCurrent } = getRevisionScope(projectId, options);
 
-  if (allContent.length === 0) {
-    return [];
+  let vectorMatches = [];
+  try {
+    if (!isEmbeddingConfigured()) {
+      throw new Error('Embedding provider not configured');
+    }
+    const queryEmbedding = await embedQuery(query, options.usage);
+    vectorMatches = searchProjectIndex(projectId, queryEmbedding, { topK: candidateCount, filter: isCurrent });
+  } catch (error) {
+    // Keyword results are still useful when embeddings are unavailable
+    console.error('Vector search failed, using keyword results only:', error.message);
   }
 
-  const scoredContent = allContent.map(item => {
-    const itemEmbedding = JSON.parse(item.embedding);
-    const similarity = cosineSimilarity(queryEmbedding, itemEmbedding);
-
-    return {
-      ...item,
-      similarity
-    };
-  });
+  const keywordMatches = searchKeywords(projectId, query, { limit: candidateCount, filter: isCurrent });
 
-  // Sort by similarity and return top K
-  scoredContent.sort((a, b) => b.similarity - a.similarity);
+  const fused = new Map();
+  const addRanking = (matches) => {
+    matches.forEach((match, rank) => {
+      const key = `${match.sourceType}:${match.id}`;
+      const entry = fused.get(key) || { id: match.id, sourceType: match.sourceType, similarity: null, keywordScore: null, score: 0 };
+      fused.set(key, { ...entry, ...match, score: entry.score + 1 / (RRF_K + rank + 1) });
+    });
+  };
+  addRanking(vectorMatches);
+  addRanking(keywordMatches);
 
-  return scoredContent.slice(0, topK);
+  const ranked = [...fused.values()].sort((a, b) => b.score - a.score).slice(0, topK);
+  return loadMatches(projectId, ranked);
 }
 
 module.exports = {
-  initOpenAI,
   generateEmbeddings,
   generateVisualFindingsEmbeddings,
   searchRelevantChunks,
   searchRelevantContent,
+  searchHybrid,
   formatChunksForContext,
   visualFindingsToText
 };
@@ -1,52 +1,102 @@
 /**
  * Fix existing chunks that are too large for OpenAI embedding API
- * Run this script to truncate any existing chunks over the size limit
+ * Run this script to split any existing chunks over the size limit into
+ * overlapping chunks for the same page
  */
 
-const { getQuery, runQuery } = require('./database');
+const { getQuery, runQuery, transaction, flushDatabase } = require('./database');
+const { getMaxChunkChars, splitText } = require('./services/chunker');
+
+const TRUNCATION_MARKER = '... [truncated]';
 
 async function fixExistingChunks() {
   console.log('Checking for oversized chunks...\n');
 
-  const MAX_CHUNK_LENGTH = 6000;
+  const maxChunkChars = getMaxChunkChars();
 
   // Get all chunks
   const chunks = getQuery('SELECT * FROM chunks');
   console.log(`Found ${chunks.length} total chunks`);
 
   let oversizedCount = 0;
-  let truncatedCount = 0;
+  let piecesCreated = 0;
+  const truncatedDocuments = new Set();
 
-  for (const chunk of chunks) {
-    if (chunk.content.length > MAX_CHUNK_LENGTH) {
-      oversizedCount++;
-      console.log(`Chunk ${chunk.id} (page ${chunk.page_number}): ${chunk.content.length} chars -> truncating to ${MAX_CHUNK_LENGTH}`);
+  transaction(() => {
+    for (const chunk of chunks) {
+      // Text cut off by the old truncation is gone; only re-processing the PDF recovers it
+      if (chunk.content.endsWith(TRUNCATION_MARKER)) {
+        truncatedDocuments.add(chunk.document_id);
+        continue;
+      }
+
+      if (chunk.content.length <= maxChunkChars) {
+        continue;
+      }
 
-      const truncatedContent = chunk.content.substring(0, MAX_CHUNK_LENGTH) + '... [truncated]';
+      oversizedCount++;
+      const pieces = splitText(chunk.content);
+      const offset = chunk.char_start || 0;
+      console.log(`Chunk ${chunk.id} (page ${chunk.page_number}): ${chunk.content.length} chars -> ${pieces.length} chunks`);
 
-      // Update the chunk with truncated content
-      // Note: This will clear the embedding if it exists, requiring re-processing
+      // The first piece replaces the chunk; the rest are new chunks for the same page.
+      // Note: This clears the embedding, requiring re-processing
       runQuery(
-        'UPDATE chunks SET content = ?, embedding = NULL WHERE id = ?',
-        [truncatedContent, chunk.id]
+        'UPDATE chunks SET content = ?, embedding = NULL, char_start = ?, char_end = ? WHERE id = ?',
+        [pieces[0].text, offset + pieces[0].start, offset + pieces[0].end, chunk.id]
       );
 
-      truncatedCount++;
+      pieces.slice(1).forEach((piece, index) => {
+        runQuery(
+          `INSERT INTO chunks (document_id, page_number, page_end, sheet_number, detail_reference, image_path, content,
+                               chunk_index, char_start, char_end,
+                               section_number, section_title, article_number, article_title, paragraph_pages)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            chunk.document_id,
+            chunk.page_number,
+            chunk.page_end,
+            chunk.sheet_number,
+            chunk.detail_reference,
+            chunk.image_path,
+            piece.text,
+            (chunk.chunk_index || 0) + index + 1,
+            offset + piece.start,
+            offset + piece.end,
+            chunk.section_number,
+            chunk.section_title,
+            chunk.article_number,
+            chunk.article_title,
+            chunk.paragraph_pages
+          ]
+        );
+        piecesCreated++;
+      });
     }
-  }
+
+    for (const documentId of truncatedDocuments) {
+      runQuery('UPDATE documents SET processed = 0 WHERE id = ?', [documentId]);
+    }
+  });
+
+  flushDatabase();
 
   console.log(`\n========================================`);
   console.log(`Results:`);
   console.log(`  Total chunks: ${chunks.length}`);
-  console.log(`  Oversized chunks found: ${oversizedCount}`);
-  console.log(`  Chunks truncated: ${truncatedCount}`);
+  console.log(`  Oversized chunks split: ${oversizedCount} (${piecesCreated} chunks added)`);
+  console.log(`  Documents with truncated chunks: ${truncatedDocuments.size}`);
   console.log(`========================================\n`);
 
-  if (truncatedCount > 0) {
-    console.log('✓ Oversized chunks have been truncated.');
+  if (oversizedCount > 0) {
+    console.log('✓ Oversized chunks have been split into overlapping chunks.');
     console.log('  Their embeddings have been cleared and will be regenerated on next processing.');
-    console.log('  Run document processing again to generate embeddings for truncated chunks.');
-  } else {
+  }
+  if (truncatedDocuments.size > 0) {
+    console.log('✓ Documents with truncated chunks have been marked for re-processing.');
+    console.log('  Run document processing again to re-chunk them; unchanged chunks keep their embeddings.');
+  }
+  if (oversizedCount === 0 && truncatedDocuments.size === 0) {
     console.log('✓ No oversized chunks found. All chunks are within size limits.');
   }
 }
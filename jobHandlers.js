@@ -0,0 +1,183 @@
+const { registerJobHandler } = require('./jobQueue');
+const { getQuery } = require('./database');
+const { processProject } = require('./documentProcessor');
+const { generateEmbeddings, generateVisualFindingsEmbeddings } = require('./embeddings');
+const { analyzeProjectVision, estimateVisionCost } = require('./services/vision');
+const { getUsageCost } = require('./services/usage');
+const { processProjectOCR } = require('./services/ocr');
+const { rasterizeProject } = require('./services/rasterizer');
+const { runPendingComparisons } = require('./services/revisionDiff');
+
+/**
+ * Text extraction + embeddings (the work formerly done inside /process-stream)
+ */
+async function runProcessJob(job, { reportProgress }) {
+  const projectId = job.project_id;
+
+  console.log(`\n========================================`);
+  console.log(`Starting document processing for project ${projectId}...`);
+  console.log(`========================================\n`);
+
+  const docs = getQuery('SELECT * FROM documents WHERE project_id = ? AND processed = 0', [projectId]);
+  reportProgress({ stage: 'starting', message: `Processing ${docs.length} document(s)...`, progress: 0 });
+
+  // Process documents (extract text, create chunks)
+  reportProgress({ stage: 'extracting', message: 'Extracting text from PDFs...', progress: 10 });
+  const processResults = await processProject(projectId, (current, total, doc) => {
+    reportProgress({
+      stage: 'extracting',
+      message: `Extracting text from PDFs... (${current + 1}/${total}: ${doc.filename})`,
+      progress: Math.round(10 + (current / total) * 40)
+    });
+  });
+  console.log(`\nDocument processing results:`, JSON.stringify(processResults, null, 2));
+
+  reportProgress({ stage: 'extracted', message: 'Text extraction complete', progress: 50 });
+
+  // Generate embeddings
+  console.log('\n========================================');
+  console.log('Generating embeddings...');
+  console.log('========================================\n');
+  reportProgress({ stage: 'embedding', message: 'Generating embeddings...', progress: 60 });
+
+  const embeddingResults = await generateEmbeddings(projectId, (current, total) => {
+    reportProgress({
+      stage: 'embedding',
+      message: `Generating embeddings... (${current}/${total} chunks)`,
+      progress: Math.round(60 + (current / total) * 35)
+    });
+  });
+  console.log(`\nEmbedding results:`, JSON.stringify(embeddingResults, null, 2));
+
+  const results = { processResults, embeddingResults };
+
+  if (embeddingResults.pausedForQuota || embeddingResults.pausedForBudget) {
+    reportProgress({
+      stage: 'paused',
+      message: embeddingResults.message || 'Embedding generation paused due to quota limits.',
+      progress: 95,
+      results
+    });
+    return results;
+  }
+
+  console.log(`\n========================================`);
+  console.log(`Processing complete for project ${projectId}`);
+  console.log(`========================================\n`);
+
+  reportProgress({ stage: 'complete', message: 'Processing complete!', progress: 100, results });
+  return results;
+}
+
+async function runOCRJob(job, { reportProgress }) {
+  const limit = job.params.limit || 25;
+
+  reportProgress({ stage: 'ocr', message: 'Running OCR on page images...', progress: 0 });
+  const results = await processProjectOCR(job.project_id, {
+    limit,
+    onProgress: (current, total) => {
+      reportProgress({
+        stage: 'ocr',
+        message: `Running OCR... (${current}/${total} pages)`,
+        progress: Math.round((current / total) * 100)
+      });
+    }
+  });
+
+  reportProgress({ stage: 'complete', message: 'OCR processing complete', progress: 100, results });
+  return results;
+}
+
+async function runVisionJob(job, { reportProgress }) {
+  const limit = job.params.limit || 10;
+  const skipTextHeavy = job.params.skipTextHeavy !== false;
+
+  const estimate = estimateVisionCost();
+  console.log(`Estimated cost: $${(limit * estimate.perImage).toFixed(3)} (approx $${estimate.perImage.toFixed(4)} per image, ${estimate.basis})`);
+
+  // Ledger rows of this job's calls, for its actual cost
+  const usage = { ids: [] };
+
+  reportProgress({ stage: 'vision', message: 'Analyzing drawings...', progress: 0 });
+  const results = await analyzeProjectVision(job.project_id, {
+    limit,
+    skipTextHeavy,
+    usage,
+    onProgress: (current, total) => {
+      reportProgress({
+        stage: 'vision',
+        message: `Analyzing drawings... (${current}/${total} images)`,
+        progress: Math.round((current / total) * 100)
+      });
+    }
+  });
+
+  const finalResults = {
+    ...results,
+    cost: `$${getUsageCost(usage.ids).toFixed(4)}`
+  };
+  reportProgress({ stage: 'complete', message: 'Vision analysis complete', progress: 100, results: finalResults });
+  return finalResults;
+}
+
+async function runVisualFindingsEmbeddingJob(job, { reportProgress }) {
+  reportProgress({ stage: 'embedding', message: 'Generating visual findings embeddings...', progress: 0 });
+  const results = await generateVisualFindingsEmbeddings(job.project_id, (current, total) => {
+    reportProgress({
+      stage: 'embedding',
+      message: `Generating visual findings embeddings... (${current}/${total})`,
+      progress: Math.round((current / total) * 100)
+    });
+  });
+
+  if (results.pausedForQuota || results.pausedForBudget) {
+    reportProgress({
+      stage: 'paused',
+      message: results.message || 'Visual findings embedding generation paused due to quota limits.',
+      progress: 95,
+      results
+    });
+    return results;
+  }
+
+  reportProgress({ stage: 'complete', message: 'Visual findings embeddings generated', progress: 100, results });
+  return results;
+}
+
+async function runRasterizeJob(job, { reportProgress }) {
+  reportProgress({ stage: 'rendering', message: 'Rendering page images...', progress: 0 });
+  const results = await rasterizeProject(job.project_id, {
+    limit: job.params.limit || 100,
+    dpi: job.params.dpi || undefined
+  });
+
+  reportProgress({ stage: 'complete', message: 'Page rendering complete', progress: 100, results });
+  return results;
+}
+
+async function runCompareJob(job, { reportProgress }) {
+  reportProgress({ stage: 'comparing', message: 'Comparing revisions...', progress: 0 });
+  const results = await runPendingComparisons(job.project_id, (comparison, comparisons, sheet, sheets) => {
+    reportProgress({
+      stage: 'comparing',
+      message: `Comparing revisions... (${comparison + 1}/${comparisons}, sheet ${sheet + 1}/${sheets})`,
+      progress: Math.round(((comparison + sheet / sheets) / comparisons) * 100)
+    });
+  });
+
+  reportProgress({ stage: 'complete', message: 'Comparison complete', progress: 100, results });
+  return results;
+}
+
+function registerDefaultJobHandlers() {
+  registerJobHandler('process', runProcessJob);
+  registerJobHandler('ocr', runOCRJob);
+  registerJobHandler('vision', runVisionJob);
+  registerJobHandler('embed-visual-findings', runVisualFindingsEmbeddingJob);
+  registerJobHandler('rasterize', runRasterizeJob);
+  registerJobHandler('compare', runCompareJob);
+}
+
+module.exports = {
+  registerDefaultJobHandlers
+};
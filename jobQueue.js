@@ -0,0 +1,340 @@
+const EventEmitter = require('events');
+const { runQuery, getQuery, getOneQuery } = require('./database');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const FINAL_STAGES = ['complete', 'paused'];
+const POLL_INTERVAL_MS = 5000;
+
+const handlers = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Ids of running jobs that have been asked to stop
+const cancelRequests = new Set();
+
+let workerStarted = false;
+let workerBusy = false;
+let pollTimer = null;
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Register the function that runs jobs of a given type.
+ * Handlers receive (job, ctx) where ctx.reportProgress({ stage, message, progress, results })
+ * publishes progress and throws JobCancelledError once the job has been cancelled.
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function parseJob(row) {
+  if (!row) {
+    return null;
+  }
+
+  const parseJson = (value) => {
+    if (!value) {
+      return null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    ...row,
+    params: parseJson(row.params) || {},
+    result: parseJson(row.result),
+    cancel_requested: Boolean(row.cancel_requested)
+  };
+}
+
+function getJob(jobId) {
+  return parseJob(getOneQuery('SELECT * FROM jobs WHERE id = ?', [jobId]));
+}
+
+function getProjectJobs(projectId, { activeOnly = false } = {}) {
+  let query = 'SELECT * FROM jobs WHERE project_id = ?';
+  if (activeOnly) {
+    query += ` AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`;
+  }
+  query += ' ORDER BY id DESC';
+
+  const params = activeOnly ? [projectId, ...ACTIVE_STATUSES] : [projectId];
+  return getQuery(query, params).map(parseJob);
+}
+
+/**
+ * Queue a job. If the same kind of job is already queued or running for the
+ * project, that job is returned instead of starting a duplicate run.
+ */
+function enqueueJob(projectId, type, params = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const existing = getOneQuery(
+    `SELECT * FROM jobs
+     WHERE project_id = ? AND type = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+     ORDER BY id ASC LIMIT 1`,
+    [projectId, type, ...ACTIVE_STATUSES]
+  );
+  if (existing) {
+    return parseJob(existing);
+  }
+
+  runQuery(
+    `INSERT INTO jobs (project_id, type, status, params, stage, message, progress, created_at, updated_at)
+     VALUES (?, ?, 'queued', ?, 'queued', 'Waiting to start...', 0, datetime('now'), datetime('now'))`,
+    [projectId, type, JSON.stringify(params)]
+  );
+
+  const job = parseJob(getOneQuery('SELECT * FROM jobs ORDER BY id DESC LIMIT 1'));
+  console.log(`Queued ${type} job ${job.id} for project ${projectId}`);
+
+  scheduleWorker(0);
+  return job;
+}
+
+/**
+ * Cancel a job. Queued jobs stop immediately; running jobs stop at their next
+ * progress report.
+ */
+function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'queued') {
+    finishJob(job.id, 'cancelled', { stage: 'cancelled', message: 'Job cancelled', progress: job.progress });
+  } else if (job.status === 'running') {
+    runQuery("UPDATE jobs SET cancel_requested = 1, updated_at = datetime('now') WHERE id = ?", [job.id]);
+    cancelRequests.add(job.id);
+  }
+
+  return getJob(jobId);
+}
+
+function publish(jobId, event) {
+  jobEvents.emit(`job:${jobId}`, event);
+}
+
+function updateJobProgress(jobId, { stage, message, progress }) {
+  runQuery(
+    `UPDATE jobs
+     SET stage = COALESCE(?, stage), message = COALESCE(?, message), progress = COALESCE(?, progress), updated_at = datetime('now')
+     WHERE id = ?`,
+    [stage ?? null, message ?? null, progress ?? null, jobId]
+  );
+}
+
+function finishJob(jobId, status, event, { result = null, error = null } = {}) {
+  runQuery(
+    `UPDATE jobs
+     SET status = ?, stage = ?, message = ?, progress = COALESCE(?, progress), result = ?, error = ?,
+         finished_at = datetime('now'), updated_at = datetime('now')
+     WHERE id = ?`,
+    [
+      status,
+      event.stage,
+      event.message,
+      event.progress ?? null,
+      result ? JSON.stringify(result) : null,
+      error,
+      jobId
+    ]
+  );
+  cancelRequests.delete(jobId);
+
+  publish(jobId, { ...event, status, done: true });
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  runQuery(
+    "UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, datetime('now')), updated_at = datetime('now') WHERE id = ?",
+    [job.id]
+  );
+
+  let lastEvent = { stage: job.stage, message: job.message, progress: job.progress };
+  const ctx = {
+    reportProgress(event) {
+      if (cancelRequests.has(job.id)) {
+        throw new JobCancelledError(job.id);
+      }
+      lastEvent = { ...lastEvent, ...event };
+      // Final stages are published once, by finishJob, when the handler returns
+      if (!FINAL_STAGES.includes(event.stage)) {
+        updateJobProgress(job.id, event);
+        publish(job.id, { ...event, status: 'running' });
+      }
+    },
+    isCancelled() {
+      return cancelRequests.has(job.id);
+    }
+  };
+
+  console.log(`\nStarting ${job.type} job ${job.id} (project ${job.project_id})`);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    const result = await handler(job, ctx);
+
+    // Handlers report their own final stage ('complete', 'paused'); fall back to a generic one
+    const finalEvent = FINAL_STAGES.includes(lastEvent.stage)
+      ? lastEvent
+      : { stage: 'complete', message: 'Job complete', progress: 100, results: result };
+    finishJob(job.id, 'completed', finalEvent, { result });
+    console.log(`Job ${job.id} completed`);
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      finishJob(job.id, 'cancelled', { stage: 'cancelled', message: 'Job cancelled', progress: lastEvent.progress });
+      console.log(`Job ${job.id} cancelled`);
+      return;
+    }
+
+    console.error(`Job ${job.id} failed:`, error);
+    finishJob(job.id, 'failed', { stage: 'error', message: error.message, progress: 0 }, { error: error.message });
+  }
+}
+
+async function processNextJob() {
+  if (workerBusy) {
+    return;
+  }
+
+  workerBusy = true;
+  try {
+    let next;
+    while ((next = parseJob(getOneQuery("SELECT * FROM jobs WHERE status = 'queued' ORDER BY id ASC LIMIT 1")))) {
+      await runJob(next);
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    workerBusy = false;
+    scheduleWorker(POLL_INTERVAL_MS);
+  }
+}
+
+function scheduleWorker(delayMs) {
+  if (!workerStarted) {
+    return;
+  }
+
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(processNextJob, delayMs);
+  pollTimer.unref();
+}
+
+/**
+ * Start the worker loop. Jobs left running by a previous process are
+ * re-queued (or marked cancelled if a cancel was pending) so they resume.
+ */
+function startWorker() {
+  if (workerStarted) {
+    return;
+  }
+
+  const interrupted = getQuery("SELECT * FROM jobs WHERE status = 'running'").map(parseJob);
+  for (const job of interrupted) {
+    if (job.cancel_requested) {
+      finishJob(job.id, 'cancelled', { stage: 'cancelled', message: 'Job cancelled', progress: job.progress });
+    } else {
+      console.log(`Resuming interrupted ${job.type} job ${job.id}`);
+      runQuery(
+        "UPDATE jobs SET status = 'queued', message = 'Resuming after restart...', updated_at = datetime('now') WHERE id = ?",
+        [job.id]
+      );
+    }
+  }
+
+  workerStarted = true;
+  scheduleWorker(0);
+}
+
+/**
+ * Listen to a job's progress events. Returns an unsubscribe function.
+ */
+function subscribeToJob(jobId, listener) {
+  const eventName = `job:${jobId}`;
+  jobEvents.on(eventName, listener);
+  return () => jobEvents.off(eventName, listener);
+}
+
+/**
+ * Stream a job's progress to an HTTP response as Server-Sent Events using the
+ * { stage, message, progress, results } shape of the original process stream.
+ * Completed jobs end with "[DONE]"; failed or cancelled jobs end after their event.
+ */
+function streamJobEvents(jobId, req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const send = (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = (status) => {
+    if (status === 'completed') {
+      res.write('data: [DONE]\n\n');
+    }
+    res.end();
+  };
+
+  const job = getJob(jobId);
+  const current = {
+    jobId: job.id,
+    status: job.status,
+    stage: job.stage,
+    message: job.message,
+    progress: job.progress
+  };
+
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    send({ ...current, results: job.result || undefined });
+    close(job.status);
+    return;
+  }
+
+  send(current);
+
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    const { done, ...data } = event;
+    send({ jobId: job.id, ...data });
+    if (done) {
+      unsubscribe();
+      close(event.status);
+    }
+  });
+
+  // The job keeps running when the client goes away
+  req.on('close', unsubscribe);
+}
+
+module.exports = {
+  JobCancelledError,
+  registerJobHandler,
+  enqueueJob,
+  cancelJob,
+  getJob,
+  getProjectJobs,
+  startWorker,
+  subscribeToJob,
+  streamJobEvents
+};
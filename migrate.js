@@ -0,0 +1,55 @@
+/**
+ * Database schema migrations
+ *
+ *   node migrate.js status   List applied and pending migrations
+ *   node migrate.js up       Apply pending migrations
+ */
+const { initDatabase, getMigrationStatus, runMigrations, flushDatabase } = require('./database');
+
+function printStatus() {
+  const status = getMigrationStatus();
+
+  console.log(`Schema version: ${status.currentVersion} (latest known: ${status.latestVersion})\n`);
+  for (const migration of status.migrations) {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(30)} ${state}`);
+  }
+
+  for (const row of status.unknown) {
+    console.log(`  ${String(row.version).padStart(3, '0')}  ${row.name.padEnd(30)} applied ${row.applied_at} (unknown to this version)`);
+  }
+
+  console.log(`\n${status.pending.length} pending migration(s)`);
+  if (status.unknown.length > 0) {
+    console.log('WARNING: database was migrated by a newer version of the application');
+  }
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+
+  if (command === 'status') {
+    await initDatabase({ migrate: false });
+    printStatus();
+  } else if (command === 'up') {
+    await initDatabase({ migrate: false });
+    const applied = runMigrations();
+    console.log(applied.length > 0 ? `\n✓ Applied ${applied.length} migration(s)\n` : '\n✓ Database is up to date\n');
+    printStatus();
+  } else {
+    console.error(`Unknown command: ${command}`);
+    console.error('Usage: node migrate.js status|up');
+    process.exit(1);
+  }
+
+  flushDatabase();
+
+  // Exit explicitly: after a large migration run Node can stay parked on
+  // background work once the script is done, and a CLI must not hang
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Migration error:', error.message);
+  process.exit(1);
+});
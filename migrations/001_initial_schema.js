@@ -0,0 +1,112 @@
+/**
+ * Baseline schema. Databases created before versioned migrations existed may
+ * be missing tables or columns added since, so every step here is idempotent.
+ */
+module.exports = {
+  description: 'Create projects, documents, chunks, chats, messages, callouts and visual findings tables',
+
+  up({ run, hasColumn }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    run(`
+      CREATE TABLE IF NOT EXISTS documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        filepath TEXT NOT NULL,
+        type TEXT NOT NULL, -- 'spec' or 'drawing'
+        page_count INTEGER,
+        processed BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Document chunks table (stores text chunks with embeddings)
+    run(`
+      CREATE TABLE IF NOT EXISTS chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        sheet_number TEXT, -- Drawing sheet number (e.g., A-101, S-3.1)
+        detail_reference TEXT, -- Detail reference (e.g., "3/A-101")
+        ocr_text TEXT, -- OCR extracted text from rasterized page
+        image_path TEXT, -- Stored rasterized page image path
+        content TEXT NOT NULL,
+        embedding TEXT, -- JSON string of embedding vector
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+
+    for (const column of ['sheet_number', 'detail_reference', 'ocr_text', 'image_path']) {
+      if (!hasColumn('chunks', column)) {
+        run(`ALTER TABLE chunks ADD COLUMN ${column} TEXT`);
+      }
+    }
+
+    run(`
+      CREATE TABLE IF NOT EXISTS chats (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        title TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    run(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id INTEGER NOT NULL,
+        role TEXT NOT NULL, -- 'user' or 'assistant'
+        content TEXT NOT NULL,
+        citations TEXT, -- JSON string of citation objects
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
+      )
+    `);
+
+    run(`
+      CREATE TABLE IF NOT EXISTS callouts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        sheet_number TEXT,
+        detail_reference TEXT NOT NULL,
+        detail_number TEXT,
+        target_sheet TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+
+    run(`
+      CREATE TABLE IF NOT EXISTS visual_findings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        sheet_number TEXT,
+        sheet_type TEXT,
+        findings TEXT NOT NULL,
+        embedding TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+
+    for (const column of ['sheet_type', 'embedding']) {
+      if (!hasColumn('visual_findings', column)) {
+        run(`ALTER TABLE visual_findings ADD COLUMN ${column} TEXT`);
+      }
+    }
+  }
+};
@@ -0,0 +1,26 @@
+module.exports = {
+  description: 'Create jobs table for background processing',
+
+  up({ run }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        type TEXT NOT NULL, -- 'process', 'ocr', 'vision', 'embed-visual-findings', 'rasterize'
+        status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed', 'cancelled'
+        params TEXT, -- JSON string of job options
+        stage TEXT, -- Last progress stage reported
+        message TEXT,
+        progress INTEGER DEFAULT 0,
+        result TEXT, -- JSON string of the handler result
+        error TEXT,
+        cancel_requested BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+  }
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  description: 'Remove rows orphaned before foreign keys were enforced',
+
+  up({ removeOrphanedRows }) {
+    const removed = removeOrphanedRows();
+    const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(`  Removed ${total} orphaned rows: ${JSON.stringify(removed)}`);
+    }
+  }
+};
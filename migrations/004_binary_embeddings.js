@@ -0,0 +1,55 @@
+const BATCH_SIZE = 500;
+
+// The storage format at the time of this migration: raw little-endian Float32
+// values. Kept here rather than imported so later changes to the app's
+// encoder can't change what this migration writes.
+function encodeEmbedding(embedding) {
+  return new Uint8Array(Float32Array.from(embedding).buffer);
+}
+
+/**
+ * Embeddings were stored as JSON text; store them as Float32 BLOBs instead
+ * (about a quarter of the size and no parsing on load).
+ */
+module.exports = {
+  description: 'Convert JSON embeddings to Float32 BLOBs',
+
+  up({ run, query }) {
+    for (const table of ['chunks', 'visual_findings']) {
+      let lastId = 0;
+      let converted = 0;
+
+      for (;;) {
+        const rows = query(
+          `SELECT id, embedding FROM ${table}
+           WHERE id > ? AND typeof(embedding) = 'text'
+           ORDER BY id LIMIT ${BATCH_SIZE}`,
+          [lastId]
+        );
+        if (rows.length === 0) {
+          break;
+        }
+
+        for (const row of rows) {
+          let embedding = null;
+          try {
+            embedding = JSON.parse(row.embedding);
+          } catch (error) {
+            // Unreadable embeddings are cleared and regenerated on next processing
+          }
+          run(`UPDATE ${table} SET embedding = ? WHERE id = ?`, [
+            Array.isArray(embedding) ? encodeEmbedding(embedding) : null,
+            row.id
+          ]);
+        }
+
+        lastId = rows[rows.length - 1].id;
+        converted += rows.length;
+      }
+
+      if (converted > 0) {
+        console.log(`  Converted ${converted} ${table} embeddings`);
+      }
+    }
+  }
+};
@@ -0,0 +1,57 @@
+// Searchable text of a visual finding: every string value in its JSON, without the keys
+const findingsText = (column) => `
+  CASE WHEN json_valid(${column})
+    THEN (SELECT group_concat(value, ' ') FROM json_tree(${column}) WHERE type = 'text')
+    ELSE ${column}
+  END`;
+
+/**
+ * Full-text indexes for keyword search. sql.js is built with FTS4 (not FTS5);
+ * BM25 is computed from matchinfo() in services/keywordSearch.js. Triggers keep
+ * the indexes in step with chunks and visual_findings, including cascaded deletes.
+ */
+module.exports = {
+  description: 'Add full-text indexes over chunks and visual findings',
+
+  up({ run }) {
+    run('CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts4(content, ocr_text, tokenize=unicode61)');
+    run('CREATE VIRTUAL TABLE IF NOT EXISTS visual_findings_fts USING fts4(findings, tokenize=unicode61)');
+
+    run(`
+      CREATE TRIGGER IF NOT EXISTS chunks_fts_insert AFTER INSERT ON chunks BEGIN
+        INSERT INTO chunks_fts (docid, content, ocr_text) VALUES (new.id, new.content, new.ocr_text);
+      END
+    `);
+    run(`
+      CREATE TRIGGER IF NOT EXISTS chunks_fts_update AFTER UPDATE OF content, ocr_text ON chunks BEGIN
+        UPDATE chunks_fts SET content = new.content, ocr_text = new.ocr_text WHERE docid = old.id;
+      END
+    `);
+    run(`
+      CREATE TRIGGER IF NOT EXISTS chunks_fts_delete AFTER DELETE ON chunks BEGIN
+        DELETE FROM chunks_fts WHERE docid = old.id;
+      END
+    `);
+
+    run(`
+      CREATE TRIGGER IF NOT EXISTS visual_findings_fts_insert AFTER INSERT ON visual_findings BEGIN
+        INSERT INTO visual_findings_fts (docid, findings) VALUES (new.id, ${findingsText('new.findings')});
+      END
+    `);
+    run(`
+      CREATE TRIGGER IF NOT EXISTS visual_findings_fts_update AFTER UPDATE OF findings ON visual_findings BEGIN
+        UPDATE visual_findings_fts SET findings = ${findingsText('new.findings')} WHERE docid = old.id;
+      END
+    `);
+    run(`
+      CREATE TRIGGER IF NOT EXISTS visual_findings_fts_delete AFTER DELETE ON visual_findings BEGIN
+        DELETE FROM visual_findings_fts WHERE docid = old.id;
+      END
+    `);
+
+    run('DELETE FROM chunks_fts');
+    run('INSERT INTO chunks_fts (docid, content, ocr_text) SELECT id, content, ocr_text FROM chunks');
+    run('DELETE FROM visual_findings_fts');
+    run(`INSERT INTO visual_findings_fts (docid, findings) SELECT id, ${findingsText('findings')} FROM visual_findings`);
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Specification chunks are aligned to CSI articles instead of PDF pages
+ */
+module.exports = {
+  description: 'Add spec section/article metadata to chunks',
+
+  up({ run, hasColumn }) {
+    const columns = {
+      section_number: 'TEXT', // CSI section (e.g. "09 91 23")
+      section_title: 'TEXT',
+      article_number: 'TEXT', // Article within the section (e.g. "2.3")
+      article_title: 'TEXT',
+      page_end: 'INTEGER', // Last page the chunk's text runs onto
+      paragraph_pages: 'TEXT' // JSON map of paragraph letter -> page number
+    };
+
+    for (const [column, type] of Object.entries(columns)) {
+      if (!hasColumn('chunks', column)) {
+        run(`ALTER TABLE chunks ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    run('CREATE INDEX IF NOT EXISTS idx_chunks_section ON chunks(section_number, article_number)');
+  }
+};
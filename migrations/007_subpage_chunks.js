@@ -0,0 +1,39 @@
+/**
+ * Pages are split into overlapping chunks instead of being truncated at 6000
+ * characters. Documents with truncated chunks are marked unprocessed so the
+ * next processing run re-chunks them; chunks whose text is unchanged keep
+ * their embeddings, so only the new pieces are re-embedded.
+ */
+module.exports = {
+  description: 'Add chunk position columns and queue truncated documents for re-chunking',
+
+  up({ run, query, hasColumn }) {
+    const columns = {
+      chunk_index: 'INTEGER DEFAULT 0', // Position of the chunk within its page (or spec article)
+      char_start: 'INTEGER', // Offsets of the chunk text within the page/article text
+      char_end: 'INTEGER'
+    };
+
+    for (const [column, type] of Object.entries(columns)) {
+      if (!hasColumn('chunks', column)) {
+        run(`ALTER TABLE chunks ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    const truncated = query(`
+      SELECT DISTINCT d.id, d.filename
+      FROM documents d
+      JOIN chunks c ON c.document_id = d.id
+      WHERE c.content LIKE '%... [truncated]'
+    `);
+
+    for (const doc of truncated) {
+      run('UPDATE documents SET processed = 0 WHERE id = ?', [doc.id]);
+    }
+
+    if (truncated.length > 0) {
+      console.log(`  ${truncated.length} document(s) with truncated pages will be re-chunked on the next processing run:`);
+      truncated.forEach(doc => console.log(`    - ${doc.filename}`));
+    }
+  }
+};
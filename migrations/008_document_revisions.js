@@ -0,0 +1,38 @@
+/**
+ * Revision metadata for documents: a revision label ("Rev 2", "Addendum 2"),
+ * the issue date, and the document this one supersedes. Documents uploaded
+ * earlier under the same file name are linked as superseded revisions.
+ */
+module.exports = {
+  description: 'Add revision, issue date and supersedes link to documents',
+
+  up({ run, query, hasColumn }) {
+    if (!hasColumn('documents', 'revision')) {
+      run('ALTER TABLE documents ADD COLUMN revision TEXT');
+    }
+    if (!hasColumn('documents', 'issue_date')) {
+      run('ALTER TABLE documents ADD COLUMN issue_date TEXT'); // YYYY-MM-DD
+    }
+    if (!hasColumn('documents', 'supersedes_document_id')) {
+      run('ALTER TABLE documents ADD COLUMN supersedes_document_id INTEGER REFERENCES documents(id) ON DELETE SET NULL');
+    }
+    run('CREATE INDEX IF NOT EXISTS idx_documents_supersedes ON documents(supersedes_document_id)');
+
+    // Re-uploads of the same file used to create duplicate documents; the newest one wins
+    const duplicates = query(`
+      SELECT d.id, d.filename,
+             (SELECT MAX(prev.id) FROM documents prev
+              WHERE prev.project_id = d.project_id AND prev.filename = d.filename AND prev.id < d.id) as previous_id
+      FROM documents d
+      WHERE d.supersedes_document_id IS NULL
+    `).filter(doc => doc.previous_id);
+
+    for (const doc of duplicates) {
+      run('UPDATE documents SET supersedes_document_id = ? WHERE id = ?', [doc.previous_id, doc.id]);
+    }
+
+    if (duplicates.length > 0) {
+      console.log(`  Linked ${duplicates.length} re-uploaded document(s) to the revision they supersede`);
+    }
+  }
+};
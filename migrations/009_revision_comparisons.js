@@ -0,0 +1,25 @@
+module.exports = {
+  description: 'Create revision_comparisons table for sheet-level change reports',
+
+  up({ run }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS revision_comparisons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        base_document_id INTEGER NOT NULL,
+        revised_document_id INTEGER NOT NULL,
+        include_images BOOLEAN DEFAULT 0, -- Whether to compute pixel-difference overlays
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'completed', 'failed'
+        summary TEXT, -- JSON string: counts of added/removed/modified/unchanged sheets
+        report TEXT, -- JSON string of the full change report
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (base_document_id) REFERENCES documents(id) ON DELETE CASCADE,
+        FOREIGN KEY (revised_document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+    run('CREATE INDEX IF NOT EXISTS idx_revision_comparisons_project ON revision_comparisons(project_id)');
+  }
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  description: 'Create addendum_items table for structured changes parsed from addenda',
+
+  up({ run }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS addendum_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL, -- The addendum
+        chunk_id INTEGER, -- Chunk holding the item's text
+        item_number TEXT NOT NULL, -- "3" or "1.A" for a lettered sub-item
+        page_number INTEGER,
+        action TEXT NOT NULL, -- 'replace', 'delete', 'add', 'revise' or 'note'
+        target_type TEXT NOT NULL, -- 'section', 'sheet' or 'general'
+        section_number TEXT, -- e.g. "08 11 13"
+        article_number TEXT, -- e.g. "2.1"
+        paragraph TEXT, -- e.g. "A"
+        sheet_numbers TEXT, -- JSON array of sheet numbers
+        instruction TEXT NOT NULL, -- Full text of the item
+        new_text TEXT, -- Replacement or added text, when the item gives it
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+        FOREIGN KEY (chunk_id) REFERENCES chunks(id) ON DELETE SET NULL
+      )
+    `);
+    run('CREATE INDEX IF NOT EXISTS idx_addendum_items_document ON addendum_items(document_id)');
+    run('CREATE INDEX IF NOT EXISTS idx_addendum_items_section ON addendum_items(section_number)');
+  }
+};
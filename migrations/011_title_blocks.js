@@ -0,0 +1,55 @@
+/**
+ * Sheet metadata now comes from the title block instead of the first sheet
+ * number found anywhere on the page. Processed drawings are marked unprocessed
+ * so the next processing run reads their title blocks; unchanged chunks keep
+ * their embeddings.
+ */
+module.exports = {
+  description: 'Add title block columns to chunks and create sheet_overrides table',
+
+  up({ run, query, hasColumn }) {
+    const columns = {
+      sheet_title: 'TEXT',
+      sheet_revision: 'TEXT',
+      sheet_revision_date: 'TEXT', // YYYY-MM-DD when the title block date could be read
+      discipline: 'TEXT', // From the sheet number prefix, e.g. "Architectural"
+      drawing_scale: 'TEXT',
+      project_number: 'TEXT',
+      title_block: 'TEXT' // JSON string: { fields, confidence } as extracted, before overrides
+    };
+
+    for (const [column, type] of Object.entries(columns)) {
+      if (!hasColumn('chunks', column)) {
+        run(`ALTER TABLE chunks ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    // Manual corrections; a NULL column means "use the extracted value"
+    run(`
+      CREATE TABLE IF NOT EXISTS sheet_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        sheet_number TEXT,
+        sheet_title TEXT,
+        sheet_revision TEXT,
+        sheet_revision_date TEXT,
+        discipline TEXT,
+        drawing_scale TEXT,
+        project_number TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, page_number),
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+
+    const drawings = query("SELECT id, filename FROM documents WHERE type = 'drawing' AND processed = 1");
+    for (const doc of drawings) {
+      run('UPDATE documents SET processed = 0 WHERE id = ?', [doc.id]);
+    }
+
+    if (drawings.length > 0) {
+      console.log(`  ${drawings.length} drawing(s) will have their title blocks read on the next processing run`);
+    }
+  }
+};
@@ -0,0 +1,19 @@
+module.exports = {
+  description: 'Create page_layouts table for positioned page text',
+
+  up({ run }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS page_layouts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        width REAL NOT NULL, -- Page size in PDF points
+        height REAL NOT NULL,
+        items BLOB NOT NULL, -- Gzipped JSON array of [text, x, y, width, height], top-left origin
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, page_number),
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+  }
+};
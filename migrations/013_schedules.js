@@ -0,0 +1,33 @@
+module.exports = {
+  description: 'Create schedules and schedule_rows tables for tables extracted from drawings',
+
+  up({ run }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        sheet_number TEXT,
+        schedule_type TEXT NOT NULL, -- 'door', 'hardware', 'window', 'room_finish', 'equipment' or 'other'
+        title TEXT,
+        columns TEXT NOT NULL, -- JSON array of column headings
+        source TEXT NOT NULL, -- 'layout' (positioned PDF text) or 'ocr'
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+    run('CREATE INDEX IF NOT EXISTS idx_schedules_document ON schedules(document_id)');
+
+    run(`
+      CREATE TABLE IF NOT EXISTS schedule_rows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id INTEGER NOT NULL,
+        row_index INTEGER NOT NULL,
+        mark TEXT, -- First column, e.g. door number "101"
+        data TEXT NOT NULL, -- JSON array of cell values, in column order
+        FOREIGN KEY (schedule_id) REFERENCES schedules(id) ON DELETE CASCADE
+      )
+    `);
+    run('CREATE INDEX IF NOT EXISTS idx_schedule_rows_schedule ON schedule_rows(schedule_id)');
+  }
+};
@@ -0,0 +1,19 @@
+module.exports = {
+  description: 'Create ocr_words table for word boxes from OCR of page images',
+
+  up({ run }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS ocr_words (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        width INTEGER NOT NULL, -- Page image size in pixels
+        height INTEGER NOT NULL,
+        words BLOB NOT NULL, -- Gzipped JSON array of [text, x0, y0, x1, y1] in image pixels
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, page_number),
+        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+      )
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Every LLM and embedding call is recorded with its tokens and cost, against
+ * the project (and chat and answer) it was made for. Ledger rows outlive the
+ * chats they belong to, so spending stays on the project after retention
+ * cleanup. Projects can have a monthly budget.
+ */
+module.exports = {
+  description: 'Create llm_usage table and add monthly_budget to projects',
+
+  up({ run, hasColumn }) {
+    run(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        chat_id INTEGER,
+        message_id INTEGER, -- The answer the call went into, once it is saved
+        stage TEXT NOT NULL, -- e.g. 'embeddings', 'search', 'expansion', 'answer', 'title', 'vision'
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL, -- The model ID sent to the provider's API
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        cost REAL, -- USD from the price table; NULL when the model has no price
+        estimated INTEGER NOT NULL DEFAULT 0, -- 1 when the response had no token counts
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE SET NULL,
+        FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL
+      )
+    `);
+    run('CREATE INDEX IF NOT EXISTS idx_llm_usage_project_created ON llm_usage(project_id, created_at)');
+
+    // USD per calendar month; NULL means no limit
+    if (!hasColumn('projects', 'monthly_budget')) {
+      run('ALTER TABLE projects ADD COLUMN monthly_budget REAL');
+    }
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Page layouts are now stored as the page is displayed, after its /Rotate.
+ * Layouts of rotated pages were stored unrotated, so their schedules, title
+ * blocks, sheet links and highlights were read from sideways text. Documents
+ * with stored layouts are marked unprocessed so the next processing run reads
+ * them again; embeddings, OCR text and page images are kept.
+ */
+module.exports = {
+  description: 'Queue documents with page layouts for re-reading with page rotation applied',
+
+  up({ run, query }) {
+    const documents = query(`
+      SELECT DISTINCT d.id, d.filename
+      FROM documents d
+      JOIN page_layouts p ON p.document_id = d.id
+      WHERE d.processed = 1
+    `);
+
+    for (const doc of documents) {
+      run('UPDATE documents SET processed = 0 WHERE id = ?', [doc.id]);
+    }
+
+    if (documents.length > 0) {
+      console.log(`  ${documents.length} document(s) will have their page layouts read again on the next processing run`);
+    }
+  }
+};
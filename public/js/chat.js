@@ -5,6 +5,25 @@ let currentProject = null;
 let pdfDoc = null;
 let currentPage = 1;
 let availableModels = [];
+// Document open in the viewer, and the pages visited before it by following links
+let viewerDocument = null;
+let viewerHistory = [];
+let viewerRenderId = 0;
+// Zoom of the viewer, and the cited passage highlighted on the page it was opened at
+let viewerScale = 1.5;
+let viewerHighlight = null;
+
+const PDF_SCALE = 1.5;
+// Zooming in on a highlight stops at this scale, or at this many canvas pixels for large sheets
+const MAX_HIGHLIGHT_SCALE = 3;
+const MAX_CANVAS_PIXELS = 16000000;
+
+// Upload folder for each document type
+const DOCUMENT_FOLDERS = {
+  drawing: 'drawings',
+  spec: 'specs',
+  addendum: 'addenda'
+};
 
 // Configure PDF.js worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
@@ -72,17 +91,25 @@ function setupEventListeners() {
 function setupPDFViewerListeners() {
   const modal = document.getElementById('pdfModal');
   const closeBtn = modal.querySelector('.close');
+  const backBtn = document.getElementById('backPage');
   const prevBtn = document.getElementById('prevPage');
   const nextBtn = document.getElementById('nextPage');
   
   closeBtn.addEventListener('click', () => {
-    modal.classList.remove('active');
-    pdfDoc = null;
+    closePDFViewer();
+  });
+
+  backBtn.addEventListener('click', async () => {
+    const previous = viewerHistory.pop();
+    if (previous) {
+      await showViewerPage(previous.documentId, previous.pageNumber);
+    }
   });
   
   prevBtn.addEventListener('click', () => {
     if (currentPage > 1) {
       currentPage--;
+      viewerScale = PDF_SCALE;
       renderPDFPage(currentPage);
     }
   });
@@ -90,18 +117,26 @@ function setupPDFViewerListeners() {
   nextBtn.addEventListener('click', () => {
     if (pdfDoc && currentPage < pdfDoc.numPages) {
       currentPage++;
+      viewerScale = PDF_SCALE;
       renderPDFPage(currentPage);
     }
   });
   
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
-      modal.classList.remove('active');
-      pdfDoc = null;
+      closePDFViewer();
     }
   });
 }
 
+function closePDFViewer() {
+  document.getElementById('pdfModal').classList.remove('active');
+  pdfDoc = null;
+  viewerDocument = null;
+  viewerHistory = [];
+  viewerHighlight = null;
+}
+
 async function loadChat(chatId) {
   try {
     const response = await fetch(`${API_BASE}/chats/${chatId}`);
@@ -170,6 +205,10 @@ function appendMessage(role, content, citations = []) {
         // Sheet number: [filename, Sheet X-###]
         displayText = `[${citation.source}, Sheet ${citation.sheet}]`;
         originalText = displayText;
+      } else if (citation.section) {
+        // Spec section: [filename, Section ## ## ##, 2.3.B] - shown as the model wrote it
+        displayText = citation.fullText;
+        originalText = displayText;
       } else {
         // Page number: [filename, Page #]
         displayText = `[${citation.source}, Page ${citation.page}]`;
@@ -177,10 +216,11 @@ function appendMessage(role, content, citations = []) {
       }
 
       // Create clickable link with metadata
-      const citationLink = `<a class="citation" href="#" data-filename="${escapeHtml(citation.filename || citation.source)}" data-page="${citation.page}" data-sheet="${escapeHtml(citation.sheet || '')}" data-detail="${escapeHtml(citation.detail || '')}">${escapeHtml(displayText)}</a>`;
+      const span = citation.span || {};
+      const citationLink = `<a class="citation" href="#" data-filename="${escapeHtml(citation.filename || citation.source)}" data-page="${citation.page}" data-sheet="${escapeHtml(citation.sheet || '')}" data-detail="${escapeHtml(citation.detail || '')}" data-document-id="${citation.documentId || ''}" data-chunk-id="${span.chunkId || ''}" data-span-field="${span.field || ''}" data-span-start="${span.start ?? ''}" data-span-end="${span.end ?? ''}">${escapeHtml(displayText)}</a>`;
 
       // Replace in content
-      processedContent = processedContent.replace(escapeHtml(originalText), citationLink);
+      processedContent = processedContent.replace(escapeHtml(originalText), citationLink + citationBadge(citation));
     });
   }
 
@@ -201,9 +241,13 @@ function appendMessage(role, content, citations = []) {
       const page = parseInt(link.dataset.page);
       const sheet = link.dataset.sheet;
       const detail = link.dataset.detail;
+      const documentId = parseInt(link.dataset.documentId) || null;
+      const span = link.dataset.chunkId
+        ? { chunkId: link.dataset.chunkId, field: link.dataset.spanField, start: link.dataset.spanStart, end: link.dataset.spanEnd }
+        : null;
 
       if (page) {
-        await openPDFViewer(filename, page, sheet, detail);
+        await openPDFViewer(filename, page, sheet, detail, documentId, span);
       } else {
         showError('Unable to locate page for this citation');
       }
@@ -213,6 +257,21 @@ function appendMessage(role, content, citations = []) {
   container.scrollTop = container.scrollHeight;
 }
 
+// Whether a citation was checked against the sources the answer was written from
+// (answers saved before verification have no badge)
+function citationBadge(citation) {
+  if (!citation.verification) {
+    return '';
+  }
+  if (citation.verification.status === 'verified') {
+    return '<span class="citation-badge verified" title="Verified: the cited source was in the answer\'s context and backs this statement">✓</span>';
+  }
+  const title = citation.verification.status === 'not_in_context'
+    ? 'Unverified: this source was not among the sources the answer was written from'
+    : 'Unverified: the cited source does not contain text backing this statement';
+  return `<span class="citation-badge unverified" title="${title}">!</span>`;
+}
+
 function formatMessageContent(content) {
   // Split into blocks (paragraphs, lists, etc.)
   const blocks = content.split('\n\n');
@@ -282,7 +341,7 @@ async function loadAvailableModels() {
 
     const modelSelect = document.getElementById('modelSelect');
     modelSelect.innerHTML = availableModels.map(model =>
-      `<option value="${model.id}">${model.name}</option>`
+      `<option value="${escapeHtml(model.id)}" ${model.default ? 'selected' : ''}>${escapeHtml(model.name)}</option>`
     ).join('');
 
     // Update description for default model
@@ -324,8 +383,11 @@ async function sendMessage() {
   input.value = '';
   input.style.height = 'auto';
 
+  // Placeholder showing the answer's progress until the saved message arrives
+  const streamingDiv = appendStreamingMessage();
+
   try {
-    const response = await fetch(`${API_BASE}/chats/${currentChat.id}/message`, {
+    const response = await fetch(`${API_BASE}/chats/${currentChat.id}/message/stream`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -340,10 +402,26 @@ async function sendMessage() {
       const error = await response.json();
       throw new Error(error.error || 'Failed to send message');
     }
-    
-    const result = await response.json();
 
-    // Append assistant response
+    let result = null;
+    await readEventStream(response, (event) => {
+      if (event.type === 'stage') {
+        updateStreamingStage(streamingDiv, event.message);
+      } else if (event.type === 'token') {
+        appendStreamingText(streamingDiv, event.text, event.subQuestion);
+      } else if (event.type === 'message') {
+        result = event;
+      } else if (event.type === 'error') {
+        throw new Error(event.error || 'Failed to send message');
+      }
+    });
+
+    if (!result) {
+      throw new Error('The response ended before the answer was complete');
+    }
+
+    // Replace the progress with the formatted answer and its citations
+    streamingDiv.remove();
     appendMessage('assistant', result.content, result.citations);
 
     // Reload chat to get AI-generated title if this was the first message
@@ -360,6 +438,7 @@ async function sendMessage() {
     }
   } catch (error) {
     console.error('Error sending message:', error);
+    streamingDiv.remove();
     showError(error.message || 'Failed to send message');
   } finally {
     input.disabled = false;
@@ -370,6 +449,74 @@ async function sendMessage() {
   }
 }
 
+/**
+ * Read a Server-Sent Events response, passing each JSON event to onEvent until "[DONE]"
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const event of events) {
+      const data = event.split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => line.slice(6))
+        .join('\n');
+      if (data === '[DONE]') return;
+      if (data) onEvent(JSON.parse(data));
+    }
+  }
+}
+
+/**
+ * Assistant message shown while an answer is generated: the current stage and the text so far
+ */
+function appendStreamingMessage() {
+  const container = document.getElementById('messagesContainer');
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'message assistant streaming';
+  messageDiv.innerHTML = `
+    <div class="message-content">
+      <div class="message-stage">Thinking...</div>
+      <div class="message-stream"></div>
+    </div>
+  `;
+  container.appendChild(messageDiv);
+  container.scrollTop = container.scrollHeight;
+  return messageDiv;
+}
+
+function updateStreamingStage(messageDiv, message) {
+  messageDiv.querySelector('.message-stage').textContent = message;
+}
+
+/**
+ * Add answer text as it arrives. Sub-answers are shown dimmed, each replacing the
+ * previous one, until the final answer starts.
+ */
+function appendStreamingText(messageDiv, text, subQuestion) {
+  const streamEl = messageDiv.querySelector('.message-stream');
+  const target = subQuestion === null ? 'answer' : String(subQuestion);
+
+  if (streamEl.dataset.target !== target) {
+    streamEl.dataset.target = target;
+    streamEl.textContent = '';
+    messageDiv.classList.toggle('sub-answer', subQuestion !== null);
+  }
+  streamEl.textContent += text;
+
+  const container = document.getElementById('messagesContainer');
+  container.scrollTop = container.scrollHeight;
+}
+
 async function loadChatsList(projectId, currentChatId) {
   try {
     const response = await fetch(`${API_BASE}/chats/project/${projectId}`);
@@ -470,24 +617,40 @@ async function deleteChatFromList(chatId, event) {
   }
 }
 
-async function openPDFViewer(filename, pageNumber, sheetNumber = '', detailRef = '') {
-  try {
-    // Find the document to get its filepath
-    const projectResponse = await fetch(`${API_BASE}/projects/${currentProject.id}`);
-    const project = await projectResponse.json();
+/**
+ * Find a project document by id, or by filename (the latest upload, since revisions can share one)
+ */
+async function findProjectDocument(documentId, filename) {
+  const projectResponse = await fetch(`${API_BASE}/projects/${currentProject.id}`);
+  const project = await projectResponse.json();
 
-    const document = project.documents.find(doc => doc.filename === filename);
-    if (!document) {
+  return documentId
+    ? project.documents.find(doc => doc.id === documentId)
+    : project.documents.filter(doc => doc.filename === filename).pop();
+}
+
+async function loadViewerDocument(projectDocument) {
+  // Construct the URL to the PDF (re-uploaded revisions are stored under a unique name)
+  const storedName = projectDocument.filepath.split(/[\\/]/).pop();
+  const pdfUrl = `/uploads/${currentProject.id}/${DOCUMENT_FOLDERS[projectDocument.type] || 'drawings'}/${storedName}`;
+
+  const loadingTask = pdfjsLib.getDocument(pdfUrl);
+  pdfDoc = await loadingTask.promise;
+  viewerDocument = projectDocument;
+}
+
+async function openPDFViewer(filename, pageNumber, sheetNumber = '', detailRef = '', documentId = null, span = null) {
+  try {
+    const projectDocument = await findProjectDocument(documentId, filename);
+    if (!projectDocument) {
       showError('Document not found');
       return;
     }
 
-    // Construct the URL to the PDF
-    const pdfUrl = `/uploads/${currentProject.id}/${document.type === 'spec' ? 'specs' : 'drawings'}/${filename}`;
-
-    // Load PDF
-    const loadingTask = pdfjsLib.getDocument(pdfUrl);
-    pdfDoc = await loadingTask.promise;
+    await loadViewerDocument(projectDocument);
+    viewerHistory = [];
+    viewerScale = PDF_SCALE;
+    viewerHighlight = span ? { documentId: projectDocument.id, pageNumber, span, boxes: [] } : null;
 
     // Set current page
     currentPage = pageNumber;
@@ -507,14 +670,177 @@ async function openPDFViewer(filename, pageNumber, sheetNumber = '', detailRef =
 
     // Show modal
     document.getElementById('pdfModal').classList.add('active');
+
+    if (viewerHighlight) {
+      await highlightCitation();
+    }
   } catch (error) {
     console.error('Error opening PDF:', error);
     showError('Failed to open PDF');
   }
 }
 
+/**
+ * Show a page reached by following a link (or going back), loading its document if needed
+ */
+async function showViewerPage(documentId, pageNumber) {
+  try {
+    if (!viewerDocument || viewerDocument.id !== documentId) {
+      const projectDocument = await findProjectDocument(documentId);
+      if (!projectDocument) {
+        showError('Document not found');
+        return;
+      }
+      await loadViewerDocument(projectDocument);
+    }
+
+    currentPage = pageNumber;
+    viewerScale = PDF_SCALE;
+    const links = await renderPDFPage(currentPage);
+
+    let title = viewerDocument.filename;
+    if (links && links.sheetNumber) {
+      title += ` - Sheet ${links.sheetNumber}`;
+    }
+    document.getElementById('pdfTitle').textContent = title;
+  } catch (error) {
+    console.error('Error opening linked page:', error);
+    showError('Failed to open linked page');
+  }
+}
+
+async function followViewerLink(target) {
+  viewerHistory.push({ documentId: viewerDocument.id, pageNumber: currentPage });
+  await showViewerPage(target.documentId, target.pageNumber);
+}
+
+/**
+ * Overlay hotspots on the page's callouts and sheet references, and list the
+ * pages that call out this sheet. Returns the page's links (null if they couldn't be loaded)
+ */
+async function renderPageLinks(pageNum, renderId) {
+  const hotspotsEl = document.getElementById('pdfHotspots');
+  const backlinksEl = document.getElementById('pdfBacklinks');
+  hotspotsEl.innerHTML = '';
+  backlinksEl.innerHTML = '';
+  document.getElementById('backPage').disabled = viewerHistory.length === 0;
+
+  if (!viewerDocument) return null;
+
+  try {
+    const response = await fetch(`${API_BASE}/documents/${viewerDocument.id}/pages/${pageNum}/links`);
+    if (!response.ok || renderId !== viewerRenderId) return null;
+    const links = await response.json();
+    if (renderId !== viewerRenderId) return null;
+
+    links.hotspots.forEach(hotspot => {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = hotspot.target ? 'pdf-hotspot' : 'pdf-hotspot broken';
+      link.style.left = `${hotspot.x * viewerScale - 2}px`;
+      link.style.top = `${hotspot.y * viewerScale - 2}px`;
+      link.style.width = `${hotspot.width * viewerScale + 4}px`;
+      link.style.height = `${hotspot.height * viewerScale + 4}px`;
+      link.title = hotspot.target
+        ? `Open ${hotspot.kind === 'detail' ? `detail ${hotspot.reference}` : `sheet ${hotspot.targetSheet}`} (${hotspot.target.filename}, page ${hotspot.target.pageNumber})`
+        : `Sheet ${hotspot.targetSheet} is not in this project`;
+      link.addEventListener('click', async (e) => {
+        e.preventDefault();
+        if (hotspot.target) {
+          await followViewerLink(hotspot.target);
+        }
+      });
+      hotspotsEl.appendChild(link);
+    });
+
+    if (links.backlinks.length > 0) {
+      backlinksEl.innerHTML = 'Referenced from: ' + links.backlinks.map((backlink, index) =>
+        `<a href="#" data-index="${index}">${escapeHtml(backlink.sheetNumber || `${backlink.filename} p.${backlink.pageNumber}`)} (${escapeHtml(backlink.references.join(', '))})</a>`
+      ).join('');
+      backlinksEl.querySelectorAll('a').forEach(link => {
+        link.addEventListener('click', async (e) => {
+          e.preventDefault();
+          await followViewerLink(links.backlinks[parseInt(link.dataset.index)]);
+        });
+      });
+    }
+
+    return links;
+  } catch (error) {
+    console.error('Error loading page links:', error);
+  }
+  return null;
+}
+
+/**
+ * Draw the cited passage's boxes (fractions of the page size) when its page is shown
+ */
+function renderHighlights(pageNum) {
+  const highlightsEl = document.getElementById('pdfHighlights');
+  highlightsEl.innerHTML = '';
+
+  if (!viewerHighlight || !viewerDocument || viewerHighlight.documentId !== viewerDocument.id || viewerHighlight.pageNumber !== pageNum) {
+    return;
+  }
+
+  viewerHighlight.boxes.forEach(box => {
+    const rect = document.createElement('div');
+    rect.className = 'pdf-highlight';
+    rect.style.left = `calc(${box.x * 100}% - 3px)`;
+    rect.style.top = `calc(${box.y * 100}% - 3px)`;
+    rect.style.width = `calc(${box.width * 100}% + 6px)`;
+    rect.style.height = `calc(${box.height * 100}% + 6px)`;
+    highlightsEl.appendChild(rect);
+  });
+}
+
+/**
+ * Find the cited passage on the page, highlight it and zoom in on it
+ */
+async function highlightCitation() {
+  const { documentId, pageNumber, span } = viewerHighlight;
+  const params = new URLSearchParams({ chunkId: span.chunkId, field: span.field || 'content', start: span.start, end: span.end });
+
+  try {
+    const response = await fetch(`${API_BASE}/documents/${documentId}/pages/${pageNumber}/highlight?${params}`);
+    if (!response.ok || !viewerHighlight) return;
+    const highlight = await response.json();
+    if (!viewerHighlight || highlight.boxes.length === 0) return;
+    viewerHighlight.boxes = highlight.boxes;
+
+    // Bounds of all the boxes, as fractions of the page
+    const x0 = Math.min(...highlight.boxes.map(box => box.x));
+    const y0 = Math.min(...highlight.boxes.map(box => box.y));
+    const x1 = Math.max(...highlight.boxes.map(box => box.x + box.width));
+    const y1 = Math.max(...highlight.boxes.map(box => box.y + box.height));
+
+    // Zoom so the passage takes up about 60% of the viewer's width
+    const container = document.querySelector('.pdf-viewer');
+    const page = await pdfDoc.getPage(pageNumber);
+    const pageSize = page.getViewport({ scale: 1 });
+    const maxScale = Math.min(MAX_HIGHLIGHT_SCALE, Math.sqrt(MAX_CANVAS_PIXELS / (pageSize.width * pageSize.height)));
+    const scale = Math.max(PDF_SCALE, Math.min(maxScale, (container.clientWidth * 0.6) / ((x1 - x0) * pageSize.width)));
+
+    if (Math.abs(scale - viewerScale) > 0.1 && currentPage === pageNumber) {
+      viewerScale = scale;
+      await renderPDFPage(pageNumber);
+    } else {
+      renderHighlights(pageNumber);
+    }
+
+    // Scroll the passage to the middle of the viewer
+    const canvasRect = document.getElementById('pdfCanvas').getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    container.scrollLeft += canvasRect.left - containerRect.left + ((x0 + x1) / 2) * canvasRect.width - container.clientWidth / 2;
+    container.scrollTop += canvasRect.top - containerRect.top + ((y0 + y1) / 2) * canvasRect.height - container.clientHeight / 2;
+  } catch (error) {
+    console.error('Error highlighting citation:', error);
+  }
+}
+
 async function renderPDFPage(pageNum) {
   if (!pdfDoc) return;
+  const renderId = ++viewerRenderId;
   
   try {
     const page = await pdfDoc.getPage(pageNum);
@@ -522,7 +848,7 @@ async function renderPDFPage(pageNum) {
     const canvas = document.getElementById('pdfCanvas');
     const context = canvas.getContext('2d');
     
-    const viewport = page.getViewport({ scale: 1.5 });
+    const viewport = page.getViewport({ scale: viewerScale });
     
     canvas.height = viewport.height;
     canvas.width = viewport.width;
@@ -540,6 +866,9 @@ async function renderPDFPage(pageNum) {
     // Update button states
     document.getElementById('prevPage').disabled = pageNum <= 1;
     document.getElementById('nextPage').disabled = pageNum >= pdfDoc.numPages;
+
+    renderHighlights(pageNum);
+    return await renderPageLinks(pageNum, renderId);
   } catch (error) {
     console.error('Error rendering PDF page:', error);
   }
@@ -2,6 +2,12 @@ const API_BASE = 'http://localhost:3000/api';
 let currentProjectId = null;
 let currentChatId = null;
 
+const DOCUMENT_TYPE_LABELS = {
+    drawing: 'Drawing',
+    spec: 'Specification',
+    addendum: 'Addendum'
+};
+
 document.addEventListener('DOMContentLoaded', () => {
     // Get project ID from URL
     const params = new URLSearchParams(window.location.search);
@@ -14,6 +20,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     loadProject();
     setupEventListeners();
+    resumeActiveProcessing();
 });
 
 function setupEventListeners() {
@@ -73,6 +80,8 @@ function displayDocuments(documents) {
     const hasUnprocessed = documents.some(doc => !doc.processed);
     processBtn.style.display = hasUnprocessed ? 'block' : 'none';
 
+    const supersededIds = new Set(documents.map(doc => doc.supersedes_document_id).filter(Boolean));
+
     container.innerHTML = documents.map(doc => `
         <div class="document-item">
             <div class="document-info">
@@ -80,8 +89,11 @@ function displayDocuments(documents) {
                 <div class="document-details">
                     <div class="document-name">${escapeHtml(doc.filename)}</div>
                     <div class="document-meta">
-                        ${doc.type === 'spec' ? 'Specification' : 'Drawing'} · 
+                        ${DOCUMENT_TYPE_LABELS[doc.type] || 'Drawing'} · 
+                        ${doc.revision ? escapeHtml(doc.revision) + ' · ' : ''}
+                        ${doc.issue_date ? 'Issued ' + escapeHtml(doc.issue_date) + ' · ' : ''}
                         ${doc.page_count ? doc.page_count + ' pages' : 'Not processed'}
+                        ${supersededIds.has(doc.id) ? ' · Superseded' : ''}
                     </div>
                 </div>
             </div>
@@ -138,6 +150,15 @@ async function uploadDocuments() {
     const formData = new FormData();
     formData.append('type', docType);
 
+    const revision = document.getElementById('documentRevision').value.trim();
+    const issueDate = document.getElementById('documentIssueDate').value;
+    if (revision) {
+        formData.append('revision', revision);
+    }
+    if (issueDate) {
+        formData.append('issueDate', issueDate);
+    }
+
     for (let file of fileInput.files) {
         formData.append('documents', file);
     }
@@ -168,6 +189,8 @@ async function uploadDocuments() {
                 console.log('Upload result:', result);
 
                 fileInput.value = '';
+                document.getElementById('documentRevision').value = '';
+                document.getElementById('documentIssueDate').value = '';
                 progressContainer.style.display = 'none';
                 loadProject();
                 alert('Documents uploaded successfully! Click "Process Documents" to analyze them.');
@@ -204,6 +227,25 @@ async function uploadDocuments() {
 }
 
 async function processDocuments() {
+    watchProcessing(`${API_BASE}/documents/${currentProjectId}/process-stream`);
+}
+
+// Processing runs as a server-side job, so reattach to it if the page was reloaded mid-run
+async function resumeActiveProcessing() {
+    try {
+        const response = await fetch(`${API_BASE}/jobs/project/${currentProjectId}?active=true`);
+        const jobs = await response.json();
+        const processJob = jobs.find(job => job.type === 'process');
+
+        if (processJob) {
+            watchProcessing(`${API_BASE}/jobs/${processJob.id}/events`);
+        }
+    } catch (error) {
+        console.error('Error checking for active jobs:', error);
+    }
+}
+
+function watchProcessing(streamUrl) {
     const processBtn = document.getElementById('processBtn');
     const statusDiv = document.getElementById('processStatus');
     const progressContainer = document.getElementById('processProgress');
@@ -219,7 +261,7 @@ async function processDocuments() {
 
     try {
         // Use EventSource for Server-Sent Events
-        const eventSource = new EventSource(`${API_BASE}/documents/${currentProjectId}/process-stream`);
+        const eventSource = new EventSource(streamUrl);
 
         eventSource.onmessage = (event) => {
             if (event.data === '[DONE]') {
@@ -254,8 +296,8 @@ async function processDocuments() {
                     loadProject();
                 }
 
-                // Handle errors
-                if (data.stage === 'error') {
+                // Handle errors and cancellation
+                if (data.stage === 'error' || data.stage === 'cancelled') {
                     eventSource.close();
                     statusDiv.innerHTML = '<p class="error">Error processing documents: ' + escapeHtml(data.message) + '</p>';
                     progressContainer.style.display = 'none';
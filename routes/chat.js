@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { getQuery, getOneQuery, runQuery } = require('../database');
 const { createChat, sendMessage, getChatHistory, deleteOldChats, getAvailableModels } = require('../chatHandler');
+const { getDefaultModel } = require('../services/providers');
+const { BudgetExceededError, assertWithinBudget } = require('../services/usage');
 
 // Get all chats for a project
 router.get('/project/:projectId', (req, res) => {
@@ -45,6 +47,18 @@ router.post('/', (req, res) => {
   }
 });
 
+// Get AI models whose provider is configured, flagging the default one
+// (registered before /:chatId, which would otherwise match it)
+router.get('/models', (req, res) => {
+  try {
+    const defaultModel = getDefaultModel('chat');
+    const models = getAvailableModels().map(model => ({ ...model, default: model.id === defaultModel }));
+    res.json(models);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get chat with messages
 router.get('/:chatId', (req, res) => {
   try {
@@ -65,16 +79,6 @@ router.get('/:chatId', (req, res) => {
   }
 });
 
-// Get available AI models
-router.get('/models', (req, res) => {
-  try {
-    const models = getAvailableModels();
-    res.json(models);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // Send message in chat
 router.post('/:chatId/message', async (req, res) => {
   try {
@@ -84,15 +88,60 @@ router.post('/:chatId/message', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Default to gpt-4o if no model specified
-    const selectedModel = model || 'gpt-4o';
+    // Default to the configured chat model if no model specified
+    const selectedModel = model || getDefaultModel('chat');
 
     const response = await sendMessage(req.params.chatId, message, selectedModel);
     res.json(response);
   } catch (error) {
     console.error('Error sending message:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error instanceof BudgetExceededError ? 402 : 500).json({ error: error.message });
+  }
+});
+
+// Send message and stream the answer's progress (SSE): stage events, then token
+// events as the answer is written, then the saved message with its citations
+router.post('/:chatId/message/stream', async (req, res) => {
+  const { message, model } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  const chat = getOneQuery('SELECT id, project_id FROM chats WHERE id = ?', [req.params.chatId]);
+  if (!chat) {
+    return res.status(404).json({ error: 'Chat not found' });
+  }
+
+  try {
+    assertWithinBudget(chat.project_id);
+  } catch (error) {
+    return res.status(402).json({ error: error.message });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // The answer is still generated and saved if the client goes away
+  const send = (data) => {
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const response = await sendMessage(req.params.chatId, message, model || getDefaultModel('chat'), { onEvent: send });
+    send({ type: 'message', ...response });
+    if (!res.writableEnded) {
+      res.write('data: [DONE]\n\n');
+    }
+  } catch (error) {
+    console.error('Error streaming message:', error);
+    send({ type: 'error', error: error.message });
   }
+  res.end();
 });
 
 // Delete chat
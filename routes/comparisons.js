@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { runQuery, getQuery, getOneQuery } = require('../database');
+const { enqueueJob } = require('../jobQueue');
+const { deleteComparisonFiles, formatReportCsv, formatReportMarkdown } = require('../services/revisionDiff');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', format: formatReportCsv },
+  md: { contentType: 'text/markdown', format: formatReportMarkdown },
+  json: { contentType: 'application/json', format: (report) => JSON.stringify(report, null, 2) }
+};
+
+function parseComparison(row, { withReport = false } = {}) {
+  const { report, summary, ...rest } = row;
+  return {
+    ...rest,
+    include_images: Boolean(row.include_images),
+    summary: summary ? JSON.parse(summary) : null,
+    ...(withReport ? { report: report ? JSON.parse(report) : null } : {})
+  };
+}
+
+// Compare two revisions of a drawing set. Without baseDocumentId, the revised
+// document is compared with the document it supersedes.
+router.post('/', (req, res) => {
+  try {
+    const body = req.body || {};
+    const revised = getOneQuery('SELECT * FROM documents WHERE id = ?', [body.revisedDocumentId]);
+    if (!revised) {
+      return res.status(404).json({ error: 'Revised document not found' });
+    }
+
+    const baseDocumentId = body.baseDocumentId || revised.supersedes_document_id;
+    if (!baseDocumentId) {
+      return res.status(400).json({ error: 'baseDocumentId is required when the revised document does not supersede another document' });
+    }
+
+    const base = getOneQuery('SELECT * FROM documents WHERE id = ?', [baseDocumentId]);
+    if (!base) {
+      return res.status(404).json({ error: 'Base document not found' });
+    }
+    if (base.project_id !== revised.project_id) {
+      return res.status(400).json({ error: 'Both documents must belong to the same project' });
+    }
+    if (base.id === revised.id) {
+      return res.status(400).json({ error: 'A document cannot be compared with itself' });
+    }
+
+    runQuery(
+      `INSERT INTO revision_comparisons (project_id, base_document_id, revised_document_id, include_images, created_at)
+       VALUES (?, ?, ?, ?, datetime('now'))`,
+      [revised.project_id, base.id, revised.id, body.includeImages ? 1 : 0]
+    );
+    const comparison = getOneQuery('SELECT * FROM revision_comparisons ORDER BY id DESC LIMIT 1');
+
+    const job = enqueueJob(revised.project_id, 'compare');
+    res.status(202).json({ message: 'Comparison queued', comparison: parseComparison(comparison), job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List comparisons for a project (summaries only)
+router.get('/project/:projectId', (req, res) => {
+  try {
+    const comparisons = getQuery(
+      'SELECT * FROM revision_comparisons WHERE project_id = ? ORDER BY id DESC',
+      [req.params.projectId]
+    );
+    res.json(comparisons.map(row => parseComparison(row)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a comparison with its change report (?status=modified to browse one kind of change)
+router.get('/:id', (req, res) => {
+  try {
+    const row = getOneQuery('SELECT * FROM revision_comparisons WHERE id = ?', [req.params.id]);
+    if (!row) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+
+    const comparison = parseComparison(row, { withReport: true });
+    if (comparison.report && req.query.status) {
+      comparison.report.sheets = comparison.report.sheets.filter(sheet => sheet.status === req.query.status);
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the change report (?format=csv, md or json)
+router.get('/:id/export', (req, res) => {
+  try {
+    const row = getOneQuery('SELECT * FROM revision_comparisons WHERE id = ?', [req.params.id]);
+    if (!row) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+    if (!row.report) {
+      return res.status(409).json({ error: `Comparison is ${row.status}; no report to export` });
+    }
+
+    const exportFormat = EXPORT_FORMATS[req.query.format || 'csv'];
+    if (!exportFormat) {
+      return res.status(400).json({ error: `Unknown format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    res.setHeader('Content-Type', `${exportFormat.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="comparison-${row.id}.${req.query.format || 'csv'}"`);
+    res.send(exportFormat.format(JSON.parse(row.report)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a comparison and its overlay images
+router.delete('/:id', (req, res) => {
+  try {
+    const row = getOneQuery('SELECT * FROM revision_comparisons WHERE id = ?', [req.params.id]);
+    if (!row) {
+      return res.status(404).json({ error: 'Comparison not found' });
+    }
+
+    deleteComparisonFiles(row.project_id, row.id);
+    runQuery('DELETE FROM revision_comparisons WHERE id = ?', [row.id]);
+
+    res.json({ message: 'Comparison deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,17 +3,35 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const { runQuery, getQuery, getOneQuery } = require('../database');
-const { processProject } = require('../documentProcessor');
-const { generateEmbeddings, generateVisualFindingsEmbeddings } = require('../embeddings');
-const { analyzeProjectVision } = require('../services/vision');
-const { processProjectOCR } = require('../services/ocr');
+const { enqueueJob, streamJobEvents } = require('../jobQueue');
+const { deleteDocumentPages } = require('../services/rasterizer');
+const { invalidateProjectIndex } = require('../services/vectorIndex');
+const { deleteComparisonFiles } = require('../services/revisionDiff');
+const { getPageLayout } = require('../services/layout');
+const { getPageLinks } = require('../services/sheetLinks');
+const { locateHighlight } = require('../services/citationHighlights');
+const { estimateVisionCost } = require('../services/vision');
+const { getBudgetStatus } = require('../services/usage');
+const { TITLE_BLOCK_FIELDS, normalizeSheetNumber, getDocumentTitleBlocks, setTitleBlockOverrides } = require('../services/titleBlock');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Upload folder for each document type
+const UPLOAD_FOLDERS = {
+  drawing: 'drawings',
+  spec: 'specs',
+  addendum: 'addenda'
+};
+
+function getUploadPath(req) {
+  const type = req.body.type || 'drawing';
+  return path.join(__dirname, '..', 'uploads', req.params.projectId, UPLOAD_FOLDERS[type] || UPLOAD_FOLDERS.drawing);
+}
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const projectId = req.params.projectId;
-    const type = req.body.type || 'drawing'; // 'spec' or 'drawing'
-    const uploadPath = path.join(__dirname, '..', 'uploads', projectId, type === 'spec' ? 'specs' : 'drawings');
+    const uploadPath = getUploadPath(req);
     
     // Ensure directory exists before multer tries to save
     if (!require('fs').existsSync(uploadPath)) {
@@ -23,8 +41,19 @@ const storage = multer.diskStorage({
     cb(null, uploadPath);
   },
   filename: function (req, file, cb) {
-    // Keep original filename
-    cb(null, file.originalname);
+    // Keep original filename, unless a previous revision is already stored under it
+    const uploadPath = getUploadPath(req);
+    if (!require('fs').existsSync(path.join(uploadPath, file.originalname))) {
+      return cb(null, file.originalname);
+    }
+
+    const ext = path.extname(file.originalname);
+    const base = path.basename(file.originalname, ext);
+    let suffix = 2;
+    while (require('fs').existsSync(path.join(uploadPath, `${base} (${suffix})${ext}`))) {
+      suffix++;
+    }
+    cb(null, `${base} (${suffix})${ext}`);
   }
 });
 
@@ -42,7 +71,75 @@ const upload = multer({
   }
 });
 
-// Upload documents for a project
+/**
+ * Validate revision fields from a request body
+ * @returns {{ error }|{ revision, issueDate, supersedesDocumentId }} undefined fields were not given
+ */
+function parseRevisionFields(body, projectId, documentId = null) {
+  const fields = {};
+
+  if (body.revision !== undefined) {
+    fields.revision = body.revision ? String(body.revision).trim() : null;
+  }
+
+  if (body.issueDate !== undefined) {
+    if (body.issueDate && !DATE_PATTERN.test(body.issueDate)) {
+      return { error: 'issueDate must be a YYYY-MM-DD date' };
+    }
+    fields.issueDate = body.issueDate || null;
+  }
+
+  if (body.supersedesDocumentId !== undefined) {
+    const supersedesDocumentId = body.supersedesDocumentId ? Number(body.supersedesDocumentId) : null;
+    if (supersedesDocumentId) {
+      const superseded = getOneQuery('SELECT id FROM documents WHERE id = ? AND project_id = ?', [supersedesDocumentId, projectId]);
+      if (!superseded) {
+        return { error: 'supersedesDocumentId must be a document in the same project' };
+      }
+      if (supersedesDocumentId === Number(documentId)) {
+        return { error: 'A document cannot supersede itself' };
+      }
+    }
+    fields.supersedesDocumentId = supersedesDocumentId;
+  }
+
+  return fields;
+}
+
+/**
+ * Validate title block overrides from a request body
+ * @returns {{ error }|object} fields keyed like TITLE_BLOCK_FIELDS; null clears an override
+ */
+function parseTitleBlockOverrides(body) {
+  const overrides = {};
+
+  for (const field of Object.keys(TITLE_BLOCK_FIELDS)) {
+    if (body[field] !== undefined) {
+      overrides[field] = body[field] === null || String(body[field]).trim() === '' ? null : String(body[field]).trim();
+    }
+  }
+
+  if (Object.keys(overrides).length === 0) {
+    return { error: `Provide at least one of: ${Object.keys(TITLE_BLOCK_FIELDS).join(', ')}` };
+  }
+
+  if (overrides.sheetNumber) {
+    overrides.sheetNumber = normalizeSheetNumber(overrides.sheetNumber);
+    if (!/^[A-Z]{1,3}-\d+(\.\d+)?$/.test(overrides.sheetNumber)) {
+      return { error: 'sheetNumber must look like A-101 or S-3.1' };
+    }
+  }
+
+  if (overrides.revisionDate && !DATE_PATTERN.test(overrides.revisionDate)) {
+    return { error: 'revisionDate must be a YYYY-MM-DD date' };
+  }
+
+  return overrides;
+}
+
+// Upload documents for a project. Optional revision, issueDate and supersedesDocumentId
+// fields apply to every file; a file with the same name as an earlier upload
+// supersedes it unless supersedesDocumentId says otherwise.
 router.post('/:projectId/upload', upload.array('documents'), (req, res) => {
   try {
     const projectId = req.params.projectId;
@@ -52,12 +149,33 @@ router.post('/:projectId/upload', upload.array('documents'), (req, res) => {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
+    if (!UPLOAD_FOLDERS[type]) {
+      req.files.forEach(file => require('fs').unlinkSync(file.path));
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(UPLOAD_FOLDERS).join(', ')}` });
+    }
+
+    const fields = parseRevisionFields(req.body, projectId);
+    if (fields.error) {
+      req.files.forEach(file => require('fs').unlinkSync(file.path));
+      return res.status(400).json({ error: fields.error });
+    }
+
     // Add documents to database
     const uploadedDocs = [];
     for (const file of req.files) {
+      let supersedesDocumentId = fields.supersedesDocumentId;
+      if (supersedesDocumentId === undefined) {
+        const previous = getOneQuery(
+          'SELECT id FROM documents WHERE project_id = ? AND filename = ? ORDER BY id DESC LIMIT 1',
+          [projectId, file.originalname]
+        );
+        supersedesDocumentId = previous ? previous.id : null;
+      }
+
       runQuery(
-        'INSERT INTO documents (project_id, filename, filepath, type, created_at) VALUES (?, ?, ?, ?, datetime("now"))',
-        [projectId, file.originalname, file.path, type]
+        `INSERT INTO documents (project_id, filename, filepath, type, revision, issue_date, supersedes_document_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, datetime("now"))`,
+        [projectId, file.originalname, file.path, type, fields.revision || null, fields.issueDate || null, supersedesDocumentId]
       );
 
       // Get the last inserted document
@@ -76,131 +194,25 @@ router.post('/:projectId/upload', upload.array('documents'), (req, res) => {
   }
 });
 
-// Process documents for a project with SSE progress updates
-router.get('/:projectId/process-stream', async (req, res) => {
-  const projectId = req.params.projectId;
-
-  // Set headers for Server-Sent Events
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
-
-  const sendProgress = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
-
+// Process documents for a project with SSE progress updates.
+// Processing runs as a background job; this stream is only a subscription to it,
+// so closing the page does not stop the work.
+router.get('/:projectId/process-stream', (req, res) => {
   try {
-    console.log(`\n========================================`);
-    console.log(`Starting document processing for project ${projectId}...`);
-    console.log(`========================================\n`);
-
-    // Get unprocessed documents
-    const docs = getQuery('SELECT * FROM documents WHERE project_id = ? AND processed = 0', [projectId]);
-    const totalDocs = docs.length;
-
-    sendProgress({ stage: 'starting', message: `Processing ${totalDocs} document(s)...`, progress: 0 });
-
-    // Process documents (extract text, create chunks)
-    sendProgress({ stage: 'extracting', message: 'Extracting text from PDFs...', progress: 10 });
-    const processResults = await processProject(projectId);
-    console.log(`\nDocument processing results:`, JSON.stringify(processResults, null, 2));
-
-    sendProgress({ stage: 'extracted', message: 'Text extraction complete', progress: 50 });
-
-    // Generate embeddings
-    console.log('\n========================================');
-    console.log('Generating embeddings...');
-    console.log('========================================\n');
-    sendProgress({ stage: 'embedding', message: 'Generating embeddings...', progress: 60 });
-
-    const embeddingResults = await generateEmbeddings(projectId, (current, total) => {
-      const embeddingProgress = 60 + (current / total) * 35;
-      sendProgress({
-        stage: 'embedding',
-        message: `Generating embeddings... (${current}/${total} chunks)`,
-        progress: Math.round(embeddingProgress)
-      });
-    });
-    console.log(`\nEmbedding results:`, JSON.stringify(embeddingResults, null, 2));
-
-    if (embeddingResults.pausedForQuota) {
-      sendProgress({
-        stage: 'paused',
-        message: embeddingResults.message || 'Embedding generation paused due to quota limits.',
-        progress: 95,
-        results: { processResults, embeddingResults }
-      });
-
-      res.write('data: [DONE]\n\n');
-      res.end();
-      return;
-    }
-
-    console.log(`\n========================================`);
-    console.log(`Processing complete for project ${projectId}`);
-    console.log(`========================================\n`);
-
-    sendProgress({
-      stage: 'complete',
-      message: 'Processing complete!',
-      progress: 100,
-      results: { processResults, embeddingResults }
-    });
-
-    res.write('data: [DONE]\n\n');
-    res.end();
+    const job = enqueueJob(Number(req.params.projectId), 'process');
+    streamJobEvents(job.id, req, res);
   } catch (error) {
-    console.error('\n========================================');
-    console.error('ERROR processing documents:', error);
-    console.error('========================================\n');
-    sendProgress({ stage: 'error', message: error.message, progress: 0 });
-    res.end();
+    res.status(500).json({ error: error.message });
   }
 });
 
 // Process documents for a project (extract text and create chunks)
-router.post('/:projectId/process', async (req, res) => {
+router.post('/:projectId/process', (req, res) => {
   try {
-    const projectId = req.params.projectId;
-    console.log(`\n========================================`);
-    console.log(`Starting document processing for project ${projectId}...`);
-    console.log(`========================================\n`);
-
-    // Process documents (extract text, create chunks)
-    const processResults = await processProject(projectId);
-    console.log(`\nDocument processing results:`, JSON.stringify(processResults, null, 2));
-
-    // Generate embeddings
-    console.log('\n========================================');
-    console.log('Generating embeddings...');
-    console.log('========================================\n');
-    const embeddingResults = await generateEmbeddings(projectId);
-    console.log(`\nEmbedding results:`, JSON.stringify(embeddingResults, null, 2));
-
-    console.log(`\n========================================`);
-    console.log(`Processing complete for project ${projectId}`);
-    console.log(`========================================\n`);
-
-    if (embeddingResults.pausedForQuota) {
-      res.json({
-        message: embeddingResults.message || 'Embedding generation paused due to quota limits.',
-        processResults,
-        embeddingResults
-      });
-      return;
-    }
-
-    res.json({
-      message: 'Documents processed successfully',
-      processResults,
-      embeddingResults
-    });
+    const job = enqueueJob(Number(req.params.projectId), 'process');
+    res.status(202).json({ message: 'Document processing queued', job });
   } catch (error) {
-    console.error('\n========================================');
-    console.error('ERROR processing documents:', error);
-    console.error('========================================\n');
-    res.status(500).json({ error: error.message, stack: error.stack });
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -232,7 +244,8 @@ router.get('/:projectId/vision-estimate', (req, res) => {
     const remaining = total - alreadyProcessed;
     const toProcess = Math.min(remaining, limit);
 
-    const costPer = 0.008; // $0.008 per image (GPT-4o vision estimate)
+    // Average of analyses recorded with the vision model, or a flat estimate before there are any
+    const { perImage: costPer, basis, model } = estimateVisionCost();
     const estimatedCost = toProcess * costPer;
 
     res.json({
@@ -243,8 +256,11 @@ router.get('/:projectId/vision-estimate', (req, res) => {
       estimatedCost: `$${estimatedCost.toFixed(3)}`,
       costBreakdown: {
         perImage: `$${costPer.toFixed(4)}`,
-        total: `$${estimatedCost.toFixed(3)}`
+        total: `$${estimatedCost.toFixed(3)}`,
+        basis,
+        model
       },
+      budget: getBudgetStatus(projectId),
       note: 'This is an estimate. Actual costs may vary based on image complexity.'
     });
   } catch (error) {
@@ -253,7 +269,7 @@ router.get('/:projectId/vision-estimate', (req, res) => {
 });
 
 // Analyze drawings with vision models for a project
-router.post('/:projectId/vision', async (req, res) => {
+router.post('/:projectId/vision', (req, res) => {
   if (process.env.VISION_ANALYSIS_ENABLED !== 'true') {
     return res.status(400).json({
       error: 'Vision analysis is disabled. Set VISION_ANALYSIS_ENABLED=true to enable.'
@@ -261,91 +277,202 @@ router.post('/:projectId/vision', async (req, res) => {
   }
 
   try {
-    const projectId = req.params.projectId;
-    const limit = Number.parseInt(req.body.limit, 10) || 10; // Reduced default to 10
-    const skipTextHeavy = req.body.skipTextHeavy !== false; // Default true (skip specs)
+    const body = req.body || {};
+    const limit = Number.parseInt(body.limit, 10) || 10; // Reduced default to 10
+    const skipTextHeavy = body.skipTextHeavy !== false; // Default true (skip specs)
 
-    console.log(`\n========================================`);
-    console.log(`Starting vision analysis for project ${projectId}...`);
-    console.log(`Limit: ${limit} images`);
-    console.log(`Skip text-heavy pages: ${skipTextHeavy}`);
-    console.log(`Estimated cost: $${(limit * 0.008).toFixed(3)} (approx $0.008 per image)`);
-    console.log(`========================================\n`);
+    const budget = getBudgetStatus(req.params.projectId);
+    if (budget && budget.exceeded) {
+      return res.status(402).json({ error: 'Monthly budget for this project is used up', budget });
+    }
 
-    const results = await analyzeProjectVision(projectId, { limit, skipTextHeavy });
+    const job = enqueueJob(Number(req.params.projectId), 'vision', { limit, skipTextHeavy });
+    res.status(202).json({ message: 'Vision analysis queued', job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`\nActual cost estimate: $${(results.processed * 0.008).toFixed(3)}`);
+// Render page images for chunks that don't have one yet
+router.post('/:projectId/rasterize', (req, res) => {
+  try {
+    const body = req.body || {};
+    const limit = Number.parseInt(body.limit, 10) || 100;
+    const dpi = Number.parseInt(body.dpi, 10) || null;
 
-    res.json({
-      message: 'Vision analysis complete',
-      ...results,
-      estimatedCost: `$${(results.processed * 0.008).toFixed(3)}`
-    });
+    const job = enqueueJob(Number(req.params.projectId), 'rasterize', { limit, dpi });
+    res.status(202).json({ message: 'Page rendering queued', job });
   } catch (error) {
-    res.status(500).json({ error: error.message, stack: error.stack });
+    res.status(500).json({ error: error.message });
   }
 });
 
 // Process OCR for drawing images in a project
-router.post('/:projectId/ocr', async (req, res) => {
+router.post('/:projectId/ocr', (req, res) => {
   try {
-    const projectId = req.params.projectId;
-    const limit = Number.parseInt(req.body.limit, 10) || 25;
+    const body = req.body || {};
+    const limit = Number.parseInt(body.limit, 10) || 25;
 
-    console.log(`\n========================================`);
-    console.log(`Starting OCR processing for project ${projectId}...`);
-    console.log(`========================================\n`);
+    const job = enqueueJob(Number(req.params.projectId), 'ocr', { limit });
+    res.status(202).json({ message: 'OCR processing queued', job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const results = await processProjectOCR(projectId, { limit });
+// Generate embeddings for visual findings
+router.post('/:projectId/embed-visual-findings', (req, res) => {
+  try {
+    const job = enqueueJob(Number(req.params.projectId), 'embed-visual-findings');
+    res.status(202).json({ message: 'Visual findings embedding queued', job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`\n========================================`);
-    console.log(`OCR processing complete for project ${projectId}`);
-    console.log(`========================================\n`);
+// Update a document's revision label, issue date or the document it supersedes
+router.patch('/:documentId', (req, res) => {
+  try {
+    const doc = getOneQuery('SELECT * FROM documents WHERE id = ?', [req.params.documentId]);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    res.json({
-      message: 'OCR processing complete',
-      ...results
-    });
+    const fields = parseRevisionFields(req.body || {}, doc.project_id, doc.id);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+
+    runQuery(
+      'UPDATE documents SET revision = ?, issue_date = ?, supersedes_document_id = ? WHERE id = ?',
+      [
+        fields.revision !== undefined ? fields.revision : doc.revision,
+        fields.issueDate !== undefined ? fields.issueDate : doc.issue_date,
+        fields.supersedesDocumentId !== undefined ? fields.supersedesDocumentId : doc.supersedes_document_id,
+        doc.id
+      ]
+    );
+
+    res.json(getOneQuery('SELECT * FROM documents WHERE id = ?', [doc.id]));
   } catch (error) {
-    console.error('\n========================================');
-    console.error('ERROR processing OCR:', error);
-    console.error('========================================\n');
-    res.status(500).json({ error: error.message, stack: error.stack });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Generate embeddings for visual findings
-router.post('/:projectId/embed-visual-findings', async (req, res) => {
+// Positioned text of a page: { width, height, items: [{ text, x, y, width, height }] } in PDF points, top-left origin
+router.get('/:documentId/pages/:pageNumber/layout', (req, res) => {
   try {
-    const projectId = req.params.projectId;
+    const layout = getPageLayout(Number(req.params.documentId), Number(req.params.pageNumber));
+    if (!layout) {
+      return res.status(404).json({ error: 'No layout for that page (re-process the document to capture it)' });
+    }
 
-    console.log(`\n========================================`);
-    console.log(`Generating embeddings for visual findings (project ${projectId})...`);
-    console.log(`========================================\n`);
+    res.json(layout);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const results = await generateVisualFindingsEmbeddings(projectId);
+// Viewer links of a page: hotspots on its callouts and sheet references (with the page
+// each one opens) and backlinks from the pages that call out its sheet
+router.get('/:documentId/pages/:pageNumber/links', (req, res) => {
+  try {
+    const links = getPageLinks(Number(req.params.documentId), Number(req.params.pageNumber));
+    if (!links) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    console.log(`\n========================================`);
-    console.log(`Visual findings embeddings complete`);
-    console.log(`========================================\n`);
+    res.json(links);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (results.pausedForQuota) {
-      res.json({
-        message: results.message || 'Visual findings embedding generation paused due to quota limits.',
-        ...results
-      });
-      return;
+// Boxes to highlight on a page for a citation span (?chunkId=&start=&end=&field=) or a
+// passage (?text=), as fractions of the page size
+router.get('/:documentId/pages/:pageNumber/highlight', (req, res) => {
+  try {
+    const { chunkId, start, end, field, text } = req.query;
+    if (!chunkId && !text) {
+      return res.status(400).json({ error: 'chunkId or text is required' });
     }
 
-    res.json({
-      message: 'Visual findings embeddings generated',
-      ...results
+    const highlight = locateHighlight(Number(req.params.documentId), Number(req.params.pageNumber), {
+      chunkId: chunkId ? Number(chunkId) : null,
+      field,
+      start: start !== undefined ? Number(start) : null,
+      end: end !== undefined ? Number(end) : null,
+      text: text || null
     });
+    if (!highlight) {
+      return res.status(404).json({ error: 'Chunk not found' });
+    }
+
+    res.json(highlight);
   } catch (error) {
-    console.error('\n========================================');
-    console.error('ERROR generating visual findings embeddings:', error);
-    console.error('========================================\n');
-    res.status(500).json({ error: error.message, stack: error.stack });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Title block fields of every sheet in a document, with their confidence and any overrides
+router.get('/:documentId/title-blocks', (req, res) => {
+  try {
+    const doc = getOneQuery('SELECT id FROM documents WHERE id = ?', [req.params.documentId]);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(getDocumentTitleBlocks(doc.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Override title block fields of one page; a null field goes back to the extracted value.
+// Overrides are kept when the document is re-processed.
+router.put('/:documentId/title-blocks/:pageNumber', (req, res) => {
+  try {
+    const doc = getOneQuery('SELECT id FROM documents WHERE id = ?', [req.params.documentId]);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const pageNumber = Number(req.params.pageNumber);
+    if (!getDocumentTitleBlocks(doc.id).some(page => page.pageNumber === pageNumber)) {
+      return res.status(404).json({ error: 'No sheet on that page (is the document processed?)' });
+    }
+
+    const overrides = parseTitleBlockOverrides(req.body || {});
+    if (overrides.error) {
+      return res.status(400).json({ error: overrides.error });
+    }
+
+    res.json(setTitleBlockOverrides(doc.id, pageNumber, overrides));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove all overrides for one page
+router.delete('/:documentId/title-blocks/:pageNumber', (req, res) => {
+  try {
+    const doc = getOneQuery('SELECT id FROM documents WHERE id = ?', [req.params.documentId]);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const page = setTitleBlockOverrides(
+      doc.id,
+      Number(req.params.pageNumber),
+      Object.fromEntries(Object.keys(TITLE_BLOCK_FIELDS).map(field => [field, null]))
+    );
+    if (!page) {
+      return res.status(404).json({ error: 'No sheet on that page' });
+    }
+
+    res.json(page);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -363,9 +490,15 @@ router.delete('/:documentId', (req, res) => {
     if (fs.existsSync(doc.filepath)) {
       fs.unlinkSync(doc.filepath);
     }
+    deleteDocumentPages(doc.project_id, doc.id);
+    getQuery(
+      'SELECT id FROM revision_comparisons WHERE base_document_id = ? OR revised_document_id = ?',
+      [doc.id, doc.id]
+    ).forEach(comparison => deleteComparisonFiles(doc.project_id, comparison.id));
 
     // Delete from database (cascades to chunks)
     runQuery('DELETE FROM documents WHERE id = ?', [req.params.documentId]);
+    invalidateProjectIndex(doc.project_id);
 
     res.json({ message: 'Document deleted successfully' });
   } catch (error) {
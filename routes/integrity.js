@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { removeOrphanedRows } = require('../database');
+const { checkIntegrity } = require('../services/integrity');
+
+// Report dangling rows and upload files that are out of sync with the database
+router.get('/', (req, res) => {
+  try {
+    res.json(checkIntegrity());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete dangling rows (files are reported only, never deleted)
+router.post('/cleanup', (req, res) => {
+  try {
+    const removed = removeOrphanedRows();
+    res.json({
+      message: 'Orphaned rows removed',
+      removed,
+      report: checkIntegrity()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { getJob, getProjectJobs, cancelJob, streamJobEvents } = require('../jobQueue');
+
+// List jobs for a project (?active=true for queued/running only)
+router.get('/project/:projectId', (req, res) => {
+  try {
+    const jobs = getProjectJobs(req.params.projectId, { activeOnly: req.query.active === 'true' });
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get job status
+router.get('/:id', (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Subscribe to job progress with Server-Sent Events
+router.get('/:id/events', (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    streamJobEvents(job.id, req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued or running job
+router.post('/:id/cancel', (req, res) => {
+  try {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      message: job.status === 'running' ? 'Cancellation requested' : `Job is ${job.status}`,
+      job
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
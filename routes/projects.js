@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { runQuery, getQuery, getOneQuery } = require('../database');
+const { invalidateProjectIndex } = require('../services/vectorIndex');
+const { getSheetRevisions, getRevisionScope } = require('../services/revisions');
+const { getProjectSchedules, formatSchedulesCsv, formatSchedulesXlsx } = require('../services/schedules');
+const { checkSheetIndex } = require('../services/sheetIndex');
+const { checkCallouts } = require('../services/coordination');
+const { getProjectUsage, setMonthlyBudget } = require('../services/usage');
 const fs = require('fs');
 const path = require('path');
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 // Get all projects
 router.get('/', (req, res) => {
   try {
@@ -24,7 +32,7 @@ router.get('/:id', (req, res) => {
     }
 
     // Get documents for this project
-    const documents = getQuery('SELECT * FROM documents WHERE project_id = ?', [req.params.id]);
+    const documents = getQuery('SELECT * FROM documents WHERE project_id = ? ORDER BY id ASC', [req.params.id]);
     
     // Get chats for this project
     const chats = getQuery('SELECT * FROM chats WHERE project_id = ? ORDER BY updated_at DESC', [req.params.id]);
@@ -65,6 +73,7 @@ router.post('/', (req, res) => {
     const uploadDir = path.join(__dirname, '..', 'uploads', project.id.toString());
     const specsDir = path.join(uploadDir, 'specs');
     const drawingsDir = path.join(uploadDir, 'drawings');
+    const addendaDir = path.join(uploadDir, 'addenda');
     
     // Ensure directories exist
     if (!fs.existsSync(uploadDir)) {
@@ -76,6 +85,9 @@ router.post('/', (req, res) => {
     if (!fs.existsSync(drawingsDir)) {
       fs.mkdirSync(drawingsDir, { recursive: true });
     }
+    if (!fs.existsSync(addendaDir)) {
+      fs.mkdirSync(addendaDir, { recursive: true });
+    }
 
     res.json(project);
   } catch (error) {
@@ -84,6 +96,154 @@ router.post('/', (req, res) => {
   }
 });
 
+// Current revision of every sheet, with the revisions it replaced.
+// ?asOf=Addendum 2 (or a YYYY-MM-DD date) shows the set as it stood then.
+router.get('/:id/sheets', (req, res) => {
+  try {
+    const project = getOneQuery('SELECT id FROM projects WHERE id = ?', [req.params.id]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { asOf, unresolvedAsOf, sheets } = getSheetRevisions(project.id, { asOf: req.query.asOf || null });
+    if (unresolvedAsOf) {
+      return res.status(404).json({ error: `No documents with revision "${unresolvedAsOf}"` });
+    }
+
+    res.json({ asOf, sheets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// QA report on the current drawing set (or the set ?asOf a revision):
+// the sheet index compared with the sheets actually issued
+router.get('/:id/qa', (req, res) => {
+  try {
+    const project = getOneQuery('SELECT id FROM projects WHERE id = ?', [req.params.id]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { asOf, unresolvedAsOf, isCurrent } = getRevisionScope(project.id, { asOf: req.query.asOf || null });
+    if (unresolvedAsOf) {
+      return res.status(404).json({ error: `No documents with revision "${unresolvedAsOf}"` });
+    }
+
+    res.json({
+      asOf,
+      sheetIndex: checkSheetIndex(project.id, isCurrent)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Coordination report: callouts to sheets that weren't issued or to details that
+// aren't on their sheet, grouped by the sheet they're on, and sheets nothing calls out
+router.get('/:id/coordination', (req, res) => {
+  try {
+    const project = getOneQuery('SELECT id FROM projects WHERE id = ?', [req.params.id]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { asOf, unresolvedAsOf, isCurrent } = getRevisionScope(project.id, { asOf: req.query.asOf || null });
+    if (unresolvedAsOf) {
+      return res.status(404).json({ error: `No documents with revision "${unresolvedAsOf}"` });
+    }
+
+    res.json({
+      asOf,
+      ...checkCallouts(project.id, isCurrent)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Schedules (door, hardware, window, room finish, equipment) on the current sheets.
+// ?type=door and ?sheet=A-601 narrow them down, ?asOf=Addendum 2 uses the set as it stood then,
+// and ?format=csv or xlsx downloads them.
+router.get('/:id/schedules', async (req, res) => {
+  try {
+    const project = getOneQuery('SELECT id FROM projects WHERE id = ?', [req.params.id]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { unresolvedAsOf, isCurrent } = getRevisionScope(project.id, { asOf: req.query.asOf || null });
+    if (unresolvedAsOf) {
+      return res.status(404).json({ error: `No documents with revision "${unresolvedAsOf}"` });
+    }
+
+    const schedules = getProjectSchedules(project.id, {
+      type: req.query.type || null,
+      sheetNumber: req.query.sheet || null,
+      isCurrent
+    });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="schedules-${project.id}.csv"`);
+      return res.send(formatSchedulesCsv(schedules));
+    }
+    if (req.query.format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="schedules-${project.id}.xlsx"`);
+      return res.send(await formatSchedulesXlsx(schedules));
+    }
+    if (req.query.format && req.query.format !== 'json') {
+      return res.status(400).json({ error: 'format must be csv, xlsx or json' });
+    }
+
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// LLM and embedding usage and cost, by day, stage, model and chat, with the monthly budget.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC, inclusive) default to the current month.
+router.get('/:id/usage', (req, res) => {
+  try {
+    const project = getOneQuery('SELECT id FROM projects WHERE id = ?', [req.params.id]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates as YYYY-MM-DD' });
+    }
+
+    res.json(getProjectUsage(project.id, { from, to }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the monthly budget in USD ({ monthlyBudget: 50 }), or remove it ({ monthlyBudget: null }).
+// Once the month's spending reaches it, chat answers, embeddings and vision analysis stop.
+router.put('/:id/budget', (req, res) => {
+  try {
+    const project = getOneQuery('SELECT id FROM projects WHERE id = ?', [req.params.id]);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { monthlyBudget } = req.body || {};
+    if (monthlyBudget !== null && !(typeof monthlyBudget === 'number' && monthlyBudget >= 0)) {
+      return res.status(400).json({ error: 'monthlyBudget must be a number of dollars (0 or more) or null' });
+    }
+
+    res.json(setMonthlyBudget(project.id, monthlyBudget));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete project
 router.delete('/:id', (req, res) => {
   try {
@@ -101,6 +261,7 @@ router.delete('/:id', (req, res) => {
 
     // Delete from database (cascades to documents, chunks, chats, messages)
     runQuery('DELETE FROM projects WHERE id = ?', [req.params.id]);
+    invalidateProjectIndex(req.params.id);
 
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
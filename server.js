@@ -3,8 +3,9 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { initDatabase } = require('./database');
-const { initOpenAI: initEmbeddingsOpenAI } = require('./embeddings');
-const { initOpenAI: initChatOpenAI } = require('./chatHandler');
+const { loadProviders, getAvailableModels, isEmbeddingConfigured } = require('./services/providers');
+const { startWorker } = require('./jobQueue');
+const { registerDefaultJobHandlers } = require('./jobHandlers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,10 +23,16 @@ app.use('/uploads', express.static('uploads'));
 const projectsRouter = require('./routes/projects');
 const documentsRouter = require('./routes/documents');
 const chatRouter = require('./routes/chat');
+const jobsRouter = require('./routes/jobs');
+const integrityRouter = require('./routes/integrity');
+const comparisonsRouter = require('./routes/comparisons');
 
 app.use('/api/projects', projectsRouter);
 app.use('/api/documents', documentsRouter);
 app.use('/api/chats', chatRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/integrity', integrityRouter);
+app.use('/api/comparisons', comparisonsRouter);
 
 // Initialize database and start server
 async function startServer() {
@@ -35,24 +42,24 @@ async function startServer() {
     await initDatabase();
     console.log('Database initialized successfully');
 
-    // Initialize OpenAI
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn('WARNING: OPENAI_API_KEY not set in .env file');
-      console.warn('Please create a .env file with your OpenAI API key');
+    // Load LLM providers (config/providers.json or PROVIDERS_CONFIG)
+    loadProviders();
+    const models = getAvailableModels();
+    if (models.length === 0) {
+      console.warn('WARNING: No LLM provider configured');
+      console.warn('Please create a .env file with your OpenAI API key, or configure a provider in config/providers.json');
     } else {
-      initEmbeddingsOpenAI(process.env.OPENAI_API_KEY);
-      console.log('OpenAI initialized successfully');
+      console.log(`Models available: ${models.map(model => model.id).join(', ')}`);
     }
-
-    // Initialize Claude (optional)
-    if (process.env.ANTHROPIC_API_KEY) {
-      initChatOpenAI(process.env.OPENAI_API_KEY, process.env.ANTHROPIC_API_KEY);
-      console.log('Claude API initialized successfully');
-    } else {
-      initChatOpenAI(process.env.OPENAI_API_KEY);
-      console.log('Claude API not configured (ANTHROPIC_API_KEY not set)');
+    if (!isEmbeddingConfigured()) {
+      console.warn('WARNING: Embedding provider not configured; search will use keywords only');
     }
 
+    // Start background job worker (resumes jobs interrupted by a restart)
+    registerDefaultJobHandlers();
+    startWorker();
+    console.log('Job worker started');
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n=================================`);
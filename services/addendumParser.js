@@ -0,0 +1,164 @@
+const { extractSheetNumbers } = require('../documentProcessor');
+const { extractSpecSections } = require('./queryParser');
+
+/**
+ * Parse addendum text into change items:
+ * "ITEM 1 - SECTION 08 11 13" -> "A. Paragraph 2.1.A: Delete and replace with the following: ..."
+ */
+
+// "ITEM 1", "Item No. 2", "ADDENDUM ITEM #3"
+const ITEM_PATTERN = /^(?:ADDENDUM\s+)?ITEM\s*(?:NO\.?\s*|#\s*)?(\d{1,3}(?:\.\d{1,2})?)\b\s*[-–—:.]?\s*(.*)$/i;
+// "1. Section 09 91 23, paragraph 2.3.B: ..." - a numbered line counts as an item when it names what it changes
+const NUMBERED_ITEM_PATTERN = /^(\d{1,3})[.)]\s+(.*)$/;
+const SUB_ITEM_PATTERN = /^([A-Z])\.\s+(.*)$/;
+const REFERENCE_PATTERN = /\b(?:SECTION|SPECIFICATION|SHEET|DRAWING|PARAGRAPH|ARTICLE)\b|\b[A-Z]{1,3}-\d/i;
+// Group headings ("CHANGES TO THE SPECIFICATIONS") and the closing line end the current item
+const GROUP_HEADING_PATTERN = /^(?:(?:CHANGES|MODIFICATIONS|REVISIONS|CLARIFICATIONS)\s+TO\s+(?:THE\s+)?[A-Z ]+|END\s+OF\s+ADDENDUM.*)$/;
+
+// "Paragraph 2.1.A", "Article 2.4", "Subparagraph 2.3.B.1", or a bare "2.1.A"
+const PARAGRAPH_REFERENCE_PATTERN = /\b(?:sub)?(?:paragraph|para\.?|article)\s+(\d\.\d{1,2})(?:\.([A-Z]))?/i;
+const BARE_PARAGRAPH_PATTERN = /\b([1-3]\.\d{1,2})\.([A-Z])\b/;
+
+// Checked in order: "delete and replace" is a replacement, not a deletion
+const ACTIONS = [
+  ['replace', /\bdelete\s+(?:and|&)\s+replace\b|\breplace\b|\bsubstitute\b/i],
+  ['delete', /\bdelete\b|\bremove\b|\bomit\b/i],
+  ['add', /\badd\b|\binsert\b/i],
+  ['revise', /\brevise\b|\bchange\b|\bmodify\b|\bcorrect\b/i]
+];
+
+// "delete and replace with "...", "substitute "..." with "..."" - checked first; "replace with the
+// following: ..." is left to NEW_TEXT_PATTERN
+const REPLACE_WITH_PATTERN = /\b(?:(?:delete\s+(?:and|&)\s+)?replace|substitute\b[^:\n]*?)\s+with\s*:?\s*(?!\s|:|the following|as follows)([\s\S]+)$/i;
+// "with the following: ...", "add the following paragraph: ...", "revise ... to read ..."
+const NEW_TEXT_PATTERN = /(?:the following(?:\s+[a-z]+){0,2}|as follows)\s*:\s*([\s\S]+)$|\bto read\s*:?\s*([\s\S]+)$/i;
+
+function detectAction(text) {
+  const action = ACTIONS.find(([, pattern]) => pattern.test(text));
+  return action ? action[0] : 'note';
+}
+
+function extractNewText(text) {
+  const match = text.match(REPLACE_WITH_PATTERN) || text.match(NEW_TEXT_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const newText = (match[1] || match[2]).trim();
+  const quoted = newText.match(/^["“]([\s\S]*)["”]\.?$/);
+  return (quoted ? quoted[1] : newText).trim() || null;
+}
+
+/**
+ * Turn an item (or sub-item) into a structured edit. References the text
+ * doesn't give (section, sheet) are inherited from the item heading.
+ */
+function buildEdit({ itemNumber, pageNumber, heading, text }, context) {
+  const sections = extractSpecSections(text);
+  const sheets = extractSheetNumbers(text);
+  const sectionNumber = sections[0] || (sheets.length === 0 ? context.sectionNumber : null);
+  const sheetNumbers = sheets.length > 0 ? sheets : (sections.length === 0 ? context.sheetNumbers : []);
+
+  const paragraphMatch = text.match(PARAGRAPH_REFERENCE_PATTERN) || text.match(BARE_PARAGRAPH_PATTERN);
+
+  return {
+    itemNumber,
+    pageNumber,
+    action: detectAction(text),
+    targetType: sectionNumber ? 'section' : (sheetNumbers.length > 0 ? 'sheet' : 'general'),
+    sectionNumber: sectionNumber || null,
+    articleNumber: sectionNumber && paragraphMatch ? paragraphMatch[1] : null,
+    paragraph: sectionNumber && paragraphMatch && paragraphMatch[2] ? paragraphMatch[2].toUpperCase() : null,
+    sheetNumbers,
+    instruction: heading ? `ITEM ${heading}\n${text}` : `ITEM ${itemNumber}: ${text}`,
+    newText: extractNewText(text)
+  };
+}
+
+/**
+ * Parse an addendum into change items
+ * @param {Array<string[]>} pageLines - Lines of text for each page (index 0 = page 1)
+ * @returns {{ items: Array, looseLines: Map<number, string[]> }} items are
+ *   { itemNumber, pageNumber, action, targetType, sectionNumber, articleNumber, paragraph,
+ *     sheetNumbers, instruction, newText }; looseLines holds text outside any item, per page
+ */
+function parseAddendum(pageLines) {
+  const items = [];
+  const looseLines = new Map();
+  let item = null;
+  let subItem = null;
+
+  const flushItem = () => {
+    if (!item) {
+      return;
+    }
+
+    const headingText = item.lines.join(' ');
+    const context = {
+      sectionNumber: extractSpecSections(headingText)[0] || null,
+      sheetNumbers: extractSheetNumbers(headingText)
+    };
+
+    if (item.subItems.length === 0) {
+      items.push(buildEdit({ itemNumber: item.number, pageNumber: item.pageNumber, text: headingText }, context));
+    } else {
+      for (const sub of item.subItems) {
+        items.push(buildEdit({
+          itemNumber: `${item.number}.${sub.letter}`,
+          pageNumber: sub.pageNumber,
+          heading: `${item.number} - ${headingText}`,
+          text: `${sub.letter}. ${sub.lines.join(' ')}`
+        }, context));
+      }
+    }
+
+    item = null;
+    subItem = null;
+  };
+
+  pageLines.forEach((lines, pageIndex) => {
+    const pageNumber = pageIndex + 1;
+
+    for (const rawLine of lines) {
+      const text = rawLine.trim();
+      if (!text) {
+        continue;
+      }
+
+      const itemMatch = text.match(ITEM_PATTERN) ||
+        (text.match(NUMBERED_ITEM_PATTERN) && REFERENCE_PATTERN.test(text) ? text.match(NUMBERED_ITEM_PATTERN) : null);
+      if (GROUP_HEADING_PATTERN.test(text)) {
+        flushItem();
+        looseLines.set(pageNumber, [...(looseLines.get(pageNumber) || []), text]);
+        continue;
+      }
+
+      if (itemMatch) {
+        flushItem();
+        item = { number: itemMatch[1], pageNumber, lines: [itemMatch[2]].filter(Boolean), subItems: [] };
+        continue;
+      }
+
+      const subMatch = item && text.match(SUB_ITEM_PATTERN);
+      if (subMatch) {
+        subItem = { letter: subMatch[1], pageNumber, lines: [subMatch[2]] };
+        item.subItems.push(subItem);
+        continue;
+      }
+
+      if (subItem) {
+        subItem.lines.push(text);
+      } else if (item) {
+        item.lines.push(text);
+      } else {
+        looseLines.set(pageNumber, [...(looseLines.get(pageNumber) || []), text]);
+      }
+    }
+  });
+  flushItem();
+
+  return { items, looseLines };
+}
+
+module.exports = {
+  parseAddendum
+};
@@ -0,0 +1,103 @@
+/**
+ * Split long text into overlapping, token-bounded pieces so nothing past a
+ * size limit is lost. Token counts are estimated at ~4 characters per token.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// ~1200 tokens per chunk keeps a batch of embedding inputs well under the model limit
+const CHUNK_MAX_TOKENS = Number.parseInt(process.env.CHUNK_MAX_TOKENS || '1200', 10);
+const CHUNK_OVERLAP_TOKENS = Number.parseInt(process.env.CHUNK_OVERLAP_TOKENS || '150', 10);
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function getMaxChunkChars() {
+  return CHUNK_MAX_TOKENS * CHARS_PER_TOKEN;
+}
+
+/**
+ * Best place to end a piece in text[min, max): a line break, then a sentence
+ * end, then any whitespace; max if there is none
+ */
+function findBreak(text, min, max) {
+  const window = text.slice(min, max);
+
+  const lineBreak = window.lastIndexOf('\n');
+  if (lineBreak >= 0) {
+    return min + lineBreak + 1;
+  }
+
+  let sentenceEnd = -1;
+  const sentencePattern = /[.;:!?]\s/g;
+  let match;
+  while ((match = sentencePattern.exec(window)) !== null) {
+    sentenceEnd = match.index + 1;
+  }
+  if (sentenceEnd >= 0) {
+    return min + sentenceEnd;
+  }
+
+  const space = window.search(/\s\S*$/);
+  return space >= 0 ? min + space : max;
+}
+
+function skipWhitespace(text, index) {
+  while (index < text.length && /\s/.test(text[index])) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Split text into pieces of at most maxTokens (estimated), each overlapping
+ * the previous one by about overlapTokens
+ * @returns {Array<{ text, start, end }>} start/end are character offsets into text
+ */
+function splitText(text, { maxTokens = CHUNK_MAX_TOKENS, overlapTokens = CHUNK_OVERLAP_TOKENS } = {}) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const overlapChars = Math.min(overlapTokens * CHARS_PER_TOKEN, Math.floor(maxChars / 2));
+
+  if (text.length <= maxChars) {
+    return [{ text, start: 0, end: text.length }];
+  }
+
+  const pieces = [];
+  let start = skipWhitespace(text, 0);
+
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    if (end < text.length) {
+      // Don't break in the first 60% of the window; pieces stay reasonably full
+      end = findBreak(text, start + Math.floor(maxChars * 0.6), end);
+    }
+
+    const pieceText = text.slice(start, end).trimEnd();
+    pieces.push({ text: pieceText, start, end: start + pieceText.length });
+
+    if (end >= text.length) {
+      break;
+    }
+
+    // Start the next piece at a word boundary about overlapChars before this one ends
+    let next = end - overlapChars;
+    while (next > start && next < end && !/\s/.test(text[next - 1])) {
+      next++;
+    }
+    if (next >= end) {
+      // No word boundary in the overlap (e.g. one long token); overlap mid-word
+      next = end - overlapChars;
+    }
+    start = skipWhitespace(text, Math.max(next, start + 1));
+  }
+
+  return pieces;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  getMaxChunkChars,
+  splitText
+};
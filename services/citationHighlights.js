@@ -0,0 +1,335 @@
+const { getQuery, getOneQuery } = require('../database');
+const { readingOrder, getPageLayout, getOcrWords } = require('./layout');
+
+/**
+ * Citation highlighting. When an answer is saved, each citation gets the span
+ * of chunk text that backs it (the passage sharing the most words with the
+ * sentence it ends, or the text it quotes). When a citation is opened, the span
+ * is found among the page's positioned text (or OCR words, for scans) and
+ * returned as boxes for the viewer to draw.
+ */
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'with', 'that', 'this', 'from', 'shall', 'must', 'will', 'have', 'has',
+  'not', 'all', 'any', 'each', 'per', 'its', 'their', 'which', 'where', 'when', 'into', 'than',
+  'should', 'there', 'these', 'those', 'also', 'been', 'being', 'can', 'may', 'see', 'sheet', 'page'
+]);
+// Lines longer than this are split into sentences, so a span isn't a whole paragraph
+const MAX_PASSAGE_LENGTH = 300;
+// A passage needs at least this much in common with the claim (words with digits count double)
+const MIN_PASSAGE_SCORE = 2;
+const QUOTE_PATTERN = /["“]([^"”]{8,})["”]/;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:[.'-][a-z0-9]+)*/g) || []).map(token => token.replace(/[.'-]/g, ''));
+}
+
+// Page text is matched on plain runs of letters and digits, since OCR and PDF
+// text split words at punctuation differently ("FIRE-RATED" vs "FIRE" "RATED")
+function wordTokens(text) {
+  return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function claimTokens(claim) {
+  return new Set(tokenize(claim).filter(token => (token.length >= 3 || /\d/.test(token)) && !STOPWORDS.has(token)));
+}
+
+/**
+ * The sentence of the answer a citation backs: the text before it back to the
+ * previous sentence end (or citation), or the text after it when it opens a line
+ */
+function getClaim(content, index, length) {
+  const before = content.slice(0, index);
+  const start = Math.max(before.lastIndexOf('\n'), before.search(/[.!?]\s[^.!?]*$/), before.lastIndexOf(']'));
+  const claim = before.slice(start + 1).replace(/\[[^\]]*\]/g, '').trim();
+  if (claimTokens(claim).size > 0) {
+    return claim;
+  }
+
+  const after = content.slice(index + length);
+  const end = after.search(/[.!?](?:\s|$)|\n/);
+  return (end === -1 ? after : after.slice(0, end)).replace(/\[[^\]]*\]/g, '').trim();
+}
+
+/**
+ * Lines of a chunk's text (sentences of long lines), with their offsets
+ */
+function splitPassages(text) {
+  const passages = [];
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const pieces = line.length > MAX_PASSAGE_LENGTH ? line.split(/(?<=[.;])\s+/) : [line];
+    let lineOffset = offset;
+    for (const piece of pieces) {
+      const start = text.indexOf(piece, lineOffset);
+      if (piece.trim()) {
+        passages.push({ text: piece, start, end: start + piece.length });
+      }
+      lineOffset = start + piece.length;
+    }
+    offset += line.length + 1;
+  }
+
+  return passages;
+}
+
+function getCitedChunks(citation) {
+  const chunks = getQuery(`
+    SELECT id, content, ocr_text, section_number, article_number
+    FROM chunks
+    WHERE document_id = ? AND page_number <= ? AND COALESCE(page_end, page_number) >= ?
+    ORDER BY page_number ASC, chunk_index ASC
+  `, [citation.documentId, citation.page, citation.page]);
+
+  if (!citation.section) {
+    return chunks;
+  }
+  const inSection = chunks.filter(chunk =>
+    chunk.section_number === citation.section && (!citation.article || chunk.article_number === citation.article)
+  );
+  return inSection.length > 0 ? inSection : chunks;
+}
+
+/**
+ * The span of chunk text that best backs a claim
+ * @returns {{ chunkId, field, start, end, text }|null} field is 'content' or 'ocr_text'
+ */
+function findSpan(chunks, claim) {
+  const quote = claim.match(QUOTE_PATTERN);
+  const tokens = claimTokens(claim);
+  let best = null;
+
+  for (const chunk of chunks) {
+    for (const field of ['content', 'ocr_text']) {
+      const text = chunk[field];
+      if (!text) {
+        continue;
+      }
+
+      if (quote) {
+        const start = text.toLowerCase().indexOf(quote[1].toLowerCase());
+        if (start !== -1) {
+          return { chunkId: chunk.id, field, start, end: start + quote[1].length, text: text.slice(start, start + quote[1].length) };
+        }
+      }
+
+      for (const passage of splitPassages(text)) {
+        const passageTokens = new Set(tokenize(passage.text));
+        let score = 0;
+        for (const token of tokens) {
+          if (passageTokens.has(token)) {
+            score += /\d/.test(token) ? 2 : 1;
+          }
+        }
+        if (score >= MIN_PASSAGE_SCORE &&
+            (!best || score > best.score || (score === best.score && passage.text.length < best.text.length))) {
+          best = { chunkId: chunk.id, field, start: passage.start, end: passage.end, text: passage.text.trim(), score };
+        }
+      }
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+  const { score, ...span } = best;
+  return span;
+}
+
+/**
+ * The sentence of the answer each citation backs
+ * @param {Array} citations - As extracted from the answer, in order
+ * @param {string} content - The answer
+ * @returns {Array<string|null>} null where the citation isn't in the answer
+ */
+function getCitationClaims(citations, content) {
+  const seen = new Map();
+
+  return citations.map(citation => {
+    // The same citation can appear several times; each backs its own sentence
+    const occurrence = seen.get(citation.fullText) || 0;
+    seen.set(citation.fullText, occurrence + 1);
+
+    let index = -1;
+    for (let i = 0; i <= occurrence; i++) {
+      index = content.indexOf(citation.fullText, index + 1);
+    }
+    return index === -1 ? null : getClaim(content, index, citation.fullText.length);
+  });
+}
+
+/**
+ * Give every resolved citation the span of text that backs it
+ * @param {Array} citations - Citations with page and documentId resolved
+ * @param {string} content - The answer they were extracted from
+ */
+function attachCitationSpans(citations, content) {
+  const claims = getCitationClaims(citations, content);
+
+  return citations.map((citation, i) => {
+    if (!citation.page || !citation.documentId || claims[i] === null) {
+      return citation;
+    }
+
+    const span = findSpan(getCitedChunks(citation), claims[i]);
+    return span ? { ...citation, span } : citation;
+  });
+}
+
+/**
+ * Positioned words of a page in reading order, with boxes as fractions of the
+ * page size: from its text layer and from OCR of its image, whichever it has
+ * @returns {Array<{ source: 'layout'|'ocr', words }>}
+ */
+function getPageWords(documentId, pageNumber) {
+  const sources = [];
+
+  const layout = getPageLayout(documentId, pageNumber);
+  if (layout && layout.items.length > 0) {
+    const words = [];
+    for (const item of readingOrder(layout.items)) {
+      const charWidth = item.width / item.text.length;
+      for (const match of item.text.matchAll(/\S+/g)) {
+        words.push({
+          tokens: wordTokens(match[0]),
+          x: (item.x + match.index * charWidth) / layout.width,
+          y: item.y / layout.height,
+          width: (match[0].length * charWidth) / layout.width,
+          height: item.height / layout.height
+        });
+      }
+    }
+    sources.push({ source: 'layout', words });
+  }
+
+  const ocr = getOcrWords(documentId, pageNumber);
+  if (ocr) {
+    sources.push({
+      source: 'ocr',
+      words: ocr.words.map(word => ({
+        tokens: wordTokens(word.text),
+        x: word.x0 / ocr.width,
+        y: word.y0 / ocr.height,
+        width: (word.x1 - word.x0) / ocr.width,
+        height: (word.y1 - word.y0) / ocr.height
+      }))
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * The run of page words matching a passage: its longest run of words in common
+ * with the page, stretched to the passage's length
+ * @returns {[number, number]|null} first and last word index
+ */
+function matchPassage(pageTokens, passageTokens) {
+  const m = passageTokens.length;
+  let bestLength = 0;
+  let bestEnd = null;
+  let previous = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= pageTokens.length; i++) {
+    const current = new Array(m + 1).fill(0);
+    for (let j = 1; j <= m; j++) {
+      if (pageTokens[i - 1] === passageTokens[j - 1]) {
+        current[j] = previous[j - 1] + 1;
+        if (current[j] > bestLength) {
+          bestLength = current[j];
+          bestEnd = [i - 1, j - 1];
+        }
+      }
+    }
+    previous = current;
+  }
+
+  if (bestLength < Math.min(3, m)) {
+    return null;
+  }
+  const [pageEnd, passageEnd] = bestEnd;
+  const pageStart = pageEnd - bestLength + 1;
+  const passageStart = passageEnd - bestLength + 1;
+  return [Math.max(0, pageStart - passageStart), Math.min(pageTokens.length - 1, pageEnd + (m - 1 - passageEnd))];
+}
+
+/**
+ * Merge neighbouring words on a line into one box
+ */
+function mergeBoxes(words) {
+  const boxes = [];
+  for (const word of words) {
+    const box = boxes[boxes.length - 1];
+    const sameLine = box && Math.abs(box.y - word.y) < Math.min(box.height, word.height) / 2;
+    if (sameLine && word.x - (box.x + box.width) < 3 * word.height && word.x >= box.x) {
+      const bottom = Math.max(box.y + box.height, word.y + word.height);
+      box.width = word.x + word.width - box.x;
+      box.y = Math.min(box.y, word.y);
+      box.height = bottom - box.y;
+    } else {
+      boxes.push({ x: word.x, y: word.y, width: word.width, height: word.height });
+    }
+  }
+
+  const round = value => Math.round(value * 10000) / 10000;
+  return boxes.map(box => ({ x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) }));
+}
+
+/**
+ * Boxes of a passage on a page
+ * @param {object} options - { chunkId, field, start, end } of a citation span, or { text }
+ * @returns {{ source, text, boxes: Array<{ x, y, width, height }> }|null} boxes are fractions
+ *   of the page's width and height from its top-left corner; null if the span's chunk doesn't exist
+ */
+function locateHighlight(documentId, pageNumber, { chunkId = null, field = 'content', start = null, end = null, text = null }) {
+  let passage = text;
+  if (chunkId) {
+    const column = field === 'ocr_text' ? 'ocr_text' : 'content';
+    const chunk = getOneQuery(`SELECT ${column} as text FROM chunks WHERE id = ? AND document_id = ?`, [chunkId, documentId]);
+    if (!chunk || !chunk.text) {
+      return null;
+    }
+    passage = chunk.text.slice(start || 0, end ?? chunk.text.length);
+  }
+
+  const passageTokens = wordTokens(passage || '');
+  const sources = getPageWords(documentId, pageNumber);
+  // OCR text is looked for among the OCR words first
+  if (field === 'ocr_text') {
+    sources.reverse();
+  }
+
+  for (const { source, words } of sources) {
+    // Words can hold several tokens ("2.3.B", "3'-0\""); match on a flat token list
+    const pageTokens = [];
+    const tokenWords = [];
+    words.forEach((word, index) => {
+      for (const token of word.tokens) {
+        pageTokens.push(token);
+        tokenWords.push(index);
+      }
+    });
+
+    const match = passageTokens.length > 0 ? matchPassage(pageTokens, passageTokens) : null;
+    if (match) {
+      const first = tokenWords[match[0]];
+      const last = tokenWords[match[1]];
+      return { source, text: passage, boxes: mergeBoxes(words.slice(first, last + 1)) };
+    }
+  }
+
+  return { source: null, text: passage, boxes: [] };
+}
+
+module.exports = {
+  MIN_PASSAGE_SCORE,
+  QUOTE_PATTERN,
+  tokenize,
+  claimTokens,
+  splitPassages,
+  getCitationClaims,
+  findSpan,
+  attachCitationSpans,
+  locateHighlight
+};
@@ -0,0 +1,205 @@
+const { visualFindingsToText } = require('../embeddings');
+const { normalizeSheetNumber } = require('./titleBlock');
+const { MIN_PASSAGE_SCORE, QUOTE_PATTERN, tokenize, claimTokens, splitPassages, getCitationClaims } = require('./citationHighlights');
+
+/**
+ * Citation verification. Models sometimes cite sheets, pages or sections they
+ * were never shown, and those citations still resolve to a page of the file.
+ * Each citation in an answer is checked against the sources that were in the
+ * model's context: the cited file and location must match one of them, and
+ * one passage of that source must back the sentence the citation ends - most of
+ * its words, and every number in it ("14 gauge" isn't backed by "16 gauge").
+ * Citations that fail are kept, flagged with the reason.
+ */
+
+// Share of a claim's weight a passage must contain to back it
+const MIN_SUPPORT_SHARE = 0.6;
+
+const STATUS = {
+  verified: 'verified',
+  // The cited location was in context, but nothing in it backs the statement
+  unsupported: 'unsupported',
+  // Nothing at the cited location was in context
+  notInContext: 'not_in_context'
+};
+
+function normalizeFilename(name) {
+  return String(name || '').trim().toLowerCase().replace(/\.pdf$/, '');
+}
+
+function normalizeDetail(detail) {
+  return String(detail).replace(/\s+/g, '').toUpperCase();
+}
+
+function pageRange(first, last) {
+  return { pageStart: first, pageEnd: last || first };
+}
+
+/**
+ * Flatten the context sources of an answer (chunks with the addendum items
+ * attached to them, visual findings and schedules) into one list, without repeats
+ * @param {Array<{ chunks, visualFindings, schedules }>} contexts - As given to the model
+ * @returns {Array<{ key, filename, sheet, pageStart, pageEnd, section, article, content, ocr_text }>}
+ */
+function flattenSources(contexts) {
+  const sources = new Map();
+  const add = (key, source) => {
+    if (!sources.has(key)) {
+      sources.set(key, { key, sheet: null, section: null, article: null, ocr_text: null, ...source });
+    }
+  };
+
+  for (const context of contexts) {
+    for (const chunk of context.chunks || []) {
+      add(`chunk:${chunk.id}`, {
+        id: chunk.id,
+        filename: chunk.filename,
+        sheet: chunk.sheet_number ? normalizeSheetNumber(chunk.sheet_number) : null,
+        ...pageRange(chunk.page_number, chunk.page_end),
+        section: chunk.section_number || null,
+        article: chunk.article_number || null,
+        content: chunk.content,
+        ocr_text: chunk.ocr_text || null
+      });
+
+      // Addendum changes are in the context under the chunk they change, cited by page
+      for (const item of chunk.addenda || []) {
+        add(`addendum:${item.documentId}:${item.pageNumber}:${item.itemNumber}`, {
+          filename: item.filename,
+          ...pageRange(item.pageNumber),
+          content: [item.instruction, item.newText].filter(Boolean).join('\n')
+        });
+      }
+    }
+
+    for (const finding of context.visualFindings || []) {
+      add(`visual_finding:${finding.id}`, {
+        filename: finding.filename,
+        sheet: finding.sheet_number ? normalizeSheetNumber(finding.sheet_number) : null,
+        ...pageRange(finding.page_number),
+        content: visualFindingsToText(finding.findings)
+      });
+    }
+
+    for (const schedule of context.schedules || []) {
+      add(`schedule:${schedule.id}`, {
+        filename: schedule.filename,
+        sheet: schedule.sheetNumber ? normalizeSheetNumber(schedule.sheetNumber) : null,
+        ...pageRange(schedule.pageNumber),
+        content: [schedule.title || schedule.type, schedule.columns.join(' | '), ...schedule.rows.map(row => row.join(' | '))].join('\n')
+      });
+    }
+  }
+
+  return Array.from(sources.values());
+}
+
+/**
+ * Sources at the location a citation points to, in the file it names
+ */
+function findCitedSources(citation, sources) {
+  const inFile = sources.filter(source => normalizeFilename(source.filename) === normalizeFilename(citation.source));
+
+  if (citation.detail) {
+    // A detail is on its sheet, and is called out by reference elsewhere
+    const reference = normalizeDetail(citation.detail);
+    const sheet = citation.sheet ? normalizeSheetNumber(citation.sheet) : null;
+    return inFile.filter(source =>
+      (sheet && source.sheet === sheet) ||
+      normalizeDetail(`${source.content}\n${source.ocr_text || ''}`).includes(reference)
+    );
+  }
+  if (citation.sheet) {
+    const sheet = normalizeSheetNumber(citation.sheet);
+    return inFile.filter(source => source.sheet === sheet);
+  }
+  if (citation.section) {
+    const inSection = inFile.filter(source => source.section === citation.section);
+    const inArticle = citation.article ? inSection.filter(source => source.article === citation.article) : [];
+    // Chunks are labeled with the article they start in; an article can run on in the next one
+    return inArticle.length > 0 ? inArticle : inSection;
+  }
+  if (citation.page) {
+    return inFile.filter(source => citation.page >= source.pageStart && citation.page <= source.pageEnd);
+  }
+  return [];
+}
+
+function tokenWeight(tokens) {
+  return tokens.reduce((sum, token) => sum + (/\d/.test(token) ? 2 : 1), 0);
+}
+
+/**
+ * Words of a claim to check, leaving out the citation's own location ("A-501",
+ * "08 11 13"): repeating where something is says nothing about what it says
+ */
+function claimWords(claim, citation) {
+  const location = new Set(
+    [citation.sheet, citation.section, citation.article, citation.detail].filter(Boolean).flatMap(value => tokenize(String(value)))
+  );
+  return Array.from(claimTokens(claim)).filter(token => !location.has(token));
+}
+
+/**
+ * Whether one passage of the cited sources backs a claim: it quotes text found
+ * there, or a passage has most of its weight and all of its numbers
+ */
+function isSupported(claim, citation, sources) {
+  const texts = sources.flatMap(source => [source.content, source.ocr_text].filter(Boolean));
+
+  const quote = claim.match(QUOTE_PATTERN);
+  if (quote && texts.some(text => text.toLowerCase().includes(quote[1].toLowerCase()))) {
+    return true;
+  }
+
+  const words = claimWords(claim, citation);
+  const numbers = words.filter(token => /\d/.test(token));
+  const weight = tokenWeight(words);
+  // Too little text before the citation to check; it is taken on its location
+  if (weight < MIN_PASSAGE_SCORE && numbers.length === 0) {
+    return true;
+  }
+
+  return texts.some(text => splitPassages(text).some(passage => {
+    const passageTokens = new Set(tokenize(passage.text));
+    return numbers.every(token => passageTokens.has(token)) &&
+      tokenWeight(words.filter(token => passageTokens.has(token))) >= MIN_SUPPORT_SHARE * weight;
+  }));
+}
+
+/**
+ * Check every citation of an answer against the sources it was written from
+ * @param {Array} citations - Extracted from the answer
+ * @param {string} content - The answer
+ * @param {Array<{ chunks, visualFindings, schedules }>} contexts - The sources given to the model
+ * @returns {Array} The citations, each with verification: { status, reason } where status is
+ *   'verified', 'unsupported' or 'not_in_context'
+ */
+function verifyCitations(citations, content, contexts) {
+  const sources = flattenSources(contexts);
+  const claims = getCitationClaims(citations, content);
+
+  return citations.map((citation, i) => {
+    const cited = findCitedSources(citation, sources);
+    if (cited.length === 0) {
+      return {
+        ...citation,
+        verification: { status: STATUS.notInContext, reason: `${citation.fullText} wasn't among the sources the answer was written from` }
+      };
+    }
+
+    const claim = claims[i];
+    if (claim === null || isSupported(claim, citation, cited)) {
+      return { ...citation, verification: { status: STATUS.verified, reason: null } };
+    }
+
+    return {
+      ...citation,
+      verification: { status: STATUS.unsupported, reason: `The cited source doesn't contain text backing "${claim}"` }
+    };
+  });
+}
+
+module.exports = {
+  verifyCitations
+};
@@ -0,0 +1,305 @@
+const { getQuery } = require('../database');
+const { groupLines, findTables, getPageLayout } = require('./layout');
+const { normalizeSheetNumber } = require('./titleBlock');
+
+/**
+ * Coordination report: detail callouts ("3/A-501") checked against the
+ * current drawing set. A callout is broken when its target sheet wasn't
+ * issued, or when the target sheet has no detail with that number. Sheets that
+ * no other sheet calls out are listed too.
+ */
+
+// Detail tags are small numbers: "3" on its own, or "3 WALL SECTION" as the detail's title
+const DETAIL_TAG_PATTERN = /^(\d{1,2})(?:\s+[A-Z][A-Z\s&/-]*)?$/;
+const BARE_TAG_PATTERN = /^\d{1,2}$/;
+const DETAIL_LABEL_PATTERN = /\bDETAIL[ \t]+(\d{1,2})\b/gi;
+const SELF_REFERENCE_PATTERN = /\b(\d{1,2})\s*\/\s*([A-Z]{1,3}-?\d+(?:\.\d+)?)\b/gi;
+// A bare number is only a detail tag next to a detail title or scale; grid bubbles and keynotes are bare numbers too
+const DETAIL_TITLE_PATTERN = /\b(?:DETAILS?|SECTIONS?|ELEVATIONS?|PLAN|HEAD|JAMB|SILL|TYP(?:ICAL|\.)?|CONNECTION|ASSEMBLY|JOINT|FLASHING|PARAPET|FOOTING|CURB|THRESHOLD|TRANSITION|ISOMETRIC|ENLARGED)\b/i;
+const SCALE_PATTERN = /\bSCALE\b|\d+(?:\/\d+)?"\s*=\s*\d+'|\b1\s*:\s*\d+\b|\bN\.?T\.?S\.?\b/i;
+// How far from a bare number (in text heights) its title or the sheet number below it may be
+const TITLE_DISTANCE = 8;
+const BUBBLE_DISTANCE = 2;
+
+// How a detail number was found on its sheet, reported with missing details
+const DETAIL_SOURCE = {
+  titledTag: 'tag_with_title', // "3 WALL SECTION"
+  bubble: 'bubble', // "3" over the sheet number
+  taggedTitle: 'tag_near_title', // "3" beside a detail title or scale
+  label: 'label', // "DETAIL 3"
+  selfReference: 'self_reference' // "3/A-501" on A-501
+};
+
+function inTable(segment, line, tables) {
+  return tables.some(table =>
+    line.top >= table.top - 1 && line.bottom <= table.bottom + 1 && segment.x0 < table.x1 && table.x0 < segment.x1
+  );
+}
+
+function isSheetNumberText(text, sheetNumber) {
+  return /^[A-Z]{1,3}[-\s]?\d+(?:\.\d+)?$/i.test(text.trim()) && normalizeSheetNumber(text.trim()) === sheetNumber;
+}
+
+function isDetailTitleText(text) {
+  return DETAIL_TITLE_PATTERN.test(text) || SCALE_PATTERN.test(text);
+}
+
+/**
+ * How a bare number among the positioned segments of a page reads as a detail
+ * tag: over the sheet number (a detail bubble), or beside a detail title or
+ * scale to its right. null when it doesn't (grid lines, keynotes).
+ */
+function classifyBareTag(tag, segments, sheetNumber) {
+  const near = (distance) => distance * tag.height;
+
+  const isBubble = segments.some(segment =>
+    segment !== tag &&
+    isSheetNumberText(segment.text, sheetNumber) &&
+    segment.top >= tag.bottom - 1 && segment.top - tag.bottom <= near(BUBBLE_DISTANCE) &&
+    segment.x0 < tag.x1 + tag.height && tag.x0 < segment.x1 + tag.height
+  );
+  if (isBubble) {
+    return DETAIL_SOURCE.bubble;
+  }
+
+  const hasTitle = segments.some(segment =>
+    segment !== tag &&
+    isDetailTitleText(segment.text) &&
+    segment.x0 >= tag.x1 && segment.x0 - tag.x1 <= near(TITLE_DISTANCE) &&
+    Math.abs(segment.top - tag.top) <= near(BUBBLE_DISTANCE)
+  );
+  return hasTitle ? DETAIL_SOURCE.taggedTitle : null;
+}
+
+/**
+ * Detail numbers drawn on a sheet: detail tags outside tables (schedule and
+ * revision rows are numbered too) - titled ("3 WALL SECTION"), over the sheet
+ * number, or beside a detail title or scale - "DETAIL 3" labels, and
+ * references to the sheet's own details ("3/A-501" on A-501)
+ * @param {string} text - Page text
+ * @param {object|null} layout - The page's positioned text, when kept
+ * @returns {Map<string, string>} detail number -> how it was found (a DETAIL_SOURCE value)
+ */
+function findSheetDetails(sheetNumber, text, layout) {
+  const details = new Map();
+  const add = (number, source) => {
+    const detail = String(Number(number));
+    if (!details.has(detail)) {
+      details.set(detail, source);
+    }
+  };
+
+  if (layout) {
+    const tables = findTables(layout.items);
+    const segments = [];
+    for (const line of groupLines(layout.items)) {
+      for (const segment of line.segments) {
+        if (!inTable(segment, line, tables)) {
+          segments.push({ ...segment, text: segment.text.trim(), top: line.top, bottom: line.bottom, height: line.height });
+        }
+      }
+    }
+
+    for (const segment of segments) {
+      // A tag set close to its title or scale is drawn into the same segment
+      const first = segment.items[0].text.trim();
+      if (segment.items.length > 1 && BARE_TAG_PATTERN.test(first)) {
+        const rest = segment.items.slice(1).map(item => item.text).join(' ');
+        if (isDetailTitleText(rest)) {
+          add(first, DETAIL_SOURCE.titledTag);
+          continue;
+        }
+      }
+
+      const match = segment.text.match(DETAIL_TAG_PATTERN);
+      if (!match) {
+        continue;
+      }
+      const source = match[0] === match[1]
+        ? classifyBareTag(segment, segments, sheetNumber)
+        : (isDetailTitleText(match[0]) ? DETAIL_SOURCE.titledTag : null);
+      if (source) {
+        add(match[1], source);
+      }
+    }
+  } else {
+    // Without positions, only lines that aren't table rows; a bare number needs
+    // the sheet number or a detail title on the next line
+    const lines = text.split('\n').map(line => line.trim()).filter(line => line && !line.includes(' | '));
+    lines.forEach((line, index) => {
+      const match = line.match(DETAIL_TAG_PATTERN);
+      if (!match) {
+        return;
+      }
+      const next = lines[index + 1] || '';
+      if (match[0] !== match[1]) {
+        if (isDetailTitleText(match[0])) {
+          add(match[1], DETAIL_SOURCE.titledTag);
+        }
+      } else if (isSheetNumberText(next, sheetNumber)) {
+        add(match[1], DETAIL_SOURCE.bubble);
+      } else if (isDetailTitleText(next)) {
+        add(match[1], DETAIL_SOURCE.taggedTitle);
+      }
+    });
+  }
+
+  for (const match of text.matchAll(DETAIL_LABEL_PATTERN)) {
+    add(match[1], DETAIL_SOURCE.label);
+  }
+  for (const match of text.matchAll(SELF_REFERENCE_PATTERN)) {
+    if (normalizeSheetNumber(match[2]) === sheetNumber) {
+      add(match[1], DETAIL_SOURCE.selfReference);
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Current drawing sheets: their pages, title and the detail numbers found on them
+ */
+function getProjectSheets(projectId, isCurrent) {
+  const chunks = getQuery(`
+    SELECT c.document_id, d.filename, c.page_number, c.sheet_number, c.sheet_title, c.content
+    FROM chunks c
+    JOIN documents d ON c.document_id = d.id
+    WHERE d.project_id = ? AND d.type = 'drawing' AND c.sheet_number IS NOT NULL
+    ORDER BY d.id ASC, c.page_number ASC, c.chunk_index ASC
+  `, [projectId]).filter(chunk => isCurrent(chunk.document_id, chunk.sheet_number));
+
+  const pages = new Map();
+  for (const chunk of chunks) {
+    const key = `${chunk.document_id}:${chunk.page_number}`;
+    if (!pages.has(key)) {
+      pages.set(key, { ...chunk, text: '' });
+    }
+    pages.get(key).text += `\n${chunk.content}`;
+  }
+
+  const sheets = new Map();
+  for (const page of pages.values()) {
+    const sheetNumber = normalizeSheetNumber(page.sheet_number);
+    if (!sheets.has(sheetNumber)) {
+      sheets.set(sheetNumber, { sheetNumber, title: page.sheet_title, pages: [], details: new Map() });
+    }
+    const sheet = sheets.get(sheetNumber);
+    sheet.pages.push({ documentId: page.document_id, filename: page.filename, pageNumber: page.page_number });
+
+    const layout = getPageLayout(page.document_id, page.page_number);
+    for (const [detail, source] of findSheetDetails(sheetNumber, page.text, layout)) {
+      if (!sheet.details.has(detail)) {
+        sheet.details.set(detail, source);
+      }
+    }
+  }
+
+  return sheets;
+}
+
+/**
+ * Check every callout in the current set
+ * @param {number} projectId
+ * @param {function} isCurrent - Revision scope filter from getRevisionScope
+ * @returns {{ summary, bySourceSheet, unreferencedSheets, unverifiedSheets }} bySourceSheet
+ *   lists, for each sheet (or non-drawing page) with broken callouts, the callouts
+ *   to missing sheets and to missing details
+ */
+function checkCallouts(projectId, isCurrent = () => true) {
+  const sheets = getProjectSheets(projectId, isCurrent);
+
+  const callouts = getQuery(`
+    SELECT co.document_id, d.filename, d.type, co.page_number, co.sheet_number, co.detail_reference, co.detail_number, co.target_sheet
+    FROM callouts co
+    JOIN documents d ON co.document_id = d.id
+    WHERE d.project_id = ? AND co.target_sheet IS NOT NULL
+    ORDER BY d.id ASC, co.page_number ASC
+  `, [projectId]).filter(callout => isCurrent(callout.document_id, callout.sheet_number));
+
+  const groups = new Map();
+  const referenced = new Set();
+  const unverified = new Set();
+  let checked = 0;
+
+  for (const callout of callouts) {
+    const sourceSheet = callout.sheet_number ? normalizeSheetNumber(callout.sheet_number) : null;
+    const targetSheet = normalizeSheetNumber(callout.target_sheet);
+    const detailNumber = callout.detail_number ? String(Number(callout.detail_number)) : null;
+    const target = sheets.get(targetSheet);
+    checked++;
+
+    if (target && targetSheet !== sourceSheet) {
+      referenced.add(targetSheet);
+    }
+
+    let problem = null;
+    if (!target) {
+      problem = 'missingSheets';
+    } else if (detailNumber && target.details.size === 0) {
+      // Nothing on the sheet reads as a detail tag (e.g. a scan without OCR); can't tell
+      unverified.add(targetSheet);
+    } else if (detailNumber && !target.details.has(detailNumber)) {
+      problem = 'missingDetails';
+    }
+    if (!problem) {
+      continue;
+    }
+
+    const key = sourceSheet || `${callout.document_id}:${callout.page_number}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        sourceSheet,
+        documentId: callout.document_id,
+        filename: callout.filename,
+        documentType: callout.type,
+        pages: [],
+        missingSheets: [],
+        missingDetails: []
+      });
+    }
+
+    const group = groups.get(key);
+    if (!group.pages.includes(callout.page_number)) {
+      group.pages.push(callout.page_number);
+    }
+    const list = group[problem];
+    if (!list.some(entry => entry.reference === callout.detail_reference)) {
+      list.push({
+        reference: callout.detail_reference,
+        detailNumber,
+        targetSheet,
+        pageNumber: callout.page_number,
+        ...(problem === 'missingDetails'
+          ? {
+            detailsOnSheet: Array.from(target.details, ([detail, source]) => ({ detail, source })).sort((a, b) => a.detail - b.detail)
+          }
+          : {})
+      });
+    }
+  }
+
+  const bySourceSheet = Array.from(groups.values())
+    .sort((a, b) => (a.sourceSheet || '~').localeCompare(b.sourceSheet || '~') || a.documentId - b.documentId);
+
+  const unreferencedSheets = Array.from(sheets.values())
+    .filter(sheet => !referenced.has(sheet.sheetNumber))
+    .map(sheet => ({ sheetNumber: sheet.sheetNumber, title: sheet.title, ...sheet.pages[0] }))
+    .sort((a, b) => a.sheetNumber.localeCompare(b.sheetNumber));
+
+  return {
+    summary: {
+      calloutsChecked: checked,
+      missingSheets: bySourceSheet.reduce((sum, group) => sum + group.missingSheets.length, 0),
+      missingDetails: bySourceSheet.reduce((sum, group) => sum + group.missingDetails.length, 0),
+      unreferencedSheets: unreferencedSheets.length
+    },
+    bySourceSheet,
+    unreferencedSheets,
+    unverifiedSheets: Array.from(unverified).sort()
+  };
+}
+
+module.exports = {
+  findSheetDetails,
+  checkCallouts
+};
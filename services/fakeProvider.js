@@ -0,0 +1,247 @@
+const fs = require('fs');
+
+/**
+ * Offline stand-in for the OpenAI API, for development and tests. Nothing is
+ * sent over the network and the same input always gives the same output:
+ * embeddings are hashed from the words of the text (so texts sharing words
+ * are similar), query expansion, decomposition, titles and vision analysis
+ * follow fixed rules, and answers quote the context line sharing the most
+ * words with the question, with a citation to its source. Responses can be
+ * canned by pointing FAKE_LLM_RESPONSES at a JSON file of
+ * [{ "match": "regex", "response": "text" }], checked against the last user message.
+ */
+
+// Different from real embedding models, so fake and real vectors are never compared
+const EMBEDDING_DIMENSIONS = 256;
+const CHARS_PER_TOKEN = 4;
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'what', 'which', 'where', 'when', 'how', 'why', 'with', 'that', 'this',
+  'from', 'does', 'there', 'their', 'any', 'all', 'shown', 'show', 'about', 'into', 'have', 'has',
+  'sheet', 'sheets', 'page', 'pages'
+]);
+const SOURCE_HEADER_PATTERN = /\[Source \d+: ([^,\]]+), ([^\]]+)\]\n([\s\S]*?)(?=\n\n---\n\n|\n\n## |$)/g;
+
+let cannedResponses = null;
+
+// FNV-1a, so hashes don't depend on the platform
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+}
+
+function words(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+(?:[.-][a-z0-9]+)*/g) || []);
+}
+
+function keywords(text) {
+  return new Set(words(text).filter(word => (word.length >= 3 || /\d/.test(word)) && !STOPWORDS.has(word)));
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Hashed bag of words, normalized to unit length
+ */
+function embed(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of words(text)) {
+    const value = hash(word);
+    vector[value % EMBEDDING_DIMENSIONS] += (value & 0x80000000) ? -1 : 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm > 0 ? vector.map(x => x / norm) : vector;
+}
+
+function loadCannedResponses() {
+  const filePath = process.env.FAKE_LLM_RESPONSES;
+  if (!filePath) {
+    return [];
+  }
+  if (!cannedResponses || cannedResponses.path !== filePath) {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    cannedResponses = { path: filePath, entries: entries.map(entry => ({ pattern: new RegExp(entry.match, 'i'), response: entry.response })) };
+  }
+  return cannedResponses.entries;
+}
+
+function messageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * "Sheet A-101", "Page 3", "Section 08 71 00, 2.3" from a context header, as a citation location
+ */
+function citationLocation(location) {
+  const section = location.match(/^Section [\d ]+?(?:, \d+(?:\.\d+)*)?(?=\s+[A-Z]|$)/);
+  if (section) {
+    return section[0].trim();
+  }
+  return location.replace(/\s*\(.*\)$/, '');
+}
+
+/**
+ * Quote the context lines sharing the most words with the question, citing their sources
+ */
+function answerFromContext(context, question) {
+  const questionWords = keywords(question);
+  const lines = [];
+
+  for (const match of context.matchAll(SOURCE_HEADER_PATTERN)) {
+    const [, filename, location, body] = match;
+    for (const line of body.split('\n')) {
+      const text = line.replace(/^\[OCR Text\]:\s*/, '').trim();
+      // A lone tag or number isn't an answer
+      if (text.split(/\s+/).length < 2) {
+        continue;
+      }
+      const score = [...keywords(text)].filter(word => questionWords.has(word)).length;
+      if (score > 0) {
+        lines.push({ text, score, citation: `[${filename.trim()}, ${citationLocation(location.trim())}]` });
+      }
+    }
+  }
+
+  if (lines.length === 0) {
+    return "I couldn't find this in the provided documents.";
+  }
+
+  // Stable sort keeps context order among equal scores
+  lines.sort((a, b) => b.score - a.score);
+  const quoted = [];
+  for (const line of lines) {
+    if (quoted.length === 2) break;
+    if (!quoted.some(other => other.citation === line.citation)) {
+      quoted.push(line);
+    }
+  }
+  return quoted.map(line => `${line.text.replace(/[.\s]+$/, '')} ${line.citation}.`).join('\n\n');
+}
+
+/**
+ * The reply to a chat request, by the kind of prompt it is
+ */
+function reply(messages) {
+  const system = messages.filter(message => message.role === 'system').map(messageText).join('\n');
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const prompt = lastUser ? messageText(lastUser) : '';
+
+  for (const canned of loadCannedResponses()) {
+    if (canned.pattern.test(prompt)) {
+      return canned.response;
+    }
+  }
+
+  // Vision analysis: a page image with the analysis prompt
+  if (lastUser && Array.isArray(lastUser.content) && lastUser.content.some(part => part.type === 'image_url')) {
+    const context = (prompt.match(/CONTEXT: (.*)$/m) || [])[1] || 'drawing page';
+    const image = lastUser.content.find(part => part.type === 'image_url').image_url.url;
+    return JSON.stringify({
+      summary: `Fake analysis of ${context} (image ${hash(image).toString(16)})`,
+      elements: [],
+      annotations: [],
+      symbols: [],
+      detailMarkers: []
+    });
+  }
+
+  const quoted = (prompt.match(/"([^"]+)"/) || [])[1] || prompt;
+
+  if (/alternative phrasings/.test(prompt)) {
+    return JSON.stringify([
+      `${quoted} specification requirements`,
+      `${quoted} shown on drawings`,
+      `${quoted} code compliance`
+    ]);
+  }
+
+  if (/broken down into simpler sub-questions/.test(prompt)) {
+    // Questions joining several asks with "and" are split on it
+    const parts = quoted.split(/\s+and\s+|;\s*/i).map(part => part.trim().replace(/\?$/, '')).filter(part => part.split(/\s+/).length >= 3);
+    return JSON.stringify(parts.length > 1
+      ? { simple: false, subquestions: parts.map(part => `${part}?`) }
+      : { simple: true, subquestions: [] });
+  }
+
+  if (/descriptive title/.test(prompt)) {
+    return quoted.replace(/[?.!]+$/, '').split(/\s+/).slice(0, 6).join(' ');
+  }
+
+  if (/synthesizing multiple sub-answers/.test(system)) {
+    return [...prompt.matchAll(/\*\*Answer\*\*: ([\s\S]*?)(?=\n\n---\n\n|\n\nProvide a well-organized|$)/g)]
+      .map(match => match[1].trim())
+      .join('\n\n');
+  }
+
+  // Chain-of-thought prompts wrap the question
+  const question = (prompt.match(/^Question: (.*)$/m) || [])[1] || prompt;
+  return answerFromContext(system, question);
+}
+
+function usageFor(messages, content) {
+  const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(messageText(message)), 0);
+  const completionTokens = estimateTokens(content);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Stream a reply a word at a time, as OpenAI stream chunks
+ */
+async function* streamReply(request, content) {
+  for (const piece of content.match(/\S+\s*/g) || []) {
+    yield { id: 'fake', object: 'chat.completion.chunk', model: request.model, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] };
+  }
+  yield { id: 'fake', object: 'chat.completion.chunk', model: request.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] };
+  if (request.stream_options && request.stream_options.include_usage) {
+    yield { id: 'fake', object: 'chat.completion.chunk', model: request.model, choices: [], usage: usageFor(request.messages, content) };
+  }
+}
+
+/**
+ * A client with the parts of the OpenAI SDK the app uses
+ */
+function createFakeClient() {
+  return {
+    chat: {
+      completions: {
+        async create(request) {
+          const content = reply(request.messages);
+          if (request.stream) {
+            return streamReply(request, content);
+          }
+          return {
+            id: 'fake',
+            object: 'chat.completion',
+            model: request.model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: usageFor(request.messages, content)
+          };
+        }
+      }
+    },
+    embeddings: {
+      async create({ model, input }) {
+        const inputs = Array.isArray(input) ? input : [input];
+        const tokens = inputs.reduce((sum, text) => sum + estimateTokens(text), 0);
+        return {
+          object: 'list',
+          model,
+          data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: embed(text) })),
+          usage: { prompt_tokens: tokens, total_tokens: tokens }
+        };
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFakeClient
+};
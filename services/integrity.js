@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { getQuery } = require('../database');
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+const SAMPLE_SIZE = 20;
+
+/**
+ * Rows whose parent row is missing, grouped by table
+ */
+function findDanglingRows() {
+  const violations = getQuery('PRAGMA foreign_key_check');
+  const byTable = {};
+
+  for (const violation of violations) {
+    if (!byTable[violation.table]) {
+      byTable[violation.table] = { count: 0, parent: violation.parent, sampleRowIds: [] };
+    }
+
+    const entry = byTable[violation.table];
+    entry.count++;
+    if (entry.sampleRowIds.length < SAMPLE_SIZE) {
+      entry.sampleRowIds.push(violation.rowid);
+    }
+  }
+
+  return byTable;
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true });
+}
+
+/**
+ * Files under uploads/ that no project/document points to
+ */
+function findOrphanedUploads() {
+  const projectIds = new Set(getQuery('SELECT id FROM projects').map(row => String(row.id)));
+  const documents = getQuery('SELECT id, filepath FROM documents');
+  const documentIds = new Set(documents.map(doc => String(doc.id)));
+  const documentPaths = new Set(documents.map(doc => path.resolve(doc.filepath)));
+  const comparisonIds = new Set(getQuery('SELECT id FROM revision_comparisons').map(row => String(row.id)));
+
+  const orphaned = [];
+
+  for (const projectEntry of listFiles(UPLOADS_ROOT)) {
+    const projectDir = path.join(UPLOADS_ROOT, projectEntry.name);
+
+    if (!projectEntry.isDirectory() || !projectIds.has(projectEntry.name)) {
+      orphaned.push({ path: projectDir, reason: 'no_project' });
+      continue;
+    }
+
+    for (const folder of ['specs', 'drawings', 'addenda']) {
+      for (const fileEntry of listFiles(path.join(projectDir, folder))) {
+        const filePath = path.join(projectDir, folder, fileEntry.name);
+        if (!documentPaths.has(path.resolve(filePath))) {
+          orphaned.push({ path: filePath, reason: 'no_document' });
+        }
+      }
+    }
+
+    for (const pagesEntry of listFiles(path.join(projectDir, 'pages'))) {
+      if (!documentIds.has(pagesEntry.name)) {
+        orphaned.push({ path: path.join(projectDir, 'pages', pagesEntry.name), reason: 'no_document' });
+      }
+    }
+
+    for (const diffsEntry of listFiles(path.join(projectDir, 'diffs'))) {
+      if (!comparisonIds.has(diffsEntry.name)) {
+        orphaned.push({ path: path.join(projectDir, 'diffs', diffsEntry.name), reason: 'no_comparison' });
+      }
+    }
+  }
+
+  return orphaned;
+}
+
+/**
+ * Database rows that point at files which no longer exist
+ */
+function findMissingFiles() {
+  const documents = getQuery('SELECT id, project_id, filename, filepath FROM documents')
+    .filter(doc => !fs.existsSync(doc.filepath));
+
+  const missingImages = getQuery(
+    `SELECT id, document_id, page_number, image_path FROM chunks
+     WHERE image_path IS NOT NULL AND image_path != ''`
+  ).filter(chunk => !fs.existsSync(chunk.image_path));
+
+  return {
+    documents,
+    pageImages: {
+      count: missingImages.length,
+      sample: missingImages.slice(0, SAMPLE_SIZE)
+    }
+  };
+}
+
+/**
+ * Report dangling rows and files that are out of sync with the database
+ */
+function checkIntegrity() {
+  const danglingRows = findDanglingRows();
+  const orphanedFiles = findOrphanedUploads();
+  const missingFiles = findMissingFiles();
+
+  const ok = Object.keys(danglingRows).length === 0 &&
+    orphanedFiles.length === 0 &&
+    missingFiles.documents.length === 0 &&
+    missingFiles.pageImages.count === 0;
+
+  return {
+    ok,
+    danglingRows,
+    orphanedFiles,
+    missingFiles
+  };
+}
+
+module.exports = {
+  checkIntegrity
+};
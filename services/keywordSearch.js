@@ -0,0 +1,139 @@
+const { getQuery } = require('../database');
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_TERMS = 24;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'our', 'should', 'show', 'shown',
+  'that', 'the', 'their', 'there', 'these', 'this', 'to', 'used', 'was', 'we', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'you', 'any', 'all', 'about', 'tell', 'find', 'list', 'please'
+]);
+
+// Sheet numbers (A-501, S-3.1) and CSI section numbers (08 71 00, 087100)
+const SHEET_NUMBER_PATTERN = /\b[A-Z]{1,3}-\d{1,4}(?:\.\d+)?\b/gi;
+const SPEC_SECTION_PATTERN = /\b(\d{2})\s?(\d{2})\s?(\d{2})(?:\.(\d{1,2}))?\b/g;
+
+/**
+ * Split text the way the unicode61 tokenizer does, so phrases line up with the index
+ */
+function tokenize(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Turn a natural-language question into an FTS4 MATCH expression: exact
+ * phrases for sheet and spec section numbers, OR'd with the remaining words.
+ * @returns {string|null} null when nothing searchable is left
+ */
+function buildMatchQuery(query) {
+  const phrases = [];
+  let remaining = query;
+
+  remaining = remaining.replace(SHEET_NUMBER_PATTERN, (match) => {
+    phrases.push(tokenize(match).join(' '));
+    return ' ';
+  });
+
+  remaining = remaining.replace(SPEC_SECTION_PATTERN, (match, division, level2, level3, level4) => {
+    const parts = [division, level2, level3, level4].filter(Boolean);
+    phrases.push(parts.join(' '));
+    phrases.push(`${division}${level2}${level3}`);
+    return ' ';
+  });
+
+  for (const token of tokenize(remaining)) {
+    if (token.length > 1 && !STOPWORDS.has(token)) {
+      phrases.push(token);
+    }
+  }
+
+  const unique = [...new Set(phrases)].slice(0, MAX_TERMS);
+  if (unique.length === 0) {
+    return null;
+  }
+
+  return unique.map(phrase => `"${phrase}"`).join(' OR ');
+}
+
+/**
+ * Okapi BM25 from FTS4 matchinfo(..., 'pcnalx'), summed over phrases and columns
+ */
+function bm25(matchinfo) {
+  const info = new Uint32Array(matchinfo.buffer.slice(matchinfo.byteOffset, matchinfo.byteOffset + matchinfo.byteLength));
+  const phraseCount = info[0];
+  const columnCount = info[1];
+  const rowCount = info[2];
+  const averageLengths = info.subarray(3, 3 + columnCount);
+  const lengths = info.subarray(3 + columnCount, 3 + 2 * columnCount);
+  const hits = 3 + 2 * columnCount;
+
+  let score = 0;
+  for (let phrase = 0; phrase < phraseCount; phrase++) {
+    for (let column = 0; column < columnCount; column++) {
+      const offset = hits + 3 * (phrase * columnCount + column);
+      const termFrequency = info[offset];
+      const documentFrequency = info[offset + 2];
+      if (termFrequency === 0) {
+        continue;
+      }
+
+      const idf = Math.log(1 + (rowCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const lengthRatio = averageLengths[column] > 0 ? lengths[column] / averageLengths[column] : 1;
+      score += idf * (termFrequency * (BM25_K1 + 1)) /
+        (termFrequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Keyword search over chunk text/OCR text and visual findings
+ * @param {number} projectId
+ * @param {string} query - Natural-language question
+ * @param {object} options - { limit, sourceTypes, filter } - filter(documentId, sheetNumber)
+ *   drops rows it returns false for
+ * @returns {Array<{id, sourceType, keywordScore}>} best matches first
+ */
+function searchKeywords(projectId, query, { limit = 30, sourceTypes = ['chunk', 'visual_finding'], filter = null } = {}) {
+  const matchQuery = buildMatchQuery(query);
+  if (!matchQuery) {
+    return [];
+  }
+
+  const results = [];
+  const keep = (row) => !filter || filter(row.document_id, row.sheet_number);
+
+  if (sourceTypes.includes('chunk')) {
+    const rows = getQuery(`
+      SELECT c.id, c.document_id, c.sheet_number, matchinfo(chunks_fts, 'pcnalx') as info
+      FROM chunks_fts
+      JOIN chunks c ON c.id = chunks_fts.docid
+      JOIN documents d ON c.document_id = d.id
+      WHERE chunks_fts MATCH ? AND d.project_id = ?
+    `, [matchQuery, projectId]);
+    rows.filter(keep).forEach(row => results.push({ id: row.id, sourceType: 'chunk', keywordScore: bm25(row.info) }));
+  }
+
+  if (sourceTypes.includes('visual_finding')) {
+    const rows = getQuery(`
+      SELECT vf.id, vf.document_id, vf.sheet_number, matchinfo(visual_findings_fts, 'pcnalx') as info
+      FROM visual_findings_fts
+      JOIN visual_findings vf ON vf.id = visual_findings_fts.docid
+      JOIN documents d ON vf.document_id = d.id
+      WHERE visual_findings_fts MATCH ? AND d.project_id = ?
+    `, [matchQuery, projectId]);
+    rows.filter(keep).forEach(row => results.push({ id: row.id, sourceType: 'visual_finding', keywordScore: bm25(row.info) }));
+  }
+
+  results.sort((a, b) => b.keywordScore - a.keywordScore);
+  return results.slice(0, limit);
+}
+
+module.exports = {
+  buildMatchQuery,
+  searchKeywords
+};
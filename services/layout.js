@@ -0,0 +1,308 @@
+const zlib = require('zlib');
+const { runQuery, getOneQuery } = require('../database');
+
+/**
+ * Positioned page text. pdf.js text items are kept per page (gzipped JSON in
+ * page_layouts) with top-left origin coordinates in PDF points, and page text is
+ * rebuilt from them line by line, keeping side-by-side columns apart and table
+ * rows together instead of joining every item with a space. Word boxes from OCR
+ * of page images are kept alongside (ocr_words), for pages without a text layer.
+ */
+
+// Items further apart than this many text heights on a line are separate segments
+const SEGMENT_GAP = 1.5;
+// Lines further apart than this many text heights don't belong to the same block
+const BLOCK_GAP = 2.5;
+// In a two-column table the first column holds short keys ("K1", "101")
+const MAX_KEY_LENGTH = 6;
+// A table's title ("DOOR SCHEDULE") is within this many text heights above it
+const TITLE_GAP = 3;
+
+/**
+ * pdf.js text content items -> { text, x, y, width, height } on the page as it is
+ * displayed (after its /Rotate), with y measured down from the top of the page to
+ * the top of the text
+ * @param {Array} items - pdf.js text content items
+ * @param {object} viewport - The page's pdf.js viewport at scale 1
+ */
+function toLayoutItems(items, viewport) {
+  const round = value => Math.round(value * 10) / 10;
+
+  return items
+    .filter(item => item.str.trim())
+    .map(item => {
+      const height = item.height || Math.hypot(item.transform[2], item.transform[3]);
+      const [x, baseline] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+      return {
+        text: item.str,
+        x: round(x),
+        y: round(baseline - height),
+        width: round(item.width),
+        height: round(height)
+      };
+    });
+}
+
+function overlaps(a, b) {
+  return a.x0 < b.x1 && b.x0 < a.x1;
+}
+
+/**
+ * Group items into lines (by baseline) and split each line into segments at wide gaps
+ * @param {Array} items - Layout items from toLayoutItems
+ * @returns {Array<{ top, bottom, height, segments: Array<{ x0, x1, text, items }> }>} top to bottom
+ */
+function groupLines(items) {
+  const sorted = [...items].sort((a, b) => (a.y + a.height) - (b.y + b.height) || a.x - b.x);
+  const lines = [];
+
+  for (const item of sorted) {
+    const baseline = item.y + item.height;
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.baseline - baseline) <= Math.max(2, Math.min(line.height, item.height) / 2)) {
+      line.items.push(item);
+      line.height = Math.max(line.height, item.height);
+    } else {
+      lines.push({ baseline, height: item.height, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const segments = [];
+    for (const item of line.items.sort((a, b) => a.x - b.x)) {
+      const segment = segments[segments.length - 1];
+      if (segment && item.x - segment.x1 <= SEGMENT_GAP * Math.min(line.height, item.height)) {
+        segment.items.push(item);
+        segment.x1 = Math.max(segment.x1, item.x + item.width);
+      } else {
+        segments.push({ x0: item.x, x1: item.x + item.width, items: [item] });
+      }
+    }
+
+    return {
+      top: line.baseline - line.height,
+      bottom: line.baseline,
+      height: line.height,
+      segments: segments.map(segment => ({
+        x0: segment.x0,
+        x1: segment.x1,
+        text: segment.items.map(item => item.text).join(' ').replace(/\s+/g, ' ').trim(),
+        items: segment.items
+      }))
+    };
+  });
+}
+
+function looksLikeRow(line) {
+  return line.segments.length >= 3 ||
+    (line.segments.length === 2 && line.segments[0].text.length <= MAX_KEY_LENGTH);
+}
+
+/**
+ * Table rows: consecutive lines with segments lined up under segments of the
+ * line above. Two side-by-side paragraphs of notes are columns, not a table,
+ * so two-segment rows only count when the first is a short key.
+ */
+function isTableContinuation(previous, line) {
+  if (!previous || !looksLikeRow(previous) || !looksLikeRow(line)) {
+    return false;
+  }
+  if (line.top - previous.bottom > BLOCK_GAP * line.height) {
+    return false;
+  }
+  const aligned = line.segments.filter(segment => previous.segments.some(other => overlaps(segment, other)));
+  return aligned.length >= 2;
+}
+
+/**
+ * Group lines into blocks in reading order (top to bottom, then left to right):
+ * table runs ({ table: true, rows }) and runs of text lines stacked in a column
+ */
+function buildBlocks(items) {
+  const lines = groupLines(items);
+  const blocks = [];
+
+  // Table runs first, so their rows aren't split into column blocks
+  const inTable = new Set();
+  for (let i = 1; i < lines.length; i++) {
+    if (isTableContinuation(lines[i - 1], lines[i])) {
+      const table = inTable.has(i - 1) ? blocks[blocks.length - 1] : null;
+      if (table) {
+        table.rows.push(lines[i]);
+      } else {
+        blocks.push({ table: true, rows: [lines[i - 1], lines[i]] });
+        inTable.add(i - 1);
+      }
+      inTable.add(i);
+    }
+  }
+
+  for (const block of blocks) {
+    const segments = block.rows.flatMap(row => row.segments);
+    block.top = block.rows[0].top;
+    block.bottom = block.rows[block.rows.length - 1].bottom;
+    block.height = Math.max(...block.rows.map(row => row.height));
+    block.x0 = Math.min(...segments.map(segment => segment.x0));
+    block.x1 = Math.max(...segments.map(segment => segment.x1));
+    block.lines = block.rows.map(row => row.segments.map(segment => segment.text).join(' | '));
+  }
+
+  // Other segments join the block above them when they overlap it horizontally
+  const textBlocks = [];
+  lines.forEach((line, index) => {
+    if (inTable.has(index)) {
+      return;
+    }
+    for (const segment of line.segments) {
+      const block = textBlocks.find(candidate =>
+        overlaps(candidate, segment) && line.top - candidate.bottom <= BLOCK_GAP * line.height && candidate.bottom <= line.top + 1
+      );
+      if (block) {
+        block.lines.push(segment.text);
+        block.segments.push(segment);
+        block.x0 = Math.min(block.x0, segment.x0);
+        block.x1 = Math.max(block.x1, segment.x1);
+        block.bottom = line.bottom;
+      } else {
+        textBlocks.push({ top: line.top, bottom: line.bottom, x0: segment.x0, x1: segment.x1, lines: [segment.text], segments: [segment] });
+      }
+    }
+  });
+
+  return [...blocks, ...textBlocks].sort((a, b) => a.top - b.top || a.x0 - b.x0);
+}
+
+/**
+ * Rebuild page text from positioned items: blocks of text in reading order
+ * separated by blank lines, with table rows kept on one line and their cells
+ * separated by " | "
+ * @param {Array} items - Layout items from toLayoutItems
+ * @returns {string}
+ */
+function reconstructText(items) {
+  return buildBlocks(items)
+    .map(block => block.lines.join('\n'))
+    .join('\n\n');
+}
+
+/**
+ * Layout items in the order reconstructText reads them, so a passage of page
+ * text can be found among them
+ * @param {Array} items - Layout items from toLayoutItems
+ * @returns {Array} The same items, reordered
+ */
+function readingOrder(items) {
+  return buildBlocks(items).flatMap(block =>
+    (block.table ? block.rows.flatMap(row => row.segments) : block.segments).flatMap(segment => segment.items)
+  );
+}
+
+/**
+ * Tables on a page, each with the line of text just above it as its title
+ * @param {Array} items - Layout items from toLayoutItems
+ * @returns {Array<{ title, top, bottom, x0, x1, rows: Array<Array<{ text, x0, x1 }>> }>}
+ */
+function findTables(items) {
+  const blocks = buildBlocks(items);
+
+  return blocks.filter(block => block.table).map(table => {
+    const above = blocks
+      .filter(block =>
+        !block.table && overlaps(block, table) &&
+        block.bottom <= table.top + 1 && table.top - block.bottom <= TITLE_GAP * table.height
+      )
+      .sort((a, b) => b.bottom - a.bottom)[0];
+
+    return {
+      title: above ? above.lines[above.lines.length - 1] : null,
+      top: table.top,
+      bottom: table.bottom,
+      x0: table.x0,
+      x1: table.x1,
+      rows: table.rows.map(row => row.segments.map(({ text, x0, x1 }) => ({ text, x0, x1 })))
+    };
+  });
+}
+
+function compress(value) {
+  return new Uint8Array(zlib.gzipSync(JSON.stringify(value)));
+}
+
+/**
+ * Store a page's positioned text (replacing any earlier layout for the page)
+ * @param {object} layout - { width, height, items } from toLayoutItems
+ */
+function savePageLayout(documentId, pageNumber, layout) {
+  const items = layout.items.map(item => [item.text, item.x, item.y, item.width, item.height]);
+  runQuery(
+    `INSERT OR REPLACE INTO page_layouts (document_id, page_number, width, height, items)
+     VALUES (?, ?, ?, ?, ?)`,
+    [documentId, pageNumber, layout.width, layout.height, compress(items)]
+  );
+}
+
+/**
+ * Positioned text of a page, or null if the document was processed before layouts were kept
+ * @returns {{ width, height, items: Array<{ text, x, y, width, height }> }|null}
+ */
+function getPageLayout(documentId, pageNumber) {
+  const row = getOneQuery(
+    'SELECT width, height, items FROM page_layouts WHERE document_id = ? AND page_number = ?',
+    [documentId, pageNumber]
+  );
+  if (!row) {
+    return null;
+  }
+
+  const items = JSON.parse(zlib.gunzipSync(Buffer.from(row.items)).toString('utf8'));
+  return {
+    width: row.width,
+    height: row.height,
+    items: items.map(([text, x, y, width, height]) => ({ text, x, y, width, height }))
+  };
+}
+
+/**
+ * Store the word boxes OCR found on a page image (replacing earlier ones)
+ * @param {object} words - { width, height, words: [{ text, x0, y0, x1, y1 }] } in image pixels
+ */
+function saveOcrWords(documentId, pageNumber, { width, height, words }) {
+  runQuery(
+    `INSERT OR REPLACE INTO ocr_words (document_id, page_number, width, height, words)
+     VALUES (?, ?, ?, ?, ?)`,
+    [documentId, pageNumber, width, height, compress(words.map(word => [word.text, word.x0, word.y0, word.x1, word.y1]))]
+  );
+}
+
+/**
+ * OCR word boxes of a page, or null if the page hasn't been through OCR since they were kept
+ * @returns {{ width, height, words: Array<{ text, x0, y0, x1, y1 }> }|null}
+ */
+function getOcrWords(documentId, pageNumber) {
+  const row = getOneQuery(
+    'SELECT width, height, words FROM ocr_words WHERE document_id = ? AND page_number = ?',
+    [documentId, pageNumber]
+  );
+  if (!row) {
+    return null;
+  }
+
+  const words = JSON.parse(zlib.gunzipSync(Buffer.from(row.words)).toString('utf8'));
+  return {
+    width: row.width,
+    height: row.height,
+    words: words.map(([text, x0, y0, x1, y1]) => ({ text, x0, y0, x1, y1 }))
+  };
+}
+
+module.exports = {
+  toLayoutItems,
+  groupLines,
+  reconstructText,
+  readingOrder,
+  findTables,
+  savePageLayout,
+  getPageLayout,
+  saveOcrWords,
+  getOcrWords
+};
@@ -1,9 +1,26 @@
 const { createWorker } = require('tesseract.js');
 const fs = require('fs');
 const { getQuery, runQuery } = require('../database');
+const { extractOcrSchedules } = require('./schedules');
+const { saveOcrWords } = require('./layout');
 
 /**
- * Extract text from an image using Tesseract OCR
+ * Width and height of a PNG from its header
+ */
+function getPngSize(imagePath) {
+  const header = Buffer.alloc(24);
+  const fd = fs.openSync(imagePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 24, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Extract text from an image using Tesseract OCR, with the box of every word
+ * (in image pixels) for highlighting
  */
 async function extractTextFromImage(imagePath) {
   if (!fs.existsSync(imagePath)) {
@@ -20,13 +37,21 @@ async function extractTextFromImage(imagePath) {
       preserve_interword_spaces: '1',
     });
 
-    const { data: { text, confidence } } = await worker.recognize(imagePath);
+    const { data: { text, confidence, blocks } } = await worker.recognize(imagePath, {}, { text: true, blocks: true });
 
     await worker.terminate();
 
+    const words = (blocks || [])
+      .flatMap(block => block.paragraphs)
+      .flatMap(paragraph => paragraph.lines)
+      .flatMap(line => line.words)
+      .filter(word => word.text.trim())
+      .map(word => ({ text: word.text, ...word.bbox }));
+
     return {
       text: text.trim(),
-      confidence: confidence
+      confidence: confidence,
+      words
     };
   } catch (error) {
     await worker.terminate();
@@ -37,16 +62,17 @@ async function extractTextFromImage(imagePath) {
 /**
  * Process OCR for all chunks with images in a project
  */
-async function processProjectOCR(projectId, { limit = 25 } = {}) {
+async function processProjectOCR(projectId, { limit = 25, onProgress = null } = {}) {
   const chunks = getQuery(
     `
-    SELECT c.id, c.document_id, c.page_number, c.sheet_number, c.image_path, d.filename
+    SELECT MIN(c.id) as id, c.document_id, c.page_number, c.sheet_number, c.image_path, d.filename, d.type
     FROM chunks c
     JOIN documents d ON c.document_id = d.id
     WHERE d.project_id = ?
       AND c.image_path IS NOT NULL
       AND c.image_path != ''
-      AND (c.ocr_text IS NULL OR c.ocr_text = '')
+    GROUP BY c.document_id, c.page_number
+    HAVING MAX(COALESCE(c.ocr_text, '')) = ''
     ORDER BY c.document_id ASC, c.page_number ASC
     LIMIT ?
     `,
@@ -63,7 +89,13 @@ async function processProjectOCR(projectId, { limit = 25 } = {}) {
   const results = [];
   let processed = 0;
 
-  for (const chunk of chunks) {
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+
+    if (onProgress) {
+      onProgress(i, chunks.length);
+    }
+
     try {
       if (!fs.existsSync(chunk.image_path)) {
         results.push({
@@ -76,7 +108,7 @@ async function processProjectOCR(projectId, { limit = 25 } = {}) {
 
       console.log(`Processing OCR for ${chunk.filename} page ${chunk.page_number}...`);
 
-      const { text, confidence } = await extractTextFromImage(chunk.image_path);
+      const { text, confidence, words } = await extractTextFromImage(chunk.image_path);
 
       // Only save if we got meaningful text (> 10 characters and reasonable confidence)
       if (text.length > 10 && confidence > 30) {
@@ -84,6 +116,12 @@ async function processProjectOCR(projectId, { limit = 25 } = {}) {
           'UPDATE chunks SET ocr_text = ? WHERE id = ?',
           [text, chunk.id]
         );
+        saveOcrWords(chunk.document_id, chunk.page_number, { ...getPngSize(chunk.image_path), words });
+
+        // Scanned schedules have no PDF text to find them in
+        if (chunk.type === 'drawing') {
+          extractOcrSchedules(chunk.document_id, chunk.page_number, chunk.sheet_number, text);
+        }
 
         results.push({
           ...chunk,
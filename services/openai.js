@@ -1,17 +1,10 @@
-const OpenAI = require('openai');
 require('dotenv').config();
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { createEmbeddings, resolveModel, getDefaultModel } = require('./providers');
 
 // Generate embedding for text
 async function createEmbedding(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: text
-    });
+    const response = await createEmbeddings(text);
     return response.data[0].embedding;
   } catch (error) {
     console.error('Error creating embedding:', error);
@@ -65,8 +58,13 @@ Context from documents:
 ${context}`
     };
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
+    // Clients come from the provider registry, so LLM_PROVIDER=fake works here too
+    const model = resolveModel(getDefaultModel('chat'));
+    if (model.providerType === 'anthropic') {
+      throw new Error(`Model ${model.id} doesn't support the OpenAI chat API`);
+    }
+    const response = await model.client.chat.completions.create({
+      model: model.model,
       messages: [systemMessage, ...messages],
       temperature: 0.3, // Lower temperature for more factual responses
       max_tokens: 2000
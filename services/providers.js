@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { createFakeClient } = require('./fakeProvider');
+const { recordUsage, assertWithinBudget, estimateTokens } = require('./usage');
+
+/**
+ * LLM provider registry, loaded from config/providers.json (or the file named
+ * by PROVIDERS_CONFIG). Providers are OpenAI, Anthropic, or any server with an
+ * OpenAI-compatible API (Ollama, vLLM, LM Studio) at a base URL. Models name
+ * their provider and capabilities; a model is only available when its provider
+ * is configured (has its API key, or its base URL for a compatible server).
+ * With LLM_PROVIDER=fake, every provider is replaced by the offline fake one
+ * (see fakeProvider.js), so the app runs without keys or network. Models and
+ * the embedding model can have a price ("pricing": { input, output } in USD
+ * per million tokens) for the usage ledger (see usage.js). Calls to the fake
+ * provider are free, so offline runs never count against a budget, and are
+ * recorded under the provider "fake".
+ */
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'providers.json');
+const PROVIDER_TYPES = ['openai', 'anthropic', 'openai-compatible', 'fake'];
+// Local servers usually ignore the key, but the OpenAI client requires one
+const PLACEHOLDER_API_KEY = 'not-needed';
+const FREE_PRICING = { input: 0, output: 0 };
+
+let config = null;
+const clients = new Map();
+
+/**
+ * A provider setting given directly ("baseUrl") or through an environment variable ("baseUrlEnv")
+ */
+function getSetting(provider, key) {
+  if (provider[key]) {
+    return provider[key];
+  }
+  const envName = provider[`${key}Env`];
+  return envName ? process.env[envName] || null : null;
+}
+
+function validateConfig(parsed, configPath) {
+  const fail = (message) => {
+    throw new Error(`Invalid provider config ${configPath}: ${message}`);
+  };
+
+  if (!parsed.providers || !parsed.models) {
+    fail('"providers" and "models" are required');
+  }
+  for (const [name, provider] of Object.entries(parsed.providers)) {
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+      fail(`provider "${name}" has unknown type "${provider.type}" (expected ${PROVIDER_TYPES.join(', ')})`);
+    }
+  }
+  for (const [id, model] of Object.entries(parsed.models)) {
+    if (!parsed.providers[model.provider]) {
+      fail(`model "${id}" uses unknown provider "${model.provider}"`);
+    }
+  }
+  const embeddings = parsed.embeddings;
+  if (embeddings && (!parsed.providers[embeddings.provider] || parsed.providers[embeddings.provider].type === 'anthropic')) {
+    fail(`embeddings need an OpenAI or OpenAI-compatible provider, got "${embeddings.provider}"`);
+  }
+}
+
+/**
+ * Load (or reload) the provider config
+ * @param {string} configPath - Defaults to PROVIDERS_CONFIG, then config/providers.json
+ */
+function loadProviders(configPath = process.env.PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH) {
+  const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  validateConfig(parsed, configPath);
+
+  // Same models and defaults, all served by the fake provider
+  const providers = process.env.LLM_PROVIDER === 'fake'
+    ? Object.fromEntries(Object.keys(parsed.providers).map(name => [name, { type: 'fake' }]))
+    : parsed.providers;
+
+  config = {
+    providers,
+    models: parsed.models,
+    defaults: parsed.defaults || {},
+    embeddings: parsed.embeddings || null
+  };
+  clients.clear();
+  return config;
+}
+
+function getConfig() {
+  return config || loadProviders();
+}
+
+function isProviderConfigured(name) {
+  const provider = getConfig().providers[name];
+  if (!provider) {
+    return false;
+  }
+  if (provider.type === 'fake') {
+    return true;
+  }
+  return provider.type === 'openai-compatible' ? Boolean(getSetting(provider, 'baseUrl')) : Boolean(getSetting(provider, 'apiKey'));
+}
+
+/**
+ * The SDK client of a configured provider, created on first use
+ */
+function getClient(name) {
+  if (clients.has(name)) {
+    return clients.get(name);
+  }
+  if (!isProviderConfigured(name)) {
+    throw new Error(`Provider "${name}" is not configured`);
+  }
+
+  const provider = getConfig().providers[name];
+  const apiKey = getSetting(provider, 'apiKey');
+  const baseURL = getSetting(provider, 'baseUrl') || undefined;
+
+  let client;
+  if (provider.type === 'fake') {
+    client = createFakeClient();
+  } else if (provider.type === 'anthropic') {
+    client = new Anthropic({ apiKey, baseURL });
+  } else {
+    client = new OpenAI({ apiKey: apiKey || PLACEHOLDER_API_KEY, baseURL });
+  }
+  clients.set(name, client);
+  return client;
+}
+
+/**
+ * The price of a model served by a provider: its configured price, or free on the fake provider
+ */
+function getPricing(providerName, pricing) {
+  const provider = getConfig().providers[providerName];
+  if (provider && provider.type === 'fake') {
+    return FREE_PRICING;
+  }
+  return pricing || null;
+}
+
+/**
+ * The provider name a call is recorded under in the usage ledger: "fake" for
+ * calls the fake provider served, so they can't pass for real ones
+ */
+function getUsageProvider(providerName) {
+  const provider = getConfig().providers[providerName];
+  return provider && provider.type === 'fake' ? 'fake' : providerName;
+}
+
+function describeModel(id, model) {
+  const provider = getConfig().providers[model.provider];
+  return {
+    id,
+    provider: model.provider,
+    providerType: provider.type,
+    model: model.model || id,
+    name: model.name || id,
+    description: model.description || '',
+    maxTokens: model.maxTokens ?? 2000,
+    temperature: model.temperature ?? 0.7,
+    contextWindow: model.contextWindow ?? null,
+    vision: Boolean(model.vision),
+    streaming: model.streaming !== false,
+    pricing: getPricing(model.provider, model.pricing)
+  };
+}
+
+/**
+ * A model's settings, whether or not its provider is configured
+ * @returns {{ id, provider, providerType, model, name, description, maxTokens, temperature,
+ *   contextWindow, vision, streaming, pricing }|null} model is the ID sent to the provider's API
+ */
+function getModelConfig(id) {
+  const model = getConfig().models[id];
+  return model ? describeModel(id, model) : null;
+}
+
+/**
+ * Models whose provider is configured
+ */
+function getAvailableModels() {
+  return Object.entries(getConfig().models)
+    .filter(([, model]) => isProviderConfigured(model.provider))
+    .map(([id, model]) => describeModel(id, model));
+}
+
+/**
+ * A model and its provider's client, ready to call
+ */
+function resolveModel(id) {
+  const model = getModelConfig(id);
+  if (!model) {
+    throw new Error(`Unknown model: ${id}`);
+  }
+  if (!isProviderConfigured(model.provider)) {
+    throw new Error(`Model ${id} is not available: provider "${model.provider}" is not configured`);
+  }
+  return { ...model, client: getClient(model.provider) };
+}
+
+/**
+ * The model to use for a role ('chat', 'utility' for query expansion and titles,
+ * 'vision'): the configured default when its provider is set up, otherwise the
+ * first available model (with vision support, for 'vision')
+ * @returns {string|null}
+ */
+function getDefaultModel(role) {
+  const available = getAvailableModels().filter(model => role !== 'vision' || model.vision);
+  const preferred = getConfig().defaults[role];
+  if (preferred && available.some(model => model.id === preferred)) {
+    return preferred;
+  }
+  return available.length > 0 ? available[0].id : null;
+}
+
+/**
+ * The embedding model, its price and its provider's client
+ */
+function getEmbeddingProvider() {
+  const embeddings = getConfig().embeddings;
+  if (!embeddings) {
+    throw new Error('No embedding provider configured');
+  }
+  return {
+    provider: embeddings.provider,
+    model: embeddings.model,
+    pricing: getPricing(embeddings.provider, embeddings.pricing),
+    client: getClient(embeddings.provider)
+  };
+}
+
+function isEmbeddingConfigured() {
+  const embeddings = getConfig().embeddings;
+  return Boolean(embeddings) && isProviderConfigured(embeddings.provider);
+}
+
+/**
+ * Embed text with the configured embedding model
+ * @param {string|string[]} input
+ * @param {object} usage - Usage scope ({ projectId, chatId, stage, ids }) to record the call
+ *   against; the project's budget is checked first (see usage.js)
+ * @returns {Promise<object>} The API response ({ data: [{ embedding }], usage })
+ */
+async function createEmbeddings(input, usage = null) {
+  const { client, model, provider, pricing } = getEmbeddingProvider();
+  if (usage) {
+    assertWithinBudget(usage.projectId);
+  }
+
+  const response = await client.embeddings.create({ model, input });
+
+  if (usage) {
+    const inputs = Array.isArray(input) ? input : [input];
+    recordUsage(usage, {
+      provider: getUsageProvider(provider),
+      model,
+      inputTokens: response.usage ? response.usage.prompt_tokens : inputs.reduce((sum, text) => sum + estimateTokens(text), 0),
+      pricing,
+      estimated: !response.usage
+    });
+  }
+  return response;
+}
+
+module.exports = {
+  loadProviders,
+  isProviderConfigured,
+  getModelConfig,
+  getAvailableModels,
+  resolveModel,
+  getDefaultModel,
+  getEmbeddingProvider,
+  isEmbeddingConfigured,
+  getUsageProvider,
+  createEmbeddings
+};
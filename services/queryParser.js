@@ -0,0 +1,67 @@
+const { extractSheetNumbers, extractDetailReferences, parseDetailReference } = require('../documentProcessor');
+
+// CSI MasterFormat section numbers: "08 71 00", "087100", "09 91 23.13"
+const SPEC_SECTION_PATTERN = /\b([0-4]\d)\s?(\d{2})\s?(\d{2})(?:\.(\d{2}))?\b/g;
+
+// "as of Addendum 2", "as of Rev. C", "as of 2024-03-15" - up to the end of the clause
+const AS_OF_PATTERN = /\bas\s+of\s+((?:\b(?:no|rev)\.\s*|[^?,;:!\n.]|\.(?=\S))+)/i;
+
+/**
+ * Phrase following "as of" in a question, or null. It may run past the revision
+ * label ("Addendum 2 what changed"); resolving it against the project's revision
+ * labels trims it.
+ */
+function extractAsOf(text) {
+  const match = text.match(AS_OF_PATTERN);
+  return match ? match[1].trim().slice(0, 80) : null;
+}
+
+/**
+ * Extract CSI section numbers, normalized to "08 71 00" form
+ */
+function extractSpecSections(text) {
+  const sections = new Set();
+  for (const match of text.matchAll(SPEC_SECTION_PATTERN)) {
+    const [, division, level2, level3, level4] = match;
+    sections.add(`${division} ${level2} ${level3}${level4 ? `.${level4}` : ''}`);
+  }
+  return Array.from(sections);
+}
+
+/**
+ * Find the exact references in a question - sheet numbers, detail references
+ * and spec sections - so their content can be looked up directly instead of
+ * relying on semantic search to rank it. Also picks up the revision the
+ * question is asked "as of", if any.
+ * @returns {{ sheets: string[], details: Array<{reference, detailNumber, targetSheet}>, specSections: string[], asOf: string|null }}
+ */
+function parseQuery(query) {
+  const details = extractDetailReferences(query)
+    .map(reference => parseDetailReference(reference.toUpperCase()))
+    .filter(Boolean)
+    .map(parsed => ({ reference: `${parsed.detailNumber}/${parsed.targetSheet}`, ...parsed }));
+
+  // A detail's sheet is looked up with the detail, not again on its own
+  const detailSheets = new Set(details.map(detail => detail.targetSheet));
+  const sheets = extractSheetNumbers(query).filter(sheet => !detailSheets.has(sheet));
+
+  return {
+    sheets,
+    details,
+    specSections: extractSpecSections(query),
+    asOf: extractAsOf(query)
+  };
+}
+
+function hasExactReferences(parsedQuery) {
+  return parsedQuery.sheets.length > 0 ||
+    parsedQuery.details.length > 0 ||
+    parsedQuery.specSections.length > 0;
+}
+
+module.exports = {
+  parseQuery,
+  hasExactReferences,
+  extractSpecSections,
+  extractAsOf
+};
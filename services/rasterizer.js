@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { pdfToPng } = require('pdf-to-png-converter');
+const { getQuery, runQuery } = require('../database');
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+const DEFAULT_RENDER_DPI = 150;
+const PDF_POINTS_PER_INCH = 72;
+
+/**
+ * Whether pages should be rendered during document processing.
+ * Enabled by default; set PAGE_RENDER_ENABLED=false to skip rendering.
+ */
+function isPageRenderingEnabled() {
+  return process.env.PAGE_RENDER_ENABLED !== 'false';
+}
+
+function getRenderDpi() {
+  const dpi = Number.parseInt(process.env.PAGE_RENDER_DPI || '', 10);
+  return Number.isFinite(dpi) && dpi > 0 ? dpi : DEFAULT_RENDER_DPI;
+}
+
+/**
+ * Directory holding the rendered pages of a document:
+ * uploads/<projectId>/pages/<documentId>/
+ */
+function getPagesDirectory(projectId, documentId) {
+  return path.join(UPLOADS_ROOT, String(projectId), 'pages', String(documentId));
+}
+
+function getPageImageName(pageNumber) {
+  return `page-${String(pageNumber).padStart(4, '0')}.png`;
+}
+
+/**
+ * Render pages of a document to PNG files
+ * @param {object} doc - Document row (needs id, project_id, filepath)
+ * @param {object} options - { dpi, pageNumbers } - pageNumbers defaults to every page
+ * @returns {Map<number, string>} page number -> absolute image path
+ */
+async function renderDocumentPages(doc, { dpi = getRenderDpi(), pageNumbers = null } = {}) {
+  if (!fs.existsSync(doc.filepath)) {
+    throw new Error(`PDF file not found: ${doc.filepath}`);
+  }
+
+  const outputDir = getPagesDirectory(doc.project_id, doc.id);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // pdf-to-png-converter resolves outputFolder relative to the working directory
+  const pages = await pdfToPng(doc.filepath, {
+    outputFolder: path.relative(process.cwd(), outputDir),
+    outputFileMaskFunc: getPageImageName,
+    viewportScale: dpi / PDF_POINTS_PER_INCH,
+    pagesToProcess: pageNumbers || undefined,
+    returnPageContent: false
+  });
+
+  const imagePaths = new Map();
+  for (const page of pages) {
+    imagePaths.set(page.pageNumber, path.join(outputDir, page.name));
+  }
+
+  return imagePaths;
+}
+
+/**
+ * Remove all rendered pages for a document
+ */
+function deleteDocumentPages(projectId, documentId) {
+  const outputDir = getPagesDirectory(projectId, documentId);
+  if (fs.existsSync(outputDir)) {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Render page images for chunks that don't have one yet (e.g. documents
+ * processed before page rendering existed, or whose images were deleted)
+ */
+async function rasterizeProject(projectId, { limit = 100, dpi = getRenderDpi() } = {}) {
+  const chunks = getQuery(
+    `
+    SELECT c.id, c.document_id, c.page_number, c.image_path, d.filename, d.filepath, d.project_id
+    FROM chunks c
+    JOIN documents d ON c.document_id = d.id
+    WHERE d.project_id = ?
+    ORDER BY c.document_id ASC, c.page_number ASC
+    `,
+    [projectId]
+  )
+    .filter(chunk => !chunk.image_path || !fs.existsSync(chunk.image_path))
+    .slice(0, limit);
+
+  if (chunks.length === 0) {
+    console.log('No chunks need page rendering');
+    return { pagesRendered: 0, results: [] };
+  }
+
+  console.log(`Rendering ${chunks.length} pages at ${dpi} DPI...`);
+
+  // Group by document so each PDF is only opened once
+  const chunksByDocument = new Map();
+  for (const chunk of chunks) {
+    if (!chunksByDocument.has(chunk.document_id)) {
+      chunksByDocument.set(chunk.document_id, []);
+    }
+    chunksByDocument.get(chunk.document_id).push(chunk);
+  }
+
+  const results = [];
+  let rendered = 0;
+
+  for (const [documentId, docChunks] of chunksByDocument) {
+    const doc = {
+      id: documentId,
+      project_id: docChunks[0].project_id,
+      filepath: docChunks[0].filepath
+    };
+
+    try {
+      const imagePaths = await renderDocumentPages(doc, {
+        dpi,
+        pageNumbers: [...new Set(docChunks.map(chunk => chunk.page_number))]
+      });
+
+      for (const chunk of docChunks) {
+        const imagePath = imagePaths.get(chunk.page_number);
+        if (!imagePath) {
+          results.push({ id: chunk.id, filename: chunk.filename, page_number: chunk.page_number, success: false, error: 'page_not_rendered' });
+          continue;
+        }
+
+        runQuery('UPDATE chunks SET image_path = ? WHERE id = ?', [imagePath, chunk.id]);
+        results.push({ id: chunk.id, filename: chunk.filename, page_number: chunk.page_number, success: true, imagePath });
+        rendered++;
+      }
+
+      console.log(`  ✓ Rendered ${imagePaths.size} pages for ${docChunks[0].filename}`);
+    } catch (error) {
+      console.error(`Error rendering pages for document ${documentId}:`, error.message);
+      for (const chunk of docChunks) {
+        results.push({ id: chunk.id, filename: chunk.filename, page_number: chunk.page_number, success: false, error: error.message });
+      }
+    }
+  }
+
+  console.log(`Page rendering complete: ${rendered}/${chunks.length} pages rendered`);
+
+  return {
+    pagesRendered: rendered,
+    totalAttempted: chunks.length,
+    results
+  };
+}
+
+module.exports = {
+  isPageRenderingEnabled,
+  getRenderDpi,
+  getPagesDirectory,
+  renderDocumentPages,
+  deleteDocumentPages,
+  rasterizeProject
+};
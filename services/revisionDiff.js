@@ -0,0 +1,519 @@
+const fs = require('fs');
+const path = require('path');
+const { getQuery, getOneQuery, runQuery } = require('../database');
+const { renderDocumentPages } = require('./rasterizer');
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+
+// Above this many line pairs the LCS table gets too large; fall back to comparing line sets
+const MAX_LCS_CELLS = 4000000;
+
+// Overlays are computed on a downscaled copy of the page images
+const OVERLAY_MAX_WIDTH = 1600;
+// Grayscale difference (0-255) at which a pixel counts as changed
+const PIXEL_DIFF_THRESHOLD = 64;
+// Share of changed pixels above which a sheet counts as graphically modified
+const PIXEL_CHANGE_RATIO = 0.001;
+
+// Dimensions as written on drawings: 12'-6", 3' - 0 1/2", 10', 6", 1/2", 150 mm, 2.4 m
+const DIMENSION_PATTERN = /\b\d{1,4}'\s*-?\s*\d{1,2}(?:\s+\d{1,2}\/\d{1,2})?"|\b\d{1,4}'|\b\d{1,3}(?:\s+\d{1,2}\/\d{1,2})?"|\b\d{1,2}\/\d{1,2}"|\b\d+(?:\.\d+)?\s?(?:mm|cm|m)\b/g;
+
+/**
+ * Directory holding the overlay images of a comparison:
+ * uploads/<projectId>/diffs/<comparisonId>/
+ */
+function getComparisonDirectory(projectId, comparisonId) {
+  return path.join(UPLOADS_ROOT, String(projectId), 'diffs', String(comparisonId));
+}
+
+function deleteComparisonFiles(projectId, comparisonId) {
+  const directory = getComparisonDirectory(projectId, comparisonId);
+  if (fs.existsSync(directory)) {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Lines to diff: text lines, further split at sentence ends so a note that
+ * changed doesn't mark the rest of a run-together page as changed
+ */
+function toLines(text) {
+  return (text || '')
+    .split(/\n|(?<=[.;])\s+(?=[A-Z0-9])/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Line diff (longest common subsequence)
+ * @returns {{ added: string[], removed: string[] }}
+ */
+function diffLines(baseText, revisedText) {
+  const base = toLines(baseText);
+  const revised = toLines(revisedText);
+
+  // Common head and tail don't need the table
+  let start = 0;
+  while (start < base.length && start < revised.length && base[start] === revised[start]) {
+    start++;
+  }
+  let baseEnd = base.length;
+  let revisedEnd = revised.length;
+  while (baseEnd > start && revisedEnd > start && base[baseEnd - 1] === revised[revisedEnd - 1]) {
+    baseEnd--;
+    revisedEnd--;
+  }
+
+  const a = base.slice(start, baseEnd);
+  const b = revised.slice(start, revisedEnd);
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    const inBase = new Set(a);
+    const inRevised = new Set(b);
+    return {
+      added: b.filter(line => !inBase.has(line)),
+      removed: a.filter(line => !inRevised.has(line))
+    };
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  }
+  removed.push(...a.slice(i));
+  added.push(...b.slice(j));
+
+  return { added, removed };
+}
+
+function extractDimensions(text) {
+  return (text || '').match(DIMENSION_PATTERN)?.map(dimension => dimension.replace(/\s+/g, ' ')) || [];
+}
+
+/**
+ * Dimensions that appear more (added) or fewer (removed) times in the revision
+ */
+function diffDimensions(baseText, revisedText) {
+  const count = (dimensions) => dimensions.reduce((counts, dimension) => counts.set(dimension, (counts.get(dimension) || 0) + 1), new Map());
+  const base = count(extractDimensions(baseText));
+  const revised = count(extractDimensions(revisedText));
+
+  const difference = (from, to) => [...from.entries()]
+    .flatMap(([dimension, times]) => Array(Math.max(0, times - (to.get(dimension) || 0))).fill(dimension));
+
+  return { added: difference(revised, base), removed: difference(base, revised) };
+}
+
+/**
+ * Page text rebuilt from its chunks; overlapping chunks are joined at their
+ * character offsets so the overlap isn't repeated
+ */
+function joinChunks(chunks) {
+  let text = '';
+  let end = 0;
+
+  for (const chunk of chunks) {
+    const overlap = text && chunk.char_start !== null ? end - chunk.char_start : 0;
+    if (!text) {
+      text = chunk.content;
+    } else if (overlap > 0) {
+      text += chunk.content.slice(overlap);
+    } else {
+      text += '\n' + chunk.content;
+    }
+    end = chunk.char_end !== null ? chunk.char_end : text.length;
+  }
+
+  return text;
+}
+
+/**
+ * The sheets (or, without sheet numbers, pages) of a document keyed for pairing
+ * @returns {Map<string, { key, sheetNumber, pageNumber, text, ocrText, imagePath }>}
+ */
+function getDocumentSheets(documentId) {
+  const chunks = getQuery(
+    `SELECT page_number, sheet_number, content, ocr_text, image_path, chunk_index, char_start, char_end
+     FROM chunks WHERE document_id = ?
+     ORDER BY page_number ASC, chunk_index ASC, id ASC`,
+    [documentId]
+  );
+
+  const pages = new Map();
+  for (const chunk of chunks) {
+    if (!pages.has(chunk.page_number)) {
+      pages.set(chunk.page_number, []);
+    }
+    pages.get(chunk.page_number).push(chunk);
+  }
+
+  const sheets = new Map();
+  for (const [pageNumber, pageChunks] of pages) {
+    const sheetNumber = pageChunks.find(chunk => chunk.sheet_number)?.sheet_number?.toUpperCase() || null;
+    let key = sheetNumber || `Page ${pageNumber}`;
+    // A sheet number printed on two pages; keep both
+    if (sheets.has(key)) {
+      key = `${key} (page ${pageNumber})`;
+    }
+
+    sheets.set(key, {
+      key,
+      sheetNumber,
+      pageNumber,
+      text: joinChunks(pageChunks),
+      ocrText: pageChunks.map(chunk => chunk.ocr_text).filter(Boolean).join('\n'),
+      imagePath: pageChunks.find(chunk => chunk.image_path)?.image_path || null
+    });
+  }
+
+  return sheets;
+}
+
+/**
+ * Render page images a comparison needs but that don't exist yet
+ */
+async function ensurePageImages(document, sheets) {
+  const missing = [...sheets.values()].filter(sheet => !sheet.imagePath || !fs.existsSync(sheet.imagePath));
+  if (missing.length === 0) {
+    return;
+  }
+
+  const imagePaths = await renderDocumentPages(document, { pageNumbers: missing.map(sheet => sheet.pageNumber) });
+  for (const sheet of missing) {
+    const imagePath = imagePaths.get(sheet.pageNumber);
+    if (imagePath) {
+      runQuery('UPDATE chunks SET image_path = ? WHERE document_id = ? AND page_number = ?', [imagePath, document.id, sheet.pageNumber]);
+      sheet.imagePath = imagePath;
+    }
+  }
+}
+
+/**
+ * Compare two page images and write an overlay: unchanged linework in light
+ * gray, removed in red, added in green. The revised page is scaled to the
+ * base page's size.
+ * @returns {{ changedPixels, changedRatio, bounds, overlayPath }} bounds are fractions of the page size
+ */
+async function computePixelDiff(baseImagePath, revisedImagePath, overlayPath) {
+  // Loaded on demand; only overlays need the native canvas module
+  const { createCanvas, loadImage } = require('@napi-rs/canvas');
+
+  const [baseImage, revisedImage] = await Promise.all([
+    loadImage(fs.readFileSync(baseImagePath)),
+    loadImage(fs.readFileSync(revisedImagePath))
+  ]);
+
+  const scale = Math.min(1, OVERLAY_MAX_WIDTH / baseImage.width);
+  const width = Math.max(1, Math.round(baseImage.width * scale));
+  const height = Math.max(1, Math.round(baseImage.height * scale));
+
+  const readPixels = (image) => {
+    const ctx = createCanvas(width, height).getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  const base = readPixels(baseImage);
+  const revised = readPixels(revisedImage);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const overlay = ctx.createImageData(width, height);
+  const luminance = (data, offset) => 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+
+  let changedPixels = 0;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const before = luminance(base, offset);
+      const after = luminance(revised, offset);
+
+      let color;
+      if (Math.abs(before - after) > PIXEL_DIFF_THRESHOLD) {
+        changedPixels++;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+        color = before < after ? [220, 38, 38] : [22, 163, 74];
+      } else {
+        const gray = 255 - (255 - Math.min(before, after)) * 0.25;
+        color = [gray, gray, gray];
+      }
+
+      overlay.data[offset] = color[0];
+      overlay.data[offset + 1] = color[1];
+      overlay.data[offset + 2] = color[2];
+      overlay.data[offset + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(overlay, 0, 0);
+  fs.mkdirSync(path.dirname(overlayPath), { recursive: true });
+  fs.writeFileSync(overlayPath, await canvas.encode('png'));
+
+  return {
+    changedPixels,
+    changedRatio: changedPixels / (width * height),
+    bounds: changedPixels > 0
+      ? { x: minX / width, y: minY / height, width: (maxX - minX + 1) / width, height: (maxY - minY + 1) / height }
+      : null,
+    overlayPath
+  };
+}
+
+function toUploadUrl(filePath) {
+  return '/uploads/' + path.relative(UPLOADS_ROOT, filePath).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+function describeDocument(document) {
+  return {
+    id: document.id,
+    filename: document.filename,
+    revision: document.revision,
+    issueDate: document.issue_date
+  };
+}
+
+/**
+ * Build the change report for two documents: sheets paired by sheet number
+ * (by page number when there is none), with their text, OCR text and
+ * dimension changes, and optionally a pixel-difference overlay.
+ * @param {object} comparison - revision_comparisons row
+ * @param {function} onProgress - Optional callback (current, total, sheetKey)
+ */
+async function buildComparisonReport(comparison, onProgress = null) {
+  const baseDocument = getOneQuery('SELECT * FROM documents WHERE id = ?', [comparison.base_document_id]);
+  const revisedDocument = getOneQuery('SELECT * FROM documents WHERE id = ?', [comparison.revised_document_id]);
+  if (!baseDocument || !revisedDocument) {
+    throw new Error('Compared document not found');
+  }
+
+  const baseSheets = getDocumentSheets(baseDocument.id);
+  const revisedSheets = getDocumentSheets(revisedDocument.id);
+  if (baseSheets.size === 0 || revisedSheets.size === 0) {
+    throw new Error('Both documents must be processed before they can be compared');
+  }
+
+  if (comparison.include_images) {
+    await ensurePageImages(baseDocument, baseSheets);
+    await ensurePageImages(revisedDocument, revisedSheets);
+  }
+
+  const keys = [...new Set([...revisedSheets.keys(), ...baseSheets.keys()])]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const overlayDirectory = getComparisonDirectory(comparison.project_id, comparison.id);
+
+  const sheets = [];
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const base = baseSheets.get(key);
+    const revised = revisedSheets.get(key);
+    if (onProgress) {
+      onProgress(i, keys.length, key);
+    }
+
+    const entry = {
+      key,
+      sheetNumber: (base || revised).sheetNumber,
+      basePage: base ? base.pageNumber : null,
+      revisedPage: revised ? revised.pageNumber : null
+    };
+
+    if (!base || !revised) {
+      sheets.push({ ...entry, status: base ? 'removed' : 'added' });
+      continue;
+    }
+
+    const text = diffLines(base.text, revised.text);
+    const ocr = diffLines(base.ocrText, revised.ocrText);
+    const dimensions = diffDimensions(`${base.text}\n${base.ocrText}`, `${revised.text}\n${revised.ocrText}`);
+
+    let pixels = null;
+    if (comparison.include_images) {
+      if (base.imagePath && revised.imagePath && fs.existsSync(base.imagePath) && fs.existsSync(revised.imagePath)) {
+        const overlayPath = path.join(overlayDirectory, `${key.replace(/[^A-Za-z0-9.-]+/g, '_')}.png`);
+        const { overlayPath: written, ...diff } = await computePixelDiff(base.imagePath, revised.imagePath, overlayPath);
+        pixels = { ...diff, overlayUrl: toUploadUrl(written) };
+      } else {
+        pixels = { error: 'image_not_found' };
+      }
+    }
+
+    const changed = text.added.length > 0 || text.removed.length > 0 ||
+      ocr.added.length > 0 || ocr.removed.length > 0 ||
+      (pixels && pixels.changedRatio >= PIXEL_CHANGE_RATIO);
+
+    sheets.push({ ...entry, status: changed ? 'modified' : 'unchanged', text, ocr, dimensions, pixels });
+  }
+
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  sheets.forEach(sheet => summary[sheet.status]++);
+
+  return {
+    base: describeDocument(baseDocument),
+    revised: describeDocument(revisedDocument),
+    includeImages: Boolean(comparison.include_images),
+    summary,
+    sheets
+  };
+}
+
+/**
+ * Run the pending comparisons of a project, storing each report. Comparisons
+ * requested while this runs are picked up before it returns.
+ */
+async function runPendingComparisons(projectId, onProgress = null) {
+  const results = [];
+  let pending;
+  while ((pending = getQuery(
+    "SELECT * FROM revision_comparisons WHERE project_id = ? AND status = 'pending' ORDER BY id ASC",
+    [projectId]
+  )).length > 0) {
+    await runComparisons(pending, results, onProgress);
+  }
+
+  return { comparisonsRun: results.length, results };
+}
+
+async function runComparisons(pending, results, onProgress) {
+  for (let i = 0; i < pending.length; i++) {
+    const comparison = pending[i];
+    try {
+      const report = await buildComparisonReport(comparison, (current, total, key) => {
+        if (onProgress) {
+          onProgress(i, pending.length, current, total, key);
+        }
+      });
+
+      runQuery(
+        `UPDATE revision_comparisons
+         SET status = 'completed', summary = ?, report = ?, error = NULL, completed_at = datetime('now')
+         WHERE id = ?`,
+        [JSON.stringify(report.summary), JSON.stringify(report), comparison.id]
+      );
+      console.log(`  Comparison ${comparison.id}: ${JSON.stringify(report.summary)}`);
+      results.push({ id: comparison.id, success: true, summary: report.summary });
+    } catch (error) {
+      // A cancelled job leaves the comparison pending so it runs next time
+      if (error.name === 'JobCancelledError') {
+        throw error;
+      }
+      console.error(`Error running comparison ${comparison.id}:`, error.message);
+      runQuery(
+        "UPDATE revision_comparisons SET status = 'failed', error = ?, completed_at = datetime('now') WHERE id = ?",
+        [error.message, comparison.id]
+      );
+      results.push({ id: comparison.id, success: false, error: error.message });
+    }
+  }
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per change: sheet, status, pages, change type, before and after
+ */
+function formatReportCsv(report) {
+  const rows = [['Sheet', 'Status', 'Base Page', 'Revised Page', 'Change', 'Before', 'After']];
+
+  for (const sheet of report.sheets) {
+    const row = (change, before, after) => rows.push([sheet.key, sheet.status, sheet.basePage, sheet.revisedPage, change, before, after]);
+
+    if (sheet.status !== 'modified') {
+      row('sheet', '', '');
+      continue;
+    }
+
+    sheet.text.removed.forEach(line => row('note', line, ''));
+    sheet.text.added.forEach(line => row('note', '', line));
+    sheet.ocr.removed.forEach(line => row('ocr', line, ''));
+    sheet.ocr.added.forEach(line => row('ocr', '', line));
+    sheet.dimensions.removed.forEach(dimension => row('dimension', dimension, ''));
+    sheet.dimensions.added.forEach(dimension => row('dimension', '', dimension));
+    if (sheet.pixels && sheet.pixels.changedRatio >= PIXEL_CHANGE_RATIO) {
+      row('graphics', '', `${(sheet.pixels.changedRatio * 100).toFixed(2)}% of pixels changed`);
+    }
+  }
+
+  return rows.map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+function formatReportMarkdown(report) {
+  const label = (document) => `${document.filename}${document.revision ? ` (${document.revision})` : ''}`;
+  const lines = [
+    `# Change Report: ${label(report.base)} → ${label(report.revised)}`,
+    '',
+    `- Added sheets: ${report.summary.added}`,
+    `- Removed sheets: ${report.summary.removed}`,
+    `- Modified sheets: ${report.summary.modified}`,
+    `- Unchanged sheets: ${report.summary.unchanged}`
+  ];
+
+  for (const status of ['added', 'removed']) {
+    const sheets = report.sheets.filter(sheet => sheet.status === status);
+    if (sheets.length > 0) {
+      lines.push('', `## ${status === 'added' ? 'Added' : 'Removed'} Sheets`, '', ...sheets.map(sheet => `- ${sheet.key}`));
+    }
+  }
+
+  const modified = report.sheets.filter(sheet => sheet.status === 'modified');
+  if (modified.length > 0) {
+    lines.push('', '## Modified Sheets');
+    for (const sheet of modified) {
+      lines.push('', `### ${sheet.key} (page ${sheet.basePage} → ${sheet.revisedPage})`);
+      sheet.text.removed.forEach(line => lines.push(`- Removed: ${line}`));
+      sheet.text.added.forEach(line => lines.push(`- Added: ${line}`));
+      sheet.ocr.removed.forEach(line => lines.push(`- Removed (OCR): ${line}`));
+      sheet.ocr.added.forEach(line => lines.push(`- Added (OCR): ${line}`));
+      if (sheet.dimensions.removed.length > 0 || sheet.dimensions.added.length > 0) {
+        lines.push(`- Dimensions: removed ${sheet.dimensions.removed.join(', ') || 'none'}; added ${sheet.dimensions.added.join(', ') || 'none'}`);
+      }
+      if (sheet.pixels && sheet.pixels.changedRatio >= PIXEL_CHANGE_RATIO) {
+        lines.push(`- Graphics: ${(sheet.pixels.changedRatio * 100).toFixed(2)}% of pixels changed ([overlay](${sheet.pixels.overlayUrl}))`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  getComparisonDirectory,
+  deleteComparisonFiles,
+  diffLines,
+  buildComparisonReport,
+  runPendingComparisons,
+  formatReportCsv,
+  formatReportMarkdown
+};
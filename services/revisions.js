@@ -0,0 +1,229 @@
+const { getQuery } = require('../database');
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})\b/;
+
+/**
+ * Words of a revision label for matching: "Addendum No. 2" and "addendum #2" -> ['addendum', '2']
+ */
+function revisionLabelTokens(label) {
+  return String(label)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && token !== 'no' && token !== 'number');
+}
+
+/**
+ * Issue date of a document, falling back to its upload date
+ */
+function getIssueDate(document) {
+  return document.issue_date || (document.created_at || '').slice(0, 10);
+}
+
+/**
+ * Order documents by issue date, then upload order
+ */
+function compareRevisions(a, b) {
+  const dateA = getIssueDate(a);
+  const dateB = getIssueDate(b);
+  if (dateA !== dateB) {
+    return dateA < dateB ? -1 : 1;
+  }
+  return a.id - b.id;
+}
+
+/**
+ * Resolve "Addendum 2" or "2024-03-15" to the point in the revision history it names.
+ * The phrase may carry trailing words ("Addendum 2 what changed"); the longest
+ * revision label it starts with wins.
+ * @returns {{ label, date, document }|null} document is the latest document with that
+ *   revision label, or null for a plain date; null when no label matches
+ */
+function resolveAsOf(projectId, asOf) {
+  const dateMatch = asOf.match(DATE_PATTERN);
+  if (dateMatch) {
+    return { label: dateMatch[1], date: dateMatch[1], document: null };
+  }
+
+  const phrase = revisionLabelTokens(asOf);
+  const startsWith = (tokens) => tokens.length > 0 && tokens.every((token, i) => phrase[i] === token);
+
+  let matches = [];
+  let matchLength = 0;
+  for (const document of getQuery('SELECT * FROM documents WHERE project_id = ? AND revision IS NOT NULL', [projectId])) {
+    const tokens = revisionLabelTokens(document.revision);
+    if (!startsWith(tokens) || tokens.length < matchLength) {
+      continue;
+    }
+    if (tokens.length > matchLength) {
+      matches = [];
+      matchLength = tokens.length;
+    }
+    matches.push(document);
+  }
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const document = matches.sort(compareRevisions)[matches.length - 1];
+  return { label: document.revision, date: getIssueDate(document), document };
+}
+
+/**
+ * Work out which documents and sheets are in effect. A sheet is out of date once
+ * a later document contains the same sheet number, or a document superseding its
+ * own (directly or further down the chain) does - a revised set that doesn't
+ * reissue a sheet leaves the earlier one current. Content without a sheet number
+ * is out of date once its document is superseded.
+ * @param {number} projectId
+ * @param {object} options - { asOf } revision label or YYYY-MM-DD date; only documents
+ *   issued up to that point count. { includeSuperseded } turns filtering off.
+ * @returns {{ asOf, unresolvedAsOf, isCurrent(documentId, sheetNumber), currentBySheet, documents }}
+ */
+function getRevisionScope(projectId, { asOf = null, includeSuperseded = false } = {}) {
+  const resolved = asOf ? resolveAsOf(projectId, asOf) : null;
+
+  const documents = getQuery(
+    'SELECT id, filename, type, revision, issue_date, created_at, supersedes_document_id FROM documents WHERE project_id = ?',
+    [projectId]
+  );
+
+  const inEffect = documents.filter(document => {
+    if (!resolved) {
+      return true;
+    }
+    return resolved.document
+      ? compareRevisions(document, resolved.document) <= 0
+      : getIssueDate(document) <= resolved.date;
+  });
+
+  const byId = new Map(inEffect.map(document => [document.id, document]));
+  const supersededBy = new Map();
+  for (const document of inEffect) {
+    if (document.supersedes_document_id && byId.has(document.supersedes_document_id)) {
+      const successors = supersededBy.get(document.supersedes_document_id) || [];
+      successors.push(document);
+      supersededBy.set(document.supersedes_document_id, successors);
+    }
+  }
+
+  const sheetsByDocument = new Map();
+  const sheets = getQuery(`
+    SELECT DISTINCT c.document_id, UPPER(c.sheet_number) as sheet_number
+    FROM chunks c
+    JOIN documents d ON c.document_id = d.id
+    WHERE d.project_id = ? AND c.sheet_number IS NOT NULL
+  `, [projectId]);
+  for (const { document_id: documentId, sheet_number: sheetNumber } of sheets) {
+    if (!sheetsByDocument.has(documentId)) {
+      sheetsByDocument.set(documentId, new Set());
+    }
+    sheetsByDocument.get(documentId).add(sheetNumber);
+  }
+
+  // Whether a document superseding this one, or one superseding that, has the sheet
+  const reissuedLater = (documentId, sheetNumber, seen = new Set()) => {
+    seen.add(documentId);
+    return (supersededBy.get(documentId) || []).some(successor =>
+      !seen.has(successor.id) &&
+      (sheetsByDocument.get(successor.id)?.has(sheetNumber) || reissuedLater(successor.id, sheetNumber, seen))
+    );
+  };
+
+  // Latest document for every sheet number, leaving out sheets a superseding document reissued
+  const currentBySheet = new Map();
+  for (const { document_id: documentId, sheet_number: sheetNumber } of sheets) {
+    const document = byId.get(documentId);
+    if (!document || reissuedLater(documentId, sheetNumber)) {
+      continue;
+    }
+    const current = currentBySheet.get(sheetNumber);
+    if (!current || compareRevisions(current, document) < 0) {
+      currentBySheet.set(sheetNumber, document);
+    }
+  }
+
+  const isCurrent = (documentId, sheetNumber) => {
+    if (includeSuperseded) {
+      return true;
+    }
+    if (!byId.has(documentId)) {
+      return false;
+    }
+    const current = sheetNumber ? currentBySheet.get(sheetNumber.toUpperCase()) : null;
+    return current ? current.id === documentId : !supersededBy.has(documentId);
+  };
+
+  return {
+    asOf: resolved,
+    unresolvedAsOf: asOf && !resolved ? asOf : null,
+    isCurrent,
+    currentBySheet,
+    documents: inEffect
+  };
+}
+
+/**
+ * Every sheet in a project with the revision in effect and the revisions it replaced
+ * @returns {{ asOf, unresolvedAsOf, sheets: Array<{ sheetNumber, current, previous }> }} revisions
+ *   are { documentId, filename, revision, issueDate, pageNumber }, newest first
+ */
+function getSheetRevisions(projectId, { asOf = null } = {}) {
+  const scope = getRevisionScope(projectId, { asOf });
+  const inEffect = new Map(scope.documents.map(document => [document.id, document]));
+
+  const rows = getQuery(`
+    SELECT UPPER(c.sheet_number) as sheet_number, c.document_id, MIN(c.page_number) as page_number,
+           MAX(c.sheet_title) as sheet_title, MAX(c.sheet_revision) as sheet_revision
+    FROM chunks c
+    JOIN documents d ON c.document_id = d.id
+    WHERE d.project_id = ? AND c.sheet_number IS NOT NULL
+    GROUP BY UPPER(c.sheet_number), c.document_id
+  `, [projectId]);
+
+  const bySheet = new Map();
+  for (const row of rows) {
+    const document = inEffect.get(row.document_id);
+    if (!document) {
+      continue;
+    }
+    if (!bySheet.has(row.sheet_number)) {
+      bySheet.set(row.sheet_number, []);
+    }
+    bySheet.get(row.sheet_number).push({ document, pageNumber: row.page_number, sheetTitle: row.sheet_title, sheetRevision: row.sheet_revision });
+  }
+
+  const describe = ({ document, pageNumber, sheetTitle, sheetRevision }) => ({
+    documentId: document.id,
+    filename: document.filename,
+    revision: document.revision,
+    issueDate: getIssueDate(document),
+    pageNumber,
+    sheetTitle,
+    sheetRevision // From the title block
+  });
+
+  const sheets = [...bySheet.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([sheetNumber, revisions]) => {
+      revisions.sort((a, b) => compareRevisions(b.document, a.document));
+      const current = scope.currentBySheet.get(sheetNumber);
+      return {
+        sheetNumber,
+        current: current ? describe(revisions.find(revision => revision.document.id === current.id)) : null,
+        previous: revisions.filter(revision => !current || revision.document.id !== current.id).map(describe)
+      };
+    });
+
+  return {
+    asOf: scope.asOf ? { label: scope.asOf.label, date: scope.asOf.date } : null,
+    unresolvedAsOf: scope.unresolvedAsOf,
+    sheets
+  };
+}
+
+module.exports = {
+  compareRevisions,
+  getRevisionScope,
+  getSheetRevisions
+};
@@ -0,0 +1,410 @@
+const { runQuery, getQuery, getOneQuery } = require('../database');
+const ExcelJS = require('exceljs');
+const { findTables } = require('./layout');
+
+/**
+ * Door, hardware, window, room finish and equipment schedules. Tables are
+ * found in a drawing page's positioned text (or in its OCR text when the PDF
+ * has none) and stored row by row, so questions like "how many type B doors
+ * are on level 2" can be answered from the rows instead of flattened text.
+ */
+
+// Checked in order against a "... SCHEDULE" title, then (for untitled tables) the column headings
+const SCHEDULE_TYPES = [
+  { type: 'hardware', title: /\bHARDWARE\b/i, headings: null },
+  { type: 'door', title: /\bDOORS?\b/i, headings: /\bDOOR\b|\bFRAME\b/i },
+  { type: 'window', title: /\bWINDOWS?\b|\bGLAZING\b|\bSTOREFRONT\b/i, headings: /\bWINDOW\b|\bGLAZING\b|\bSILL\b/i },
+  { type: 'room_finish', title: /\bFINISH(?:ES)?\b/i, headings: /\bCEILING\b/i },
+  {
+    type: 'equipment',
+    title: /\bEQUIPMENT\b|\bFIXTURES?\b|\bFANS?\b|\bUNITS?\b|\bPANELS?\b|\bLIGHTING\b|\bPUMPS?\b/i,
+    headings: /\bEQUIPMENT\b|\bMODEL\b|\bMANUFACTURER\b|\bCFM\b|\bGPM\b|\bVOLTS?\b|\bHP\b|\bKW\b/i
+  }
+];
+
+const SCHEDULE_TITLE_PATTERN = /\bSCHEDULE\b/i;
+
+// Question words that point at each schedule type
+const QUESTION_TYPE_PATTERNS = {
+  door: /\bdoors?\b|\bframes?\b/i,
+  hardware: /\bhardware\b/i,
+  window: /\bwindows?\b|\bglazing\b/i,
+  room_finish: /\bfinish(?:es)?\b|\bflooring\b|\bceilings?\b/i,
+  equipment: /\bequipment\b|\bfixtures?\b|\bfans?\b|\bunits?\b|\bpumps?\b|\bpanels?\b/i
+};
+
+// A filter value can be this many words after the column name ("hardware set HW-2")
+const MAX_VALUE_DISTANCE = 3;
+
+// Limits on schedules placed in chat context
+const MAX_CONTEXT_SCHEDULES = 3;
+const MAX_CONTEXT_ROWS = 80;
+
+/**
+ * Schedule type from the table title or, for untitled tables, its headings.
+ * Returns null for tables that aren't schedules (revision blocks, legends).
+ */
+function classifySchedule(title, columns) {
+  if (title && SCHEDULE_TITLE_PATTERN.test(title)) {
+    const match = SCHEDULE_TYPES.find(({ title: pattern }) => pattern.test(title));
+    return match ? match.type : 'other';
+  }
+
+  const headings = columns.join(' ');
+  const match = SCHEDULE_TYPES.find(({ headings: pattern }) => pattern && pattern.test(headings));
+  return match ? match.type : null;
+}
+
+/**
+ * Put each segment of a row in the heading column it overlaps most
+ * (or, failing that, the column whose center is nearest)
+ */
+function assignCells(headings, segments) {
+  const cells = headings.map(() => []);
+
+  for (const segment of segments) {
+    let best = 0;
+    let bestScore = -Infinity;
+    headings.forEach((heading, index) => {
+      const overlap = Math.min(heading.x1, segment.x1) - Math.max(heading.x0, segment.x0);
+      const score = overlap > 0
+        ? overlap
+        : -Math.abs((heading.x0 + heading.x1) / 2 - (segment.x0 + segment.x1) / 2);
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+    cells[best].push(segment.text);
+  }
+
+  return cells.map(parts => parts.join(' '));
+}
+
+/**
+ * Schedules in a page's positioned text
+ * @param {object} layout - The page's { items } from services/layout
+ * @returns {Array<{ type, title, columns, rows: string[][] }>}
+ */
+function detectSchedules(layout) {
+  const schedules = [];
+
+  for (const table of findTables(layout.items)) {
+    const [headings, ...rows] = table.rows;
+    const columns = headings.map(heading => heading.text);
+    const type = classifySchedule(table.title, columns);
+    if (!type || rows.length === 0) {
+      continue;
+    }
+
+    schedules.push({
+      type,
+      title: table.title && SCHEDULE_TITLE_PATTERN.test(table.title) ? table.title : null,
+      columns,
+      rows: rows.map(segments => assignCells(headings, segments))
+    });
+  }
+
+  return schedules;
+}
+
+/**
+ * Schedules in OCR text, where columns are separated by runs of spaces
+ * (Tesseract runs with preserve_interword_spaces): a "... SCHEDULE" line,
+ * a heading line, then rows up to the next blank line
+ */
+function detectOcrSchedules(text) {
+  const lines = text.split('\n').map(line => line.trim());
+  const splitCells = line => line.split(/\s{2,}|\s*\|\s*/).filter(Boolean);
+  const schedules = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!SCHEDULE_TITLE_PATTERN.test(lines[i])) {
+      continue;
+    }
+
+    let start = i + 1;
+    while (start < lines.length && lines[start] && splitCells(lines[start]).length < 3) {
+      start++;
+    }
+    if (start >= lines.length || !lines[start]) {
+      continue;
+    }
+
+    const columns = splitCells(lines[start]);
+    const rows = [];
+    let end = start + 1;
+    for (; end < lines.length && lines[end]; end++) {
+      const cells = splitCells(lines[end]);
+      if (cells.length < 2) {
+        break;
+      }
+      // Extra cells (a heading OCR merged) go in the last column
+      const row = columns.map((column, index) => cells[index] || '');
+      if (cells.length > columns.length) {
+        row[columns.length - 1] = cells.slice(columns.length - 1).join(' ');
+      }
+      rows.push(row);
+    }
+
+    if (rows.length > 0) {
+      schedules.push({ type: classifySchedule(lines[i], columns), title: lines[i], columns, rows });
+    }
+    i = end;
+  }
+
+  return schedules;
+}
+
+/**
+ * Store the schedules found on a page
+ * @param {string} source - 'layout' or 'ocr'
+ */
+function saveSchedules(documentId, pageNumber, sheetNumber, schedules, source) {
+  for (const schedule of schedules) {
+    runQuery(
+      `INSERT INTO schedules (document_id, page_number, sheet_number, schedule_type, title, columns, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [documentId, pageNumber, sheetNumber, schedule.type, schedule.title, JSON.stringify(schedule.columns), source]
+    );
+    const { id } = getOneQuery('SELECT MAX(id) as id FROM schedules WHERE document_id = ?', [documentId]);
+
+    schedule.rows.forEach((row, index) => {
+      runQuery(
+        'INSERT INTO schedule_rows (schedule_id, row_index, mark, data) VALUES (?, ?, ?, ?)',
+        [id, index, row[0] || null, JSON.stringify(row)]
+      );
+    });
+  }
+}
+
+/**
+ * Look for schedules in a page's OCR text, unless the PDF text already gave
+ * the page's schedules. Replaces schedules from an earlier OCR run.
+ * @returns {number} schedules found
+ */
+function extractOcrSchedules(documentId, pageNumber, sheetNumber, ocrText) {
+  const fromLayout = getOneQuery(
+    "SELECT COUNT(*) as count FROM schedules WHERE document_id = ? AND page_number = ? AND source = 'layout'",
+    [documentId, pageNumber]
+  );
+  if (fromLayout.count > 0) {
+    return 0;
+  }
+
+  runQuery("DELETE FROM schedules WHERE document_id = ? AND page_number = ? AND source = 'ocr'", [documentId, pageNumber]);
+  const schedules = detectOcrSchedules(ocrText).filter(schedule => schedule.type);
+  saveSchedules(documentId, pageNumber, sheetNumber, schedules, 'ocr');
+  return schedules.length;
+}
+
+/**
+ * Schedules in a project with their rows
+ * @param {object} options - { type, sheetNumber, isCurrent(documentId, sheetNumber) }
+ * @returns {Array<{ id, documentId, filename, pageNumber, sheetNumber, type, title, columns, source, rows }>}
+ */
+function getProjectSchedules(projectId, { type = null, sheetNumber = null, isCurrent = () => true } = {}) {
+  const schedules = getQuery(`
+    SELECT s.*, d.filename
+    FROM schedules s
+    JOIN documents d ON s.document_id = d.id
+    WHERE d.project_id = ?
+    ORDER BY s.sheet_number ASC, s.document_id ASC, s.page_number ASC, s.id ASC
+  `, [projectId])
+    .filter(schedule => !type || schedule.schedule_type === type)
+    .filter(schedule => !sheetNumber || (schedule.sheet_number || '').toUpperCase() === sheetNumber.toUpperCase())
+    .filter(schedule => isCurrent(schedule.document_id, schedule.sheet_number));
+
+  if (schedules.length === 0) {
+    return [];
+  }
+
+  const rows = getQuery(
+    `SELECT schedule_id, mark, data FROM schedule_rows
+     WHERE schedule_id IN (${schedules.map(() => '?').join(', ')})
+     ORDER BY schedule_id ASC, row_index ASC`,
+    schedules.map(schedule => schedule.id)
+  );
+
+  return schedules.map(schedule => ({
+    id: schedule.id,
+    documentId: schedule.document_id,
+    filename: schedule.filename,
+    pageNumber: schedule.page_number,
+    sheetNumber: schedule.sheet_number,
+    type: schedule.schedule_type,
+    title: schedule.title,
+    columns: JSON.parse(schedule.columns),
+    source: schedule.source,
+    rows: rows.filter(row => row.schedule_id === schedule.id).map(row => JSON.parse(row.data))
+  }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether a word of a question is a value from a schedule column. Single
+ * letters must match in case, so "type a door" isn't read as TYPE = A.
+ */
+function isColumnValue(word, value) {
+  return value.length > 1 ? word.toUpperCase() === value.toUpperCase() : word === value;
+}
+
+/**
+ * Column filters named in a question: "type B" filters a TYPE column to B,
+ * "hardware set HW-2" a HARDWARE column to HW-2. Only values that occur in the
+ * column count, so "what hardware does door 101 have" isn't filtered. "level 2"
+ * filters a LEVEL/FLOOR column the same way; without a level column it matches
+ * rows whose mark is numbered in the 200s (201, 215A).
+ * @param {string} question
+ * @param {string[]} columns - Column headings
+ * @param {Array<string[]>} rows - Schedule rows
+ */
+function findRowFilters(question, columns, rows) {
+  const filters = [];
+
+  columns.forEach((column, index) => {
+    const name = column.replace(/[^A-Za-z0-9 ]/g, '').trim();
+    if (!name) {
+      return;
+    }
+    const match = question.match(new RegExp(`\\b${escapeRegExp(name)}s?\\s+((?:[A-Z0-9][\\w.-]*\\s*){1,${MAX_VALUE_DISTANCE}})`, 'i'));
+    if (!match) {
+      return;
+    }
+
+    const values = new Set(rows.map(row => (row[index] || '').trim()).filter(Boolean));
+    const words = match[1].trim().split(/\s+/).map(word => word.replace(/[.,]+$/, ''));
+    for (const word of words) {
+      const value = [...values].find(candidate => isColumnValue(word, candidate));
+      if (value) {
+        filters.push({ label: `${column} = ${value}`, test: row => (row[index] || '').trim().toUpperCase() === value.toUpperCase() });
+        return;
+      }
+    }
+  });
+
+  const level = question.match(/\b(?:level|floor|story)\s+(\d{1,2})\b/i);
+  const hasLevelColumn = columns.some(column => /\b(?:LEVEL|FLOOR|STORY)\b/i.test(column));
+  if (level && !hasLevelColumn) {
+    const markPattern = new RegExp(`^[A-Z]?${level[1]}\\d{2}[A-Z]?$`, 'i');
+    filters.push({ label: `level ${level[1]} (by number)`, test: row => markPattern.test((row[0] || '').replace(/[\s-]/g, '')) });
+  }
+
+  return filters;
+}
+
+/**
+ * Schedules a question is about, for the chat context. Each gets the rows
+ * matching any column filters in the question (see findRowFilters).
+ * @returns {Array} schedules from getProjectSchedules, plus { filters, matchingRows } when filtered
+ */
+function findSchedulesForQuestion(projectId, question, isCurrent = () => true) {
+  const types = Object.keys(QUESTION_TYPE_PATTERNS).filter(type => QUESTION_TYPE_PATTERNS[type].test(question));
+  if (types.length === 0 && !/\bschedules?\b/i.test(question)) {
+    return [];
+  }
+
+  return getProjectSchedules(projectId, { isCurrent })
+    .filter(schedule => types.length === 0 || types.includes(schedule.type))
+    .slice(0, MAX_CONTEXT_SCHEDULES)
+    .map(schedule => {
+      const filters = findRowFilters(question, schedule.columns, schedule.rows);
+      if (filters.length === 0) {
+        return schedule;
+      }
+      return {
+        ...schedule,
+        filters: filters.map(filter => filter.label),
+        matchingRows: schedule.rows.filter(row => filters.every(filter => filter.test(row)))
+      };
+    });
+}
+
+/**
+ * Schedule as plain text for the chat context: its rows (up to a limit) and,
+ * when the question filtered it, the count and marks of the matching rows
+ */
+function formatScheduleForContext(schedule) {
+  const location = schedule.sheetNumber ? `Sheet ${schedule.sheetNumber}` : `Page ${schedule.pageNumber}`;
+  const lines = [
+    `[Schedule: ${schedule.title || schedule.type}, ${schedule.filename}, ${location}, ${schedule.rows.length} rows]`,
+    schedule.columns.join(' | '),
+    ...schedule.rows.slice(0, MAX_CONTEXT_ROWS).map(row => row.join(' | '))
+  ];
+  if (schedule.rows.length > MAX_CONTEXT_ROWS) {
+    lines.push(`... ${schedule.rows.length - MAX_CONTEXT_ROWS} more rows`);
+  }
+  if (schedule.filters) {
+    lines.push(
+      `Rows where ${schedule.filters.join(' and ')}: ${schedule.matchingRows.length}` +
+      (schedule.matchingRows.length > 0 ? ` (${schedule.matchingRows.map(row => row[0]).join(', ')})` : '')
+    );
+  }
+  return lines.join('\n');
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * All schedules as CSV: a title line, the headings and the rows of each,
+ * separated by blank lines
+ */
+function formatSchedulesCsv(schedules) {
+  const blocks = schedules.map(schedule => [
+    [`${schedule.title || schedule.type}`, schedule.filename, schedule.sheetNumber || `Page ${schedule.pageNumber}`],
+    schedule.columns,
+    ...schedule.rows
+  ].map(row => row.map(csvValue).join(',')).join('\n'));
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * All schedules as an XLSX workbook, one worksheet per schedule
+ * @returns {Promise<Buffer>}
+ */
+async function formatSchedulesXlsx(schedules) {
+  const workbook = new ExcelJS.Workbook();
+  const usedNames = new Set();
+
+  for (const schedule of schedules) {
+    // Worksheet names: at most 31 characters, no []:*?/\ and unique
+    const base = `${schedule.sheetNumber || `p${schedule.pageNumber}`} ${schedule.title || schedule.type}`
+      .replace(/[[\]:*?/\\]/g, ' ')
+      .slice(0, 28)
+      .trim();
+    let name = base;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+      name = `${base} ${suffix}`;
+    }
+    usedNames.add(name.toLowerCase());
+
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.addRow(schedule.columns).font = { bold: true };
+    schedule.rows.forEach(row => worksheet.addRow(row));
+  }
+
+  if (schedules.length === 0) {
+    workbook.addWorksheet('Schedules');
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  detectSchedules,
+  detectOcrSchedules,
+  saveSchedules,
+  extractOcrSchedules,
+  getProjectSchedules,
+  findSchedulesForQuestion,
+  formatScheduleForContext,
+  formatSchedulesCsv,
+  formatSchedulesXlsx
+};
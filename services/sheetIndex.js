@@ -0,0 +1,237 @@
+const { getQuery } = require('../database');
+const { reconstructText, getPageLayout } = require('./layout');
+const { normalizeSheetNumber, getDocumentTitleBlocks } = require('./titleBlock');
+
+/**
+ * Sheet index check. The sheet index (usually on G-001) is read from the
+ * drawings and compared with the sheets actually found in the current set:
+ * sheets listed but not issued, sheets issued but not listed, titles that
+ * don't match the title block, and sheet numbers that appear twice.
+ */
+
+const INDEX_HEADING_PATTERN = /\b(?:SHEET|DRAWING)\s+(?:INDEX|LIST)\b|\b(?:LIST|INDEX)\s+OF\s+(?:DRAWINGS|SHEETS)\b/i;
+const SHEET_NUMBER_CELL = /^[A-Z]{1,3}[-\s]?\d{1,4}(?:\.\d+)?[A-Z]?$/i;
+// "A-101 FIRST FLOOR PLAN" on a line of its own, when the index isn't laid out as a table
+const SHEET_ENTRY_LINE = /^([A-Z]{1,3}-?\d{1,4}(?:\.\d+)?[A-Z]?)\s+(?:-\s+)?(.*[A-Z]{2,}.*)$/i;
+// Issue columns ("X", "●", "1", dates) next to the title aren't part of it
+const MIN_TITLE_LETTERS = 3;
+// An index page lists at least this many sheets, so a note mentioning the index doesn't count
+const MIN_INDEX_ENTRIES = 3;
+
+function hasTitleText(cell) {
+  return (cell.match(/[A-Z]/gi) || []).length >= MIN_TITLE_LETTERS;
+}
+
+function normalizeTitle(title) {
+  return (title || '')
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Sheet index entries on a page of text: table rows ("A-101 | FIRST FLOOR PLAN | X")
+ * where every sheet number cell starts an entry and the first wordy cell after
+ * it is its title, so side-by-side index columns are read too
+ * @returns {Array<{ sheetNumber, title }>}
+ */
+function parseSheetIndex(text) {
+  const entries = [];
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+
+    if (line.includes(' | ')) {
+      let entry = null;
+      for (const cell of line.split(' | ').map(part => part.trim())) {
+        if (SHEET_NUMBER_CELL.test(cell)) {
+          entry = { sheetNumber: normalizeSheetNumber(cell), title: null };
+          entries.push(entry);
+        } else if (entry && !entry.title && hasTitleText(cell)) {
+          entry.title = cell;
+        }
+      }
+      continue;
+    }
+
+    const match = line.match(SHEET_ENTRY_LINE);
+    if (match) {
+      entries.push({ sheetNumber: normalizeSheetNumber(match[1]), title: match[2].trim() });
+    }
+  }
+
+  // A sheet number on its own (a title block, a key plan) isn't an index entry
+  return entries.filter(entry => entry.title);
+}
+
+/**
+ * Text of a drawing page: rebuilt from its layout, or from its chunks for pages
+ * processed before layouts were kept
+ */
+function getPageText(documentId, pageNumber) {
+  const layout = getPageLayout(documentId, pageNumber);
+  if (layout) {
+    return reconstructText(layout.items);
+  }
+
+  const chunks = getQuery(
+    'SELECT content, char_start FROM chunks WHERE document_id = ? AND page_number = ? ORDER BY chunk_index ASC',
+    [documentId, pageNumber]
+  );
+  // Split pages overlap, so each chunk replaces the text from where it starts
+  let text = '';
+  for (const chunk of chunks) {
+    const start = chunk.char_start || 0;
+    text = text.length > start ? text.slice(0, start) + chunk.content : `${text}\n${chunk.content}`;
+  }
+  return text.trim();
+}
+
+/**
+ * Current drawing pages with their sheet number and title, and whether any of
+ * their text has a sheet index heading
+ */
+function getDrawingPages(projectId, isCurrent) {
+  const chunks = getQuery(`
+    SELECT c.document_id, d.filename, c.page_number, c.sheet_number, c.sheet_title, c.content
+    FROM chunks c
+    JOIN documents d ON c.document_id = d.id
+    WHERE d.project_id = ? AND d.type = 'drawing'
+    ORDER BY d.id ASC, c.page_number ASC, c.chunk_index ASC
+  `, [projectId]);
+
+  const byPage = new Map();
+  for (const chunk of chunks) {
+    const key = `${chunk.document_id}:${chunk.page_number}`;
+    if (!byPage.has(key)) {
+      byPage.set(key, { ...chunk, hasIndexHeading: false });
+    }
+    if (INDEX_HEADING_PATTERN.test(chunk.content)) {
+      byPage.get(key).hasIndexHeading = true;
+    }
+  }
+  const pages = Array.from(byPage.values()).filter(page => isCurrent(page.document_id, page.sheet_number));
+
+  // Title confidences, with overrides applied
+  const confidence = new Map();
+  for (const documentId of new Set(pages.map(page => page.document_id))) {
+    for (const titleBlock of getDocumentTitleBlocks(documentId)) {
+      confidence.set(`${documentId}:${titleBlock.pageNumber}`, titleBlock.confidence.sheetTitle ?? null);
+    }
+  }
+
+  return pages.map(page => ({
+    documentId: page.document_id,
+    filename: page.filename,
+    pageNumber: page.page_number,
+    sheetNumber: page.sheet_number ? normalizeSheetNumber(page.sheet_number) : null,
+    sheetTitle: page.sheet_title,
+    titleConfidence: confidence.get(`${page.document_id}:${page.page_number}`) ?? null,
+    hasIndexHeading: page.hasIndexHeading
+  }));
+}
+
+function describePage(page) {
+  return { documentId: page.documentId, filename: page.filename, pageNumber: page.pageNumber };
+}
+
+/**
+ * Compare the sheet index with the sheets in the current drawing set
+ * @param {number} projectId
+ * @param {function} isCurrent - Revision scope filter from getRevisionScope
+ * @returns {{ indexFound, indexPages, listed, issued, missing, extra, titleMismatches,
+ *   duplicates: { index, drawings }, unnumberedPages }}
+ */
+function checkSheetIndex(projectId, isCurrent = () => true) {
+  const pages = getDrawingPages(projectId, isCurrent);
+
+  // Index pages: pages with an index heading that list several sheets
+  const indexPages = [];
+  const entries = [];
+  for (const page of pages.filter(candidate => candidate.hasIndexHeading)) {
+    const pageEntries = parseSheetIndex(getPageText(page.documentId, page.pageNumber));
+    if (pageEntries.length >= MIN_INDEX_ENTRIES) {
+      indexPages.push({ ...describePage(page), sheetNumber: page.sheetNumber, entries: pageEntries.length });
+      entries.push(...pageEntries);
+    }
+  }
+
+  const listed = new Map();
+  const indexDuplicates = new Map();
+  for (const entry of entries) {
+    if (listed.has(entry.sheetNumber)) {
+      if (!indexDuplicates.has(entry.sheetNumber)) {
+        indexDuplicates.set(entry.sheetNumber, { sheetNumber: entry.sheetNumber, titles: [listed.get(entry.sheetNumber).title] });
+      }
+      indexDuplicates.get(entry.sheetNumber).titles.push(entry.title);
+    } else {
+      listed.set(entry.sheetNumber, entry);
+    }
+  }
+
+  const issued = new Map();
+  for (const page of pages.filter(candidate => candidate.sheetNumber)) {
+    if (!issued.has(page.sheetNumber)) {
+      issued.set(page.sheetNumber, []);
+    }
+    issued.get(page.sheetNumber).push(page);
+  }
+
+  const report = {
+    indexFound: indexPages.length > 0,
+    indexPages,
+    listed: listed.size,
+    issued: issued.size,
+    missing: [],
+    extra: [],
+    titleMismatches: [],
+    duplicates: {
+      index: Array.from(indexDuplicates.values()),
+      drawings: Array.from(issued.entries())
+        .filter(([, sheetPages]) => sheetPages.length > 1)
+        .map(([sheetNumber, sheetPages]) => ({ sheetNumber, pages: sheetPages.map(describePage) }))
+    },
+    unnumberedPages: pages.filter(page => !page.sheetNumber).map(describePage)
+  };
+
+  // Without an index there is nothing to compare the set against
+  if (!report.indexFound) {
+    return report;
+  }
+
+  for (const entry of listed.values()) {
+    const sheetPages = issued.get(entry.sheetNumber);
+    if (!sheetPages) {
+      report.missing.push({ sheetNumber: entry.sheetNumber, title: entry.title });
+      continue;
+    }
+
+    const page = sheetPages[0];
+    if (page.sheetTitle && normalizeTitle(page.sheetTitle) !== normalizeTitle(entry.title)) {
+      report.titleMismatches.push({
+        sheetNumber: entry.sheetNumber,
+        indexTitle: entry.title,
+        sheetTitle: page.sheetTitle,
+        titleConfidence: page.titleConfidence,
+        ...describePage(page)
+      });
+    }
+  }
+
+  for (const [sheetNumber, sheetPages] of issued) {
+    if (!listed.has(sheetNumber)) {
+      report.extra.push({ sheetNumber, title: sheetPages[0].sheetTitle, ...describePage(sheetPages[0]) });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  parseSheetIndex,
+  checkSheetIndex
+};
@@ -0,0 +1,184 @@
+const { getQuery, getOneQuery } = require('../database');
+const { getPageLayout } = require('./layout');
+const { normalizeSheetNumber } = require('./titleBlock');
+const { getRevisionScope } = require('./revisions');
+
+/**
+ * Links for the PDF viewer: where on a page its detail callouts ("3/A-501")
+ * and sheet references ("SEE A-501") are, which page each one opens (the
+ * current revision of the target sheet), and which pages call out this sheet.
+ */
+
+const DETAIL_REFERENCE_PATTERN = /\b(\d{1,2})\s*\/\s*([A-Z]{1,3}-?\d+(?:\.\d+)?)\b/gi;
+const SHEET_REFERENCE_PATTERN = /\b([A-Z]{1,3}-\d{1,4}(?:\.\d+)?)\b/gi;
+
+function detailKey(detailNumber, sheetNumber) {
+  return `${Number(detailNumber)}/${normalizeSheetNumber(sheetNumber)}`;
+}
+
+/**
+ * First page of the current revision of every sheet in the project
+ * @returns {Map<string, { documentId, filename, pageNumber, sheetNumber }>}
+ */
+function getSheetTargets(projectId, currentBySheet) {
+  const rows = getQuery(`
+    SELECT UPPER(c.sheet_number) as sheet_number, c.document_id, d.filename, MIN(c.page_number) as page_number
+    FROM chunks c
+    JOIN documents d ON c.document_id = d.id
+    WHERE d.project_id = ? AND c.sheet_number IS NOT NULL
+    GROUP BY c.document_id, UPPER(c.sheet_number)
+  `, [projectId]);
+
+  const targets = new Map();
+  for (const row of rows) {
+    const current = currentBySheet.get(row.sheet_number);
+    if (current && current.id === row.document_id) {
+      const sheetNumber = normalizeSheetNumber(row.sheet_number);
+      targets.set(sheetNumber, {
+        documentId: row.document_id,
+        filename: row.filename,
+        pageNumber: row.page_number,
+        sheetNumber
+      });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Box of the part of a text item a match covers, assuming evenly spaced characters
+ */
+function matchBox(item, index, length) {
+  const charWidth = item.width / item.text.length;
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    x: round(item.x + index * charWidth),
+    y: item.y,
+    width: round(length * charWidth),
+    height: item.height
+  };
+}
+
+/**
+ * Hotspots on a page: the callouts stored for it and references to sheets in
+ * the project, located in the page's positioned text
+ */
+function findHotspots(layout, pageSheet, calloutKeys, targets) {
+  const hotspots = [];
+
+  for (const item of layout.items) {
+    const covered = [];
+
+    for (const match of item.text.matchAll(DETAIL_REFERENCE_PATTERN)) {
+      const reference = detailKey(match[1], match[2]);
+      if (!calloutKeys.has(reference)) {
+        continue;
+      }
+      const targetSheet = normalizeSheetNumber(match[2]);
+      covered.push([match.index, match.index + match[0].length]);
+      hotspots.push({
+        kind: 'detail',
+        reference,
+        detailNumber: String(Number(match[1])),
+        targetSheet,
+        ...matchBox(item, match.index, match[0].length),
+        target: targets.get(targetSheet) || null
+      });
+    }
+
+    for (const match of item.text.matchAll(SHEET_REFERENCE_PATTERN)) {
+      const targetSheet = normalizeSheetNumber(match[1]);
+      const inDetail = covered.some(([start, end]) => match.index >= start && match.index < end);
+      // The title block's own sheet number isn't a link
+      if (inDetail || targetSheet === pageSheet || !targets.has(targetSheet)) {
+        continue;
+      }
+      hotspots.push({
+        kind: 'sheet',
+        reference: targetSheet,
+        detailNumber: null,
+        targetSheet,
+        ...matchBox(item, match.index, match[0].length),
+        target: targets.get(targetSheet)
+      });
+    }
+  }
+
+  return hotspots;
+}
+
+/**
+ * Pages in the current set with callouts to a sheet, other than the page itself
+ */
+function findBacklinks(projectId, sheetNumber, isCurrent, documentId, pageNumber) {
+  const callouts = getQuery(`
+    SELECT co.document_id, d.filename, co.page_number, co.sheet_number, co.detail_reference
+    FROM callouts co
+    JOIN documents d ON co.document_id = d.id
+    WHERE d.project_id = ? AND UPPER(co.target_sheet) = ?
+    ORDER BY co.sheet_number ASC, d.id ASC, co.page_number ASC
+  `, [projectId, sheetNumber.toUpperCase()])
+    .filter(callout => isCurrent(callout.document_id, callout.sheet_number))
+    .filter(callout => !(callout.document_id === documentId && callout.page_number === pageNumber));
+
+  const backlinks = new Map();
+  for (const callout of callouts) {
+    const key = `${callout.document_id}:${callout.page_number}`;
+    if (!backlinks.has(key)) {
+      backlinks.set(key, {
+        documentId: callout.document_id,
+        filename: callout.filename,
+        pageNumber: callout.page_number,
+        sheetNumber: callout.sheet_number,
+        references: []
+      });
+    }
+    const backlink = backlinks.get(key);
+    if (!backlink.references.includes(callout.detail_reference)) {
+      backlink.references.push(callout.detail_reference);
+    }
+  }
+  return Array.from(backlinks.values());
+}
+
+/**
+ * Hotspots and backlinks of one page
+ * @returns {{ documentId, pageNumber, sheetNumber, width, height, hotspots, backlinks }|null}
+ *   null if the document doesn't exist. Hotspot boxes are in PDF points from the
+ *   page's top-left corner, like the page layout; without a stored layout there are none.
+ */
+function getPageLinks(documentId, pageNumber) {
+  const document = getOneQuery('SELECT id, project_id FROM documents WHERE id = ?', [documentId]);
+  if (!document) {
+    return null;
+  }
+
+  const page = getOneQuery(
+    'SELECT sheet_number FROM chunks WHERE document_id = ? AND page_number = ? ORDER BY chunk_index ASC LIMIT 1',
+    [documentId, pageNumber]
+  );
+  const sheetNumber = page && page.sheet_number ? normalizeSheetNumber(page.sheet_number) : null;
+
+  const { isCurrent, currentBySheet } = getRevisionScope(document.project_id);
+  const targets = getSheetTargets(document.project_id, currentBySheet);
+  const calloutKeys = new Set(
+    getQuery('SELECT detail_number, target_sheet FROM callouts WHERE document_id = ? AND page_number = ? AND target_sheet IS NOT NULL', [documentId, pageNumber])
+      .map(callout => detailKey(callout.detail_number, callout.target_sheet))
+  );
+
+  const layout = getPageLayout(documentId, pageNumber);
+
+  return {
+    documentId,
+    pageNumber,
+    sheetNumber,
+    width: layout ? layout.width : null,
+    height: layout ? layout.height : null,
+    hotspots: layout ? findHotspots(layout, sheetNumber, calloutKeys, targets) : [],
+    backlinks: sheetNumber ? findBacklinks(document.project_id, sheetNumber, isCurrent, documentId, pageNumber) : []
+  };
+}
+
+module.exports = {
+  getPageLinks
+};
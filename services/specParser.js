@@ -0,0 +1,202 @@
+const { getMaxChunkChars } = require('./chunker');
+
+/**
+ * Parse specification text into CSI MasterFormat structure:
+ * Section (09 91 23) -> Part (1 GENERAL / 2 PRODUCTS / 3 EXECUTION) -> Article (2.3) -> Paragraph (B.)
+ */
+
+const SECTION_PATTERN = /^SECTION\s+(\d{2})\s?(\d{2})\s?(\d{2})(?:\.(\d{2}))?\b\s*(?:[-–—:]\s*)?(.*)$/i;
+const PART_PATTERN = /^PART\s+([1-3])\b\s*(?:[-–—:]\s*)?(.*)$/i;
+const ARTICLE_PATTERN = /^([1-3])\.(\d{1,2})\s+(.+)$/;
+const PARAGRAPH_PATTERN = /^([A-Z])\.\s+/;
+const END_OF_SECTION_PATTERN = /^END\s+OF\s+SECTION\b/i;
+// Page footers like "09 91 23 - 4"
+const FOOTER_PATTERN = /^\d{2}\s?\d{2}\s?\d{2}(?:\.\d{2})?\s*[-–—]\s*\d+$/;
+
+
+function isUpperCaseTitle(text) {
+  return /[A-Z]/.test(text) && text === text.toUpperCase();
+}
+
+function formatSectionNumber(division, level2, level3, level4) {
+  return `${division} ${level2} ${level3}${level4 ? `.${level4}` : ''}`;
+}
+
+/**
+ * Split an article's lines into chunks of about the chunk size limit, breaking
+ * only at paragraph starts (a single oversized paragraph is split later)
+ */
+function splitArticle(article) {
+  const maxChars = getMaxChunkChars();
+  const pieces = [];
+  let current = null;
+
+  for (const line of article.lines) {
+    const startsParagraph = PARAGRAPH_PATTERN.test(line.text);
+    if (!current || (startsParagraph && current.length + line.text.length > maxChars)) {
+      current = { lines: [], length: 0 };
+      pieces.push(current);
+    }
+    current.lines.push(line);
+    current.length += line.text.length + 1;
+  }
+
+  return pieces;
+}
+
+function buildArticleChunks(section, part, article) {
+  const header = [
+    `SECTION ${section.number}${section.title ? ` - ${section.title}` : ''}`,
+    part ? `PART ${part.number}${part.title ? ` - ${part.title}` : ''}` : null
+  ].filter(Boolean).join('\n');
+
+  const pieces = splitArticle(article);
+
+  return pieces.map((piece, index) => {
+    const paragraphPages = {};
+    for (const line of piece.lines) {
+      const match = line.text.match(PARAGRAPH_PATTERN);
+      if (match && !(match[1] in paragraphPages)) {
+        paragraphPages[match[1]] = line.pageNumber;
+      }
+    }
+
+    const heading = index === 0 ? [] : [`${article.number} ${article.title} (continued)`];
+    return {
+      pageNumber: piece.lines[0].pageNumber,
+      pageEnd: piece.lines[piece.lines.length - 1].pageNumber,
+      sectionNumber: section.number,
+      sectionTitle: section.title || null,
+      articleNumber: article.number,
+      articleTitle: article.title,
+      paragraphPages,
+      content: [header, ...heading, ...piece.lines.map(line => line.text)].join('\n')
+    };
+  });
+}
+
+/**
+ * Parse a specification into article-aligned chunks
+ * @param {Array<string[]>} pageLines - Lines of text for each page (index 0 = page 1)
+ * @returns {{ sections: Array<{number, title, pageNumber}>, chunks: Array }} chunks are
+ *   { pageNumber, pageEnd, sectionNumber, sectionTitle, articleNumber, articleTitle, paragraphPages, content };
+ *   text outside any article (cover, table of contents) becomes one chunk per page with no section metadata
+ */
+function parseSpecification(pageLines) {
+  const sections = [];
+  const chunks = [];
+  const looseLines = new Map();
+
+  let section = null;
+  let part = null;
+  let article = null;
+  let awaitingTitle = false;
+
+  const flushArticle = () => {
+    if (article) {
+      chunks.push(...buildArticleChunks(section, part, article));
+      article = null;
+    }
+  };
+
+  pageLines.forEach((lines, pageIndex) => {
+    const pageNumber = pageIndex + 1;
+
+    for (const rawLine of lines) {
+      const text = rawLine.trim();
+      if (!text || FOOTER_PATTERN.test(text)) {
+        continue;
+      }
+
+      // Inside a section, only an upper-case heading starts a new one; "Section 07 92 00"
+      // at the start of a wrapped line is a cross-reference
+      const sectionMatch = text.match(SECTION_PATTERN);
+      if (sectionMatch && (!section || text.startsWith('SECTION'))) {
+        const [, division, level2, level3, level4, title] = sectionMatch;
+        const number = formatSectionNumber(division, level2, level3, level4);
+
+        // Running page header repeating the current section
+        if (section && section.number === number) {
+          continue;
+        }
+
+        flushArticle();
+        section = { number, title: title.trim(), pageNumber };
+        sections.push(section);
+        part = null;
+        awaitingTitle = !section.title;
+        continue;
+      }
+
+      if (section && END_OF_SECTION_PATTERN.test(text)) {
+        flushArticle();
+        section = null;
+        part = null;
+        awaitingTitle = false;
+        continue;
+      }
+
+      if (!section) {
+        looseLines.set(pageNumber, [...(looseLines.get(pageNumber) || []), text]);
+        continue;
+      }
+
+      const partMatch = text.match(PART_PATTERN);
+      if (partMatch) {
+        flushArticle();
+        part = { number: partMatch[1], title: partMatch[2].trim() };
+        awaitingTitle = false;
+        continue;
+      }
+
+      // Title on the line after "SECTION 09 91 23"
+      if (awaitingTitle) {
+        section.title = text;
+        awaitingTitle = false;
+        continue;
+      }
+
+      // Article headings are numbered within their part ("2.3 PAINT MATERIALS"); wrapped
+      // paragraph text that happens to start with a number is not uppercase
+      const articleMatch = text.match(ARTICLE_PATTERN);
+      if (articleMatch && (!part || articleMatch[1] === part.number) && isUpperCaseTitle(articleMatch[3])) {
+        flushArticle();
+        article = {
+          number: `${articleMatch[1]}.${articleMatch[2]}`,
+          title: articleMatch[3].trim(),
+          lines: [{ text, pageNumber }]
+        };
+        continue;
+      }
+
+      if (article) {
+        article.lines.push({ text, pageNumber });
+      } else {
+        looseLines.set(pageNumber, [...(looseLines.get(pageNumber) || []), text]);
+      }
+    }
+  });
+  flushArticle();
+
+  for (const [pageNumber, lines] of looseLines) {
+    chunks.push({
+      pageNumber,
+      pageEnd: pageNumber,
+      sectionNumber: null,
+      sectionTitle: null,
+      articleNumber: null,
+      articleTitle: null,
+      paragraphPages: null,
+      content: lines.join('\n')
+    });
+  }
+
+  chunks.sort((a, b) => a.pageNumber - b.pageNumber);
+
+  return { sections, chunks };
+}
+
+module.exports = {
+  parseSpecification,
+  formatSectionNumber
+};
@@ -0,0 +1,407 @@
+const { runQuery, getQuery, getOneQuery, transaction } = require('../database');
+const { invalidateProjectIndex } = require('./vectorIndex');
+
+/**
+ * Read sheet metadata from a drawing's title block - the text in the lower-right
+ * corner or along the right edge of the page, located with the page layout's text positions.
+ * Every field gets a confidence score (0-1); manual overrides always win.
+ */
+
+// Title block field -> chunks / sheet_overrides column
+const TITLE_BLOCK_FIELDS = {
+  sheetNumber: 'sheet_number',
+  sheetTitle: 'sheet_title',
+  revision: 'sheet_revision',
+  revisionDate: 'sheet_revision_date',
+  discipline: 'discipline',
+  scale: 'drawing_scale',
+  projectNumber: 'project_number'
+};
+
+// Title blocks sit in the bottom-right corner or a strip along the right edge
+const REGION_MIN_X = 0.6;
+const REGION_MAX_Y = 0.35;
+const RIGHT_STRIP_MIN_X = 0.8;
+
+// Discipline designators from the sheet number prefix (US National CAD Standard)
+const DISCIPLINES = {
+  G: 'General',
+  H: 'Hazardous Materials',
+  V: 'Survey/Mapping',
+  B: 'Geotechnical',
+  W: 'Civil Works',
+  C: 'Civil',
+  L: 'Landscape',
+  S: 'Structural',
+  A: 'Architectural',
+  I: 'Interiors',
+  Q: 'Equipment',
+  F: 'Fire Protection',
+  P: 'Plumbing',
+  D: 'Process',
+  M: 'Mechanical',
+  E: 'Electrical',
+  T: 'Telecommunications',
+  R: 'Resource',
+  X: 'Other Disciplines',
+  Z: 'Contractor/Shop Drawings',
+  O: 'Operations'
+};
+
+const SHEET_NUMBER = '[A-Z]{1,3}[-\\s]?\\d+(?:\\.\\d+)?';
+const DATE = '\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|[A-Z]{3,9}\\.?\\s+\\d{1,2},?\\s+\\d{4}';
+const SCALE = `\\d+(?:/\\d+)?"\\s*=\\s*\\d+'(?:\\s*-\\s*\\d+(?:\\s+\\d+/\\d+)?")?|1\\s*:\\s*\\d+|AS\\s+(?:NOTED|SHOWN|INDICATED)|N\\.?T\\.?S\\.?|NOT\\s+TO\\s+SCALE|NONE`;
+
+// Label and value on one line ("SHEET NO: A-101"), or a label line with the value on the next
+const FIELD_PATTERNS = {
+  sheetNumber: {
+    inline: new RegExp(`^(?:SHEET|DRAWING|DWG\\.?)\\s*(?:NO\\.?|NUMBER|#)?\\s*:?\\s*(${SHEET_NUMBER})$`, 'i'),
+    label: /^(?:SHEET|DRAWING|DWG\.?)\s*(?:NO\.?|NUMBER|#)?\s*:?$/i,
+    value: new RegExp(`^(${SHEET_NUMBER})$`, 'i')
+  },
+  sheetTitle: {
+    inline: /^(?:SHEET|DRAWING)?\s*TITLE\s*:\s*(.+)$/i,
+    label: /^(?:SHEET|DRAWING)?\s*TITLE\s*:?$/i,
+    value: /^(.*[A-Z]{2}.*)$/i
+  },
+  scale: {
+    inline: new RegExp(`^SCALE\\s*:?\\s*(${SCALE})$`, 'i'),
+    label: /^SCALE\s*:?$/i,
+    value: new RegExp(`^(${SCALE})$`, 'i')
+  },
+  projectNumber: {
+    inline: /^(?:PROJECT|PROJ\.?|JOB|COMM(?:ISSION)?\.?)\s*(?:NO\.?|NUMBER|#)\s*:?\s*([A-Z0-9][A-Z0-9.\-/]*)$/i,
+    label: /^(?:PROJECT|PROJ\.?|JOB|COMM(?:ISSION)?\.?)\s*(?:NO\.?|NUMBER|#)\s*:?$/i,
+    value: /^([A-Z0-9][A-Z0-9.\-/]*)$/i
+  },
+  // "REV 2", "REV NO. 2", "REV: 2" or "REV 2  DATE: 2024-03-15" - a date after the revision is
+  // its revision date. The value must be set off from the label, so "REVISIONS" and "REV NO" aren't read as values.
+  revision: {
+    inline: new RegExp(`^REV(?:ISION)?\\.?(?:\\s*(?:NO(?:\\.|\\b)|#)\\s*:?\\s*|\\s*:\\s*|\\s+)(?!NOS?\\b)([A-Z0-9]{1,3})(?:\\s+(?:DATE\\s*:?\\s*)?(${DATE}))?$`, 'i'),
+    label: /^REV(?:ISION)?\.?\s*(?:NO\.?|#)?\s*:?$/i,
+    value: /^([A-Z0-9]{1,3})$/i
+  }
+};
+
+// Revision table: a "REV DATE DESCRIPTION" header followed by "2 03/15/2024 ADDENDUM 2" rows
+const REVISION_TABLE_HEADER_PATTERN = /^REV(?:ISION)?\.?\s*(?:NO\.?|#)?\s+DATE\b/i;
+const REVISION_ROW_PATTERN = new RegExp(`^([A-Z0-9]{1,3})\\s+(${DATE})\\b`, 'i');
+const DATE_LINE_PATTERN = new RegExp(`^(?:(?:ISSUE|PLOT)?\\s*DATE\\s*:?\\s*)?(${DATE})$`, 'i');
+
+function normalizeSheetNumber(value) {
+  return value.toUpperCase().replace(/\s+/g, '').replace(/^([A-Z]+)(\d)/, '$1-$2');
+}
+
+/**
+ * "03/15/2024", "3-15-24" or "March 15, 2024" -> "2024-03-15"; anything else is kept as written
+ */
+function normalizeDate(value) {
+  const numeric = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (numeric) {
+    const [, month, day, year] = numeric;
+    return `${year.length === 2 ? `20${year}` : year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString().slice(0, 10);
+}
+
+function getDiscipline(sheetNumber) {
+  return sheetNumber ? DISCIPLINES[sheetNumber[0]] || null : null;
+}
+
+/**
+ * Group the title block's text items into lines, top to bottom
+ */
+function getTitleBlockLines({ width, height, items }) {
+  const regionItems = items
+    .map(item => ({ text: item.text.trim(), x: item.x, y: item.y + item.height, size: item.height }))
+    .filter(item => item.text)
+    .filter(item =>
+      (item.x >= width * REGION_MIN_X && item.y >= height * (1 - REGION_MAX_Y)) || item.x >= width * RIGHT_STRIP_MIN_X
+    )
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of regionItems) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.max(2, Math.min(line.size, item.size) / 2)) {
+      line.items.push(item);
+      line.size = Math.max(line.size, item.size);
+    } else {
+      lines.push({ y: item.y, size: item.size, items: [item] });
+    }
+  }
+
+  return lines.map(line => ({
+    text: line.items.sort((a, b) => a.x - b.x).map(item => item.text).join(' '),
+    size: line.size
+  }));
+}
+
+/**
+ * Find a labeled field: "LABEL: value" on one line (0.95), or a label line
+ * followed by the value on the next line (0.9). Any further groups the inline
+ * pattern captured are returned as extra.
+ */
+function findLabeledValue(lines, patterns) {
+  for (let i = 0; i < lines.length; i++) {
+    const inline = lines[i].text.match(patterns.inline);
+    if (inline) {
+      return { value: inline[1].trim(), confidence: 0.95, line: i, extra: inline.slice(2) };
+    }
+
+    if (patterns.label.test(lines[i].text) && i + 1 < lines.length) {
+      const next = lines[i + 1].text.match(patterns.value);
+      if (next) {
+        return { value: next[1].trim(), confidence: 0.9, line: i + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract sheet metadata from one page's title block
+ * @param {object} layout - The page's { width, height, items } from services/layout
+ * @param {object} options - { fallbackSheetNumber } found elsewhere on the page,
+ *   used at low confidence when the title block has none
+ * @returns {{ fields: object, confidence: object }} fields are keyed like
+ *   TITLE_BLOCK_FIELDS; a field that wasn't found is null with confidence 0
+ */
+function extractTitleBlock(layout, { fallbackSheetNumber = null } = {}) {
+  const lines = getTitleBlockLines(layout);
+  const fields = {};
+  const confidence = {};
+  const usedLines = new Set();
+
+  const set = (field, value, score, line = null) => {
+    fields[field] = value;
+    confidence[field] = score;
+    if (line !== null) {
+      usedLines.add(line);
+    }
+  };
+
+  for (const field of Object.keys(FIELD_PATTERNS)) {
+    const found = findLabeledValue(lines, FIELD_PATTERNS[field]);
+    if (found) {
+      set(field, found.value, found.confidence, found.line);
+    }
+    if (field === 'revision' && found && found.extra && found.extra[0]) {
+      set('revisionDate', normalizeDate(found.extra[0]), found.confidence);
+    }
+  }
+
+  // Unlabeled sheet number: the largest sheet-number-shaped text in the title block,
+  // leaving out lines another field was read from and field labels ("REV 2" is shaped like one)
+  if (!fields.sheetNumber) {
+    const isFieldText = text => Object.values(FIELD_PATTERNS).some(patterns => patterns.inline.test(text) || patterns.label.test(text));
+    const candidates = lines
+      .map((line, index) => ({ ...line, index }))
+      .filter(line => !usedLines.has(line.index) && !isFieldText(line.text))
+      .filter(line => FIELD_PATTERNS.sheetNumber.value.test(line.text))
+      .sort((a, b) => b.size - a.size);
+    if (candidates.length > 0) {
+      const ambiguous = candidates.length > 1 && candidates[1].size === candidates[0].size;
+      set('sheetNumber', candidates[0].text, ambiguous ? 0.5 : 0.75, candidates[0].index);
+    }
+  }
+  if (fields.sheetNumber) {
+    fields.sheetNumber = normalizeSheetNumber(fields.sheetNumber);
+  } else if (fallbackSheetNumber) {
+    set('sheetNumber', fallbackSheetNumber, 0.3);
+  }
+
+  // The latest row of a revision table gives the revision and its date
+  const headerIndex = lines.findIndex(line => REVISION_TABLE_HEADER_PATTERN.test(line.text));
+  if (headerIndex >= 0) {
+    const rows = lines.slice(headerIndex + 1)
+      .map(line => line.text.match(REVISION_ROW_PATTERN))
+      .filter(Boolean)
+      .map(match => ({ revision: match[1], date: normalizeDate(match[2]) }))
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    const latest = rows[rows.length - 1];
+    if (latest) {
+      set('revision', latest.revision, 0.8);
+      set('revisionDate', latest.date, 0.8);
+    }
+    usedLines.add(headerIndex);
+  }
+
+  if (!fields.revisionDate) {
+    const dateLine = lines.find(line => DATE_LINE_PATTERN.test(line.text));
+    if (dateLine) {
+      set('revisionDate', normalizeDate(dateLine.text.match(DATE_LINE_PATTERN)[1]), 0.5);
+    }
+  }
+
+  if (!fields.scale) {
+    const scaleLine = lines.find(line => FIELD_PATTERNS.scale.value.test(line.text));
+    if (scaleLine) {
+      set('scale', scaleLine.text, 0.5);
+    }
+  }
+
+  // Unlabeled title: the largest remaining line of words that isn't a field label ("SHEET NO.")
+  if (!fields.sheetTitle) {
+    const isLabel = text => Object.values(FIELD_PATTERNS).some(patterns => patterns.label.test(text));
+    const candidates = lines
+      .map((line, index) => ({ ...line, index }))
+      .filter(line => !usedLines.has(line.index) && !isLabel(line.text))
+      .filter(line => /[A-Z]{3,}.*\s+[A-Z]{2,}/i.test(line.text) && !/\d{2,}/.test(line.text))
+      .sort((a, b) => b.size - a.size);
+    if (candidates.length > 0) {
+      set('sheetTitle', candidates[0].text, 0.4);
+    }
+  }
+
+  if (fields.sheetNumber && getDiscipline(fields.sheetNumber)) {
+    set('discipline', getDiscipline(fields.sheetNumber), confidence.sheetNumber);
+  }
+
+  const result = { fields: {}, confidence: {} };
+  for (const field of Object.keys(TITLE_BLOCK_FIELDS)) {
+    result.fields[field] = fields[field] || null;
+    result.confidence[field] = confidence[field] || 0;
+  }
+  return result;
+}
+
+/**
+ * Apply manual overrides (a sheet_overrides row) on top of extracted fields.
+ * Overridden fields get confidence 1; a sheet number override also sets the
+ * discipline unless that is overridden too.
+ */
+function applyOverrides(titleBlock, override) {
+  const fields = { ...titleBlock.fields };
+  const confidence = { ...titleBlock.confidence };
+  const overridden = [];
+
+  if (override) {
+    for (const [field, column] of Object.entries(TITLE_BLOCK_FIELDS)) {
+      if (override[column] !== null && override[column] !== undefined) {
+        fields[field] = override[column];
+        confidence[field] = 1;
+        overridden.push(field);
+      }
+    }
+    if (overridden.includes('sheetNumber') && !overridden.includes('discipline')) {
+      fields.discipline = getDiscipline(fields.sheetNumber);
+      confidence.discipline = fields.discipline ? 1 : 0;
+    }
+  }
+
+  return { fields, confidence, overridden };
+}
+
+/**
+ * Title block data for every page of a document: what was extracted, the
+ * manual overrides, and the values in effect
+ */
+function getDocumentTitleBlocks(documentId) {
+  const pages = getQuery(`
+    SELECT page_number, title_block, ${Object.values(TITLE_BLOCK_FIELDS).join(', ')}
+    FROM chunks
+    WHERE document_id = ? AND title_block IS NOT NULL
+    GROUP BY page_number
+    ORDER BY page_number ASC
+  `, [documentId]);
+  const overrides = new Map(
+    getQuery('SELECT * FROM sheet_overrides WHERE document_id = ?', [documentId]).map(row => [row.page_number, row])
+  );
+
+  return pages.map(page => {
+    const extracted = page.title_block ? JSON.parse(page.title_block) : { fields: {}, confidence: {} };
+    const override = overrides.get(page.page_number) || null;
+    const effective = applyOverrides(extracted, override);
+
+    return {
+      pageNumber: page.page_number,
+      ...effective.fields,
+      confidence: effective.confidence,
+      overridden: effective.overridden,
+      extracted: extracted.fields
+    };
+  });
+}
+
+/**
+ * Write a page's effective title block values to its chunks (and the sheet
+ * number to its callouts and schedules) after its overrides change
+ */
+function applyPageTitleBlock(documentId, pageNumber) {
+  const chunk = getOneQuery(
+    'SELECT title_block FROM chunks WHERE document_id = ? AND page_number = ? AND title_block IS NOT NULL ORDER BY chunk_index ASC LIMIT 1',
+    [documentId, pageNumber]
+  );
+  if (!chunk) {
+    return null;
+  }
+
+  const extracted = chunk.title_block ? JSON.parse(chunk.title_block) : { fields: {}, confidence: {} };
+  const override = getOneQuery('SELECT * FROM sheet_overrides WHERE document_id = ? AND page_number = ?', [documentId, pageNumber]);
+  const { fields } = applyOverrides(extracted, override);
+
+  transaction(() => {
+    const columns = Object.entries(TITLE_BLOCK_FIELDS);
+    runQuery(
+      `UPDATE chunks SET ${columns.map(([, column]) => `${column} = ?`).join(', ')}
+       WHERE document_id = ? AND page_number = ? AND title_block IS NOT NULL`,
+      [...columns.map(([field]) => fields[field] || null), documentId, pageNumber]
+    );
+    runQuery(
+      'UPDATE callouts SET sheet_number = ? WHERE document_id = ? AND page_number = ?',
+      [fields.sheetNumber || null, documentId, pageNumber]
+    );
+    runQuery(
+      'UPDATE schedules SET sheet_number = ? WHERE document_id = ? AND page_number = ?',
+      [fields.sheetNumber || null, documentId, pageNumber]
+    );
+  });
+
+  const document = getOneQuery('SELECT project_id FROM documents WHERE id = ?', [documentId]);
+  invalidateProjectIndex(document.project_id);
+
+  return getDocumentTitleBlocks(documentId).find(page => page.pageNumber === pageNumber) || null;
+}
+
+/**
+ * Set (or with null, clear) manual overrides for a page's title block fields.
+ * Fields left out keep their current override.
+ */
+function setTitleBlockOverrides(documentId, pageNumber, overrides) {
+  const existing = getOneQuery('SELECT * FROM sheet_overrides WHERE document_id = ? AND page_number = ?', [documentId, pageNumber]);
+  const values = Object.entries(TITLE_BLOCK_FIELDS).map(([field, column]) =>
+    field in overrides ? overrides[field] : (existing ? existing[column] : null)
+  );
+
+  if (values.every(value => value === null)) {
+    runQuery('DELETE FROM sheet_overrides WHERE document_id = ? AND page_number = ?', [documentId, pageNumber]);
+  } else if (existing) {
+    runQuery(
+      `UPDATE sheet_overrides SET ${Object.values(TITLE_BLOCK_FIELDS).map(column => `${column} = ?`).join(', ')}, updated_at = datetime("now")
+       WHERE id = ?`,
+      [...values, existing.id]
+    );
+  } else {
+    runQuery(
+      `INSERT INTO sheet_overrides (document_id, page_number, ${Object.values(TITLE_BLOCK_FIELDS).join(', ')})
+       VALUES (?, ?, ${values.map(() => '?').join(', ')})`,
+      [documentId, pageNumber, ...values]
+    );
+  }
+
+  return applyPageTitleBlock(documentId, pageNumber);
+}
+
+module.exports = {
+  TITLE_BLOCK_FIELDS,
+  extractTitleBlock,
+  applyOverrides,
+  normalizeSheetNumber,
+  getDocumentTitleBlocks,
+  setTitleBlockOverrides
+};
@@ -0,0 +1,223 @@
+const { runQuery, getQuery, getOneQuery } = require('../database');
+
+/**
+ * Usage ledger: one row per LLM or embedding call, with the tokens the API
+ * reported, its cost from the model's price in config/providers.json, and the
+ * project, chat and answer it was made for. Callers pass a usage scope
+ * ({ projectId, chatId, stage, ids }) down to the call; recorded row IDs are
+ * added to scope.ids so they can be linked to the answer once it is saved.
+ * A project's monthly budget is checked before each call.
+ */
+
+// Characters per token, for calls whose response has no token counts
+const CHARS_PER_TOKEN = 4;
+
+// Cents, or tenths of a cent for amounts under a dollar
+function formatUsd(amount) {
+  return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+class BudgetExceededError extends Error {
+  constructor(projectId, budget, spent) {
+    super(`Monthly budget of ${formatUsd(budget)} for project ${projectId} is used up (${formatUsd(spent)} spent this month)`);
+    this.name = 'BudgetExceededError';
+    this.status = 402;
+  }
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Cost in USD of a call
+ * @param {{ input, output }|null} pricing - USD per million tokens
+ * @returns {number|null} null when the model has no price
+ */
+function computeCost(pricing, inputTokens, outputTokens) {
+  if (!pricing) {
+    return null;
+  }
+  return ((inputTokens * (pricing.input || 0)) + (outputTokens * (pricing.output || 0))) / 1e6;
+}
+
+/**
+ * Record a call in the ledger
+ * @param {object} scope - { projectId, chatId, stage, ids }; nothing is recorded without a projectId
+ * @param {object} call - { stage, provider, model, inputTokens, outputTokens, pricing, estimated };
+ *   stage defaults to the scope's
+ * @returns {number|null} The ledger row ID
+ */
+function recordUsage(scope, { stage, provider, model, inputTokens = 0, outputTokens = 0, pricing = null, estimated = false }) {
+  if (!scope || !scope.projectId) {
+    return null;
+  }
+
+  runQuery(
+    `INSERT INTO llm_usage (project_id, chat_id, stage, provider, model, input_tokens, output_tokens, cost, estimated, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))`,
+    [scope.projectId, scope.chatId || null, stage || scope.stage || 'other', provider, model,
+      inputTokens, outputTokens, computeCost(pricing, inputTokens, outputTokens), estimated ? 1 : 0]
+  );
+  const { id } = getOneQuery('SELECT MAX(id) as id FROM llm_usage');
+
+  if (Array.isArray(scope.ids)) {
+    scope.ids.push(id);
+  }
+  return id;
+}
+
+/**
+ * The same scope for the calls of one stage
+ */
+function forStage(scope, stage) {
+  return scope ? { ...scope, stage } : null;
+}
+
+/**
+ * Attribute recorded calls to the answer they went into
+ */
+function linkUsageToMessage(ids, messageId) {
+  if (!ids || ids.length === 0) {
+    return;
+  }
+  runQuery(`UPDATE llm_usage SET message_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`, [messageId, ...ids]);
+}
+
+/**
+ * Total cost of recorded calls
+ */
+function getUsageCost(ids) {
+  if (!ids || ids.length === 0) {
+    return 0;
+  }
+  const row = getOneQuery(`SELECT SUM(cost) as cost FROM llm_usage WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  return roundCost(row.cost || 0);
+}
+
+/**
+ * Average cost of the last calls of a stage with a model, across projects
+ * (fake provider calls are free and left out)
+ * @returns {number|null} null when there are no priced calls yet
+ */
+function getAverageCost(stage, model, sampleSize = 50) {
+  const row = getOneQuery(`
+    SELECT AVG(cost) as cost, COUNT(*) as calls FROM (
+      SELECT cost FROM llm_usage WHERE stage = ? AND model = ? AND provider != 'fake' AND cost IS NOT NULL ORDER BY id DESC LIMIT ?
+    )
+  `, [stage, model, sampleSize]);
+  return row.calls > 0 ? row.cost : null;
+}
+
+/**
+ * A project's monthly budget and spending in the current calendar month (UTC)
+ * @returns {{ monthly, spentThisMonth, remaining, exceeded }|null} null if the project doesn't exist;
+ *   monthly, remaining are null without a budget
+ */
+function getBudgetStatus(projectId) {
+  const project = getOneQuery('SELECT monthly_budget FROM projects WHERE id = ?', [projectId]);
+  if (!project) {
+    return null;
+  }
+
+  const { spent } = getOneQuery(
+    "SELECT COALESCE(SUM(cost), 0) as spent FROM llm_usage WHERE project_id = ? AND created_at >= datetime('now', 'start of month')",
+    [projectId]
+  );
+  const monthly = project.monthly_budget;
+
+  return {
+    monthly,
+    spentThisMonth: roundCost(spent),
+    remaining: monthly === null ? null : roundCost(Math.max(0, monthly - spent)),
+    exceeded: monthly !== null && spent >= monthly
+  };
+}
+
+/**
+ * Throw BudgetExceededError when the project has spent its monthly budget
+ */
+function assertWithinBudget(projectId) {
+  if (!projectId) {
+    return;
+  }
+  const status = getBudgetStatus(projectId);
+  if (status && status.exceeded) {
+    throw new BudgetExceededError(projectId, status.monthly, status.spentThisMonth);
+  }
+}
+
+/**
+ * Set or clear (null) a project's monthly budget in USD
+ */
+function setMonthlyBudget(projectId, budget) {
+  runQuery('UPDATE projects SET monthly_budget = ? WHERE id = ?', [budget, projectId]);
+  return getBudgetStatus(projectId);
+}
+
+function summarize(row) {
+  return {
+    calls: row.calls,
+    inputTokens: row.input_tokens || 0,
+    outputTokens: row.output_tokens || 0,
+    cost: roundCost(row.cost || 0),
+    estimatedCalls: row.estimated_calls || 0,
+    unpricedCalls: row.unpriced_calls || 0
+  };
+}
+
+/**
+ * A project's usage between two dates, with daily, per-stage, per-model and per-chat totals
+ * @param {object} range - { from, to } as YYYY-MM-DD (UTC, inclusive); defaults to the current month
+ */
+function getProjectUsage(projectId, { from = null, to = null } = {}) {
+  const range = getOneQuery(
+    "SELECT COALESCE(?, date('now', 'start of month')) as from_date, COALESCE(?, date('now')) as to_date",
+    [from, to]
+  );
+  const where = 'WHERE project_id = ? AND date(created_at) BETWEEN ? AND ?';
+  const params = [projectId, range.from_date, range.to_date];
+  const totals = `
+    COUNT(*) as calls,
+    SUM(input_tokens) as input_tokens,
+    SUM(output_tokens) as output_tokens,
+    SUM(cost) as cost,
+    SUM(estimated) as estimated_calls,
+    SUM(CASE WHEN cost IS NULL THEN 1 ELSE 0 END) as unpriced_calls
+  `;
+  const groupBy = (columns) => getQuery(
+    `SELECT ${columns}, ${totals} FROM llm_usage ${where} GROUP BY ${columns} ORDER BY ${columns}`,
+    params
+  );
+
+  return {
+    projectId: Number(projectId),
+    from: range.from_date,
+    to: range.to_date,
+    totals: summarize(getOneQuery(`SELECT ${totals} FROM llm_usage ${where}`, params)),
+    byDay: groupBy('date(created_at)').map(row => ({ date: row['date(created_at)'], ...summarize(row) })),
+    byStage: groupBy('stage').map(row => ({ stage: row.stage, ...summarize(row) })),
+    byModel: groupBy('provider, model').map(row => ({ provider: row.provider, model: row.model, ...summarize(row) })),
+    // Calls outside chats (processing, vision) have a null chatId
+    byChat: groupBy('chat_id').map(row => ({ chatId: row.chat_id, ...summarize(row) })),
+    budget: getBudgetStatus(projectId)
+  };
+}
+
+module.exports = {
+  BudgetExceededError,
+  estimateTokens,
+  recordUsage,
+  forStage,
+  linkUsageToMessage,
+  getUsageCost,
+  getAverageCost,
+  getBudgetStatus,
+  assertWithinBudget,
+  setMonthlyBudget,
+  getProjectUsage
+};
@@ -0,0 +1,181 @@
+const { getQuery } = require('../database');
+
+// Per-project search indexes, built on first search and dropped whenever the
+// project's chunks, visual findings or embeddings change
+const indexes = new Map();
+
+/**
+ * Encode an embedding as a Float32 BLOB for storage
+ * @param {number[]} embedding
+ * @returns {Uint8Array}
+ */
+function encodeEmbedding(embedding) {
+  return new Uint8Array(Float32Array.from(embedding).buffer);
+}
+
+/**
+ * Decode a stored embedding. Accepts Float32 BLOBs and legacy JSON strings.
+ * @returns {Float32Array|null}
+ */
+function decodeEmbedding(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    return Float32Array.from(JSON.parse(value));
+  }
+
+  // Float32Array views need a 4-byte aligned offset
+  const bytes = value.byteOffset % 4 === 0 ? value : value.slice();
+  return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+
+  const normalized = new Float32Array(vector.length);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      normalized[i] = vector[i] / norm;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Load every embedded chunk and visual finding of a project into one
+ * contiguous matrix of unit vectors, so similarity is a plain dot product.
+ */
+function buildIndex(projectId) {
+  const startedAt = Date.now();
+
+  const rows = [
+    ...getQuery(`
+      SELECT c.id, c.document_id, c.sheet_number, c.embedding, 'chunk' as source_type
+      FROM chunks c
+      JOIN documents d ON c.document_id = d.id
+      WHERE d.project_id = ? AND c.embedding IS NOT NULL
+    `, [projectId]),
+    ...getQuery(`
+      SELECT vf.id, vf.document_id, vf.sheet_number, vf.embedding, 'visual_finding' as source_type
+      FROM visual_findings vf
+      JOIN documents d ON vf.document_id = d.id
+      WHERE d.project_id = ? AND vf.embedding IS NOT NULL
+    `, [projectId])
+  ];
+
+  const vectors = [];
+  const entries = [];
+  let dimensions = 0;
+
+  for (const row of rows) {
+    const vector = decodeEmbedding(row.embedding);
+    if (!vector || vector.length === 0) {
+      continue;
+    }
+
+    dimensions = dimensions || vector.length;
+    if (vector.length !== dimensions) {
+      console.warn(`Skipping ${row.source_type} ${row.id}: embedding has ${vector.length} dimensions, expected ${dimensions}`);
+      continue;
+    }
+
+    vectors.push(normalize(vector));
+    entries.push({ id: row.id, sourceType: row.source_type, documentId: row.document_id, sheetNumber: row.sheet_number });
+  }
+
+  const matrix = new Float32Array(entries.length * dimensions);
+  vectors.forEach((vector, i) => matrix.set(vector, i * dimensions));
+
+  console.log(`Built vector index for project ${projectId}: ${entries.length} vectors in ${Date.now() - startedAt}ms`);
+
+  return { dimensions, entries, matrix };
+}
+
+function getProjectIndex(projectId) {
+  const key = String(projectId);
+  if (!indexes.has(key)) {
+    indexes.set(key, buildIndex(projectId));
+  }
+  return indexes.get(key);
+}
+
+/**
+ * Drop a project's index; it is rebuilt on the next search
+ */
+function invalidateProjectIndex(projectId) {
+  indexes.delete(String(projectId));
+}
+
+/**
+ * Drop the index of the project a document belongs to
+ */
+function invalidateDocumentIndex(documentId) {
+  const rows = getQuery('SELECT project_id FROM documents WHERE id = ?', [documentId]);
+  if (rows.length > 0) {
+    invalidateProjectIndex(rows[0].project_id);
+  }
+}
+
+/**
+ * Find the nearest neighbours of a query embedding
+ * @param {number} projectId
+ * @param {number[]} queryEmbedding
+ * @param {object} options - { topK, sourceTypes, filter } - sourceTypes limits results to 'chunk' and/or
+ *   'visual_finding'; filter(documentId, sheetNumber) drops entries it returns false for
+ * @returns {Array<{id, sourceType, similarity}>} best matches first
+ */
+function searchProjectIndex(projectId, queryEmbedding, { topK = 10, sourceTypes = null, filter = null } = {}) {
+  const { dimensions, entries, matrix } = getProjectIndex(projectId);
+  if (entries.length === 0) {
+    return [];
+  }
+  if (queryEmbedding.length !== dimensions) {
+    throw new Error(`Query embedding has ${queryEmbedding.length} dimensions but the index has ${dimensions}`);
+  }
+
+  const query = normalize(queryEmbedding);
+
+  // Keep a small sorted list of the best K instead of sorting every score
+  const best = [];
+  for (let i = 0; i < entries.length; i++) {
+    if (sourceTypes && !sourceTypes.includes(entries[i].sourceType)) {
+      continue;
+    }
+    if (filter && !filter(entries[i].documentId, entries[i].sheetNumber)) {
+      continue;
+    }
+
+    let score = 0;
+    const offset = i * dimensions;
+    for (let d = 0; d < dimensions; d++) {
+      score += matrix[offset + d] * query[d];
+    }
+
+    if (best.length < topK || score > best[best.length - 1].similarity) {
+      let position = best.length;
+      while (position > 0 && best[position - 1].similarity < score) {
+        position--;
+      }
+      best.splice(position, 0, { id: entries[i].id, sourceType: entries[i].sourceType, similarity: score });
+      if (best.length > topK) {
+        best.pop();
+      }
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  encodeEmbedding,
+  decodeEmbedding,
+  invalidateProjectIndex,
+  invalidateDocumentIndex,
+  searchProjectIndex
+};
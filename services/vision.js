@@ -1,12 +1,13 @@
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
 const { getQuery, runQuery } = require('../database');
 const { visualFindingsToText } = require('../embeddings');
+const { encodeEmbedding, invalidateDocumentIndex } = require('./vectorIndex');
+const { resolveModel, getModelConfig, getDefaultModel, getUsageProvider, createEmbeddings } = require('./providers');
+const { recordUsage, forStage, assertWithinBudget, getAverageCost, estimateTokens } = require('./usage');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Per-image cost until analyses with the vision model have been recorded (GPT-4o estimate)
+const DEFAULT_COST_PER_IMAGE = 0.008;
 
 // Construction element taxonomy for comprehensive detection
 const CONSTRUCTION_ELEMENTS = {
@@ -69,18 +70,46 @@ function toDataUrl(imagePath) {
   return `data:${mime};base64,${buffer.toString('base64')}`;
 }
 
-async function analyzeImage(imagePath, context) {
+// The configured vision model (GPT-4o-mini by default, for lower cost; set VISION_MODEL env var to override)
+function getVisionModelId() {
+  return process.env.VISION_MODEL || getDefaultModel('vision');
+}
+
+/**
+ * Expected cost of analyzing one image: the average recorded cost of analyses
+ * with the vision model, or a flat estimate until there are some
+ * @returns {{ perImage, basis: 'recorded'|'default', model }}
+ */
+function estimateVisionCost() {
+  const modelId = getVisionModelId();
+  const model = modelId ? getModelConfig(modelId) : null;
+  const recorded = model ? getAverageCost('vision', model.model) : null;
+
+  return recorded !== null
+    ? { perImage: recorded, basis: 'recorded', model: modelId }
+    : { perImage: DEFAULT_COST_PER_IMAGE, basis: 'default', model: modelId };
+}
+
+async function analyzeImage(imagePath, context, usage) {
   const dataUrl = toDataUrl(imagePath);
-  // Use GPT-4o-mini for lower cost (set VISION_MODEL env var to override)
-  const model = process.env.VISION_MODEL || 'gpt-4o-mini'; // Changed default to mini
+  const modelId = getVisionModelId();
+  if (!modelId) {
+    throw new Error('No vision model available: configure a provider with a vision model');
+  }
+  const model = resolveModel(modelId);
+  if (!model.vision || model.providerType === 'anthropic') {
+    throw new Error(`Model ${model.id} can't be used for vision analysis: it needs image input over an OpenAI-compatible API`);
+  }
+  assertWithinBudget(usage.projectId);
 
-  const response = await openai.chat.completions.create({
-    model: model,
+  const prompt = buildVisionPrompt(context);
+  const response = await model.client.chat.completions.create({
+    model: model.model,
     messages: [
       {
         role: 'user',
         content: [
-          { type: 'text', text: buildVisionPrompt(context) },
+          { type: 'text', text: prompt },
           { type: 'image_url', image_url: { url: dataUrl } }
         ]
       }
@@ -89,7 +118,17 @@ async function analyzeImage(imagePath, context) {
     max_tokens: 1500  // Increased for more detailed analysis
   });
 
-  return response.choices[0].message.content;
+  const content = response.choices[0].message.content;
+  // Without reported counts, the image's tokens are missing from the estimate
+  recordUsage(usage, {
+    provider: getUsageProvider(model.provider),
+    model: model.model,
+    inputTokens: response.usage ? response.usage.prompt_tokens : estimateTokens(prompt),
+    outputTokens: response.usage ? response.usage.completion_tokens : estimateTokens(content),
+    pricing: model.pricing,
+    estimated: !response.usage
+  });
+  return content;
 }
 
 function parseVisionResponse(raw) {
@@ -149,7 +188,7 @@ function classifySheetType(sheetNumber, pageText = '') {
   return 'unknown';
 }
 
-async function saveVisualFinding(documentId, pageNumber, sheetNumber, sheetType, findings) {
+async function saveVisualFinding(documentId, pageNumber, sheetNumber, sheetType, findings, usage) {
   // Save findings first
   runQuery(
     `INSERT INTO visual_findings (document_id, page_number, sheet_number, sheet_type, findings)
@@ -160,10 +199,7 @@ async function saveVisualFinding(documentId, pageNumber, sheetNumber, sheetType,
   // Generate and save embedding for the findings
   try {
     const findingsText = visualFindingsToText(findings);
-    const embeddingResponse = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: findingsText
-    });
+    const embeddingResponse = await createEmbeddings(findingsText, forStage(usage, 'embeddings'));
 
     const embedding = embeddingResponse.data[0].embedding;
 
@@ -172,17 +208,26 @@ async function saveVisualFinding(documentId, pageNumber, sheetNumber, sheetType,
       `UPDATE visual_findings
        SET embedding = ?
        WHERE document_id = ? AND page_number = ? AND sheet_number = ?`,
-      [JSON.stringify(embedding), documentId, pageNumber, sheetNumber]
+      [encodeEmbedding(embedding), documentId, pageNumber, sheetNumber]
     );
+    invalidateDocumentIndex(documentId);
   } catch (error) {
     console.error('Error generating embedding for visual finding:', error.message);
     // Continue even if embedding fails - we still have the findings
   }
 }
 
-async function analyzeProjectVision(projectId, { limit = 25, skipTextHeavy = true, sheetTypes = null } = {}) {
+/**
+ * Analyze page images of a project's drawings that haven't been analyzed yet
+ * @param {object} options - limit, skipTextHeavy, sheetTypes, onProgress(current, total), and
+ *   usage, a scope whose ids collect the ledger rows of the calls made (see usage.js)
+ */
+async function analyzeProjectVision(projectId, { limit = 25, skipTextHeavy = true, sheetTypes = null, onProgress = null, usage = null } = {}) {
+  const visionUsage = { ...usage, projectId, stage: 'vision' };
+
   let query = `
-    SELECT c.id, c.document_id, c.page_number, c.sheet_number, c.image_path, c.content, d.filename, d.type
+    SELECT MIN(c.id) as id, c.document_id, c.page_number, c.sheet_number, c.image_path,
+           GROUP_CONCAT(c.content, '\n') as content, d.filename, d.type
     FROM chunks c
     JOIN documents d ON c.document_id = d.id
     WHERE d.project_id = ?
@@ -195,7 +240,8 @@ async function analyzeProjectVision(projectId, { limit = 25, skipTextHeavy = tru
     query += ` AND d.type = 'drawing'`;
   }
 
-  query += ` ORDER BY c.document_id ASC, c.page_number ASC LIMIT ?`;
+  // A long page is split into several chunks; analyze its image once
+  query += ` GROUP BY c.document_id, c.page_number ORDER BY c.document_id ASC, c.page_number ASC LIMIT ?`;
 
   const chunks = getQuery(query, [projectId, limit]);
 
@@ -203,7 +249,13 @@ async function analyzeProjectVision(projectId, { limit = 25, skipTextHeavy = tru
   let processed = 0;
   let skipped = 0;
 
-  for (const chunk of chunks) {
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+
+    if (onProgress) {
+      onProgress(i, chunks.length);
+    }
+
     const existing = getQuery(
       `SELECT id FROM visual_findings WHERE document_id = ? AND page_number = ? LIMIT 1`,
       [chunk.document_id, chunk.page_number]
@@ -225,9 +277,9 @@ async function analyzeProjectVision(projectId, { limit = 25, skipTextHeavy = tru
       ? `Sheet ${chunk.sheet_number} (${chunk.filename}) - Type: ${sheetType}`
       : `Page ${chunk.page_number} (${chunk.filename})`;
 
-    const raw = await analyzeImage(chunk.image_path, context);
+    const raw = await analyzeImage(chunk.image_path, context, visionUsage);
     const findings = parseVisionResponse(raw);
-    await saveVisualFinding(chunk.document_id, chunk.page_number, chunk.sheet_number, sheetType, findings);
+    await saveVisualFinding(chunk.document_id, chunk.page_number, chunk.sheet_number, sheetType, findings, visionUsage);
     processed++;
     results.push({ ...chunk, analyzed: true, sheetType });
 
@@ -239,5 +291,6 @@ async function analyzeProjectVision(projectId, { limit = 25, skipTextHeavy = tru
 }
 
 module.exports = {
-  analyzeProjectVision
+  analyzeProjectVision,
+  estimateVisionCost
 };